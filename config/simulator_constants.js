@@ -49,11 +49,115 @@ module.exports = Object.freeze({
   X2: 325000,
 
   /**
-   * Constant used in state transition calculations for locomotive. It is used as a threshold
-   * when comparing absolute value of acceleration.
+   * Constant used in state transition calculations for locomotive. It is the starting resistance, given
+   * as an acceleration (in meters per second squared): the locomotive at rest only starts moving when the
+   * forces acting on it would accelerate it by more than this.
    */
   X3: 1.7,
 
+  /**
+   * The numerical integrator used by the Movement process: 'euler' (explicit Euler), 'semiImplicitEuler'
+   * or 'rk4' (fourth order Runge-Kutta).
+   */
+  MOVEMENT_INTEGRATOR: 'euler',
+
+  /**
+   * Number of sub-steps the Movement process divides each simulation step into. When
+   * MOVEMENT_ADAPTIVE_SUB_STEPPING is set, it is the initial number of sub-steps.
+   */
+  MOVEMENT_SUB_STEPS: 1,
+
+  /**
+   * Flag indicating whether the Movement process adapts the length of its sub-steps to keep the velocity
+   * error of each sub-step within MOVEMENT_ADAPTIVE_TOLERANCE.
+   */
+  MOVEMENT_ADAPTIVE_SUB_STEPPING: false,
+
+  /**
+   * Velocity error (in meters per second) allowed for each adaptive sub-step of the Movement process.
+   */
+  MOVEMENT_ADAPTIVE_TOLERANCE: 0.001,
+
+  /**
+   * Maximum number of adaptive sub-steps per simulation step, which gives the shortest sub-step.
+   */
+  MOVEMENT_MAX_SUB_STEPS: 1000,
+
+  /**
+   * Maximum force (in newtons) applied by the brakes when they are fully applied.
+   */
+  MAX_BRAKE_FORCE: 300000,
+
+  /**
+   * Flag indicating whether the driver holds the target speed by operating the regulator, the reverser and
+   * the brake. When it is false, the regulator, cut-off and brake keep their values (fully open regulator, full
+   * gear and brake released, unless they are set by the initial state or by code embedding the simulator).
+   */
+  DRIVER_SPEED_CONTROL_ENABLED: false,
+
+  /**
+   * The speed (in meters per second) held by the driver. It is kept below MAX_ALLOWED_SPEED.
+   */
+  DRIVER_TARGET_SPEED: 24.0,
+
+  /**
+   * Margin (in meters per second) kept by the driver below the line speed limit of the route (if any).
+   */
+  DRIVER_SPEED_LIMIT_MARGIN: 0.5,
+
+  /**
+   * Proportional gain of the driver's speed controller, per meter per second of speed error.
+   */
+  DRIVER_PROPORTIONAL_GAIN: 0.2,
+
+  /**
+   * Integral gain of the driver's speed controller, per meter of accumulated speed error.
+   */
+  DRIVER_INTEGRAL_GAIN: 0.02,
+
+  /**
+   * The driver applies the brake only when the speed controller asks for more than this amount of braking,
+   * otherwise the locomotive coasts with the regulator closed.
+   */
+  DRIVER_BRAKE_THRESHOLD: 0.05,
+
+  /**
+   * Cut-off (fraction of the piston stroke during which steam is admitted) used by the driver when starting.
+   */
+  DRIVER_START_CUTOFF: 1.0,
+
+  /**
+   * Cut-off used by the driver once the locomotive has reached DRIVER_NOTCH_UP_SPEED. A shorter cut-off uses
+   * less steam.
+   */
+  DRIVER_RUNNING_CUTOFF: 0.7,
+
+  /**
+   * Speed (in meters per second) at which the driver has notched up the reverser to DRIVER_RUNNING_CUTOFF.
+   */
+  DRIVER_NOTCH_UP_SPEED: 15.0,
+
+  /**
+   * Deceleration (in meters per second squared) the driver plans for when looking ahead for lower line speed limits.
+   */
+  DRIVER_BRAKING_DECELERATION: 0.3,
+
+  /**
+   * Gravitational acceleration in meters per second squared, used for the grade and curve resistance of the route.
+   */
+  GRAVITY: 9.81,
+
+  /**
+   * Coefficient of Rockl's formula for curve resistance: resistance (N per kN of weight) =
+   * CURVE_RESISTANCE_COEFFICIENT / (curve radius in meters - CURVE_RESISTANCE_RADIUS_OFFSET).
+   */
+  CURVE_RESISTANCE_COEFFICIENT: 650,
+
+  /**
+   * Radius offset (in meters) of Rockl's formula for curve resistance. Curves with a smaller radius are ignored.
+   */
+  CURVE_RESISTANCE_RADIUS_OFFSET: 55,
+
   /**
    * Amount of fuel (kg) added to tender and removed from fire chamber during each simulator iteration.
    */
@@ -65,20 +169,160 @@ module.exports = Object.freeze({
   MAX_FUEL_MASS_IN_FIRE_CHAMBER: 10.0,
 
   /**
-   * Value multiplied by pressure when calculating the new pressure.
+   * Amount of fuel (kg) burned during each simulator iteration.
    */
-  PRESSURE_MULTIPLIER: 2.0,
+  FUEL_BURN_AMT: 0.1,
 
   /**
-   * Amount of fuel (kg) burned during each simulator iteration.
+   * Heat (in watts) given off by each kg of fuel burning in the fire chamber.
    */
-  FUEL_BURN_AMT: 0.1,
+  HEAT_OUTPUT_PER_KG_BURNING: 2.9e6,
+
+  /**
+   * Fraction of the heat given off by the burning fuel which is transferred to the water in the boiler.
+   */
+  BOILER_EFFICIENCY: 0.5,
+
+  /**
+   * Atmospheric pressure in bar. Boiler pressures are gauge pressures (e.g. relative to atmospheric pressure).
+   */
+  ATMOSPHERIC_PRESSURE: 1.01325,
+
+  /**
+   * Heat (in joules) needed to turn one kg of boiling water into steam.
+   */
+  LATENT_HEAT_OF_STEAM: 1.9e6,
+
+  /**
+   * Heat (in joules) needed to raise the temperature of one kg of water by one degree Celsius.
+   */
+  WATER_SPECIFIC_HEAT: 4186,
+
+  /**
+   * Temperature (in degrees Celsius) of the water fed from the tender into the boiler.
+   */
+  FEEDWATER_TEMPERATURE: 15,
+
+  /**
+   * The initial temperature (in degrees Celsius) of the water and steam in the boiler. The locomotive
+   * starts with steam already raised.
+   */
+  INITIAL_STEAM_TEMPERATURE: 195,
+
+  /**
+   * Mass of water (kg) in the boiler when it is full (e.g. water level is 100%).
+   */
+  BOILER_WATER_CAPACITY: 10000,
+
+  /**
+   * The initial mass of water in the boiler (kg).
+   */
+  INITIAL_WATER_MASS_IN_BOILER: 8000,
+
+  /**
+   * The initial mass of water in the tender (kg).
+   */
+  INITIAL_WATER_MASS_IN_TENDER: 60000,
+
+  /**
+   * Water level (percent) below which the boiler tubes start to be uncovered, so less heat is transferred
+   * to the water.
+   */
+  BOILER_TUBES_COVERED_LEVEL: 25,
+
+  /**
+   * Mass of steam (kg) consumed by the cylinders for each bar of pressure and each meter travelled.
+   */
+  STEAM_CONSUMPTION_COEFFICIENT: 0.0098,
+
+  /**
+   * Pressure (in bar) at which the safety valve opens.
+   */
+  SAFETY_VALVE_OPEN_PRESSURE: 21.0,
+
+  /**
+   * Pressure (in bar) at which the open safety valve closes again.
+   */
+  SAFETY_VALVE_CLOSE_PRESSURE: 20.5,
+
+  /**
+   * Mass of steam (kg) vented per second by the open safety valve.
+   */
+  SAFETY_VALVE_VENT_RATE: 15,
+
+  /**
+   * Water level (percent) at which the injector starts feeding water from the tender into the boiler.
+   */
+  INJECTOR_ON_LEVEL: 75,
+
+  /**
+   * Water level (percent) at which the injector stops feeding water into the boiler.
+   */
+  INJECTOR_OFF_LEVEL: 85,
+
+  /**
+   * Mass of water (kg) fed per second by the injector.
+   */
+  INJECTOR_FEED_RATE: 7,
 
   /**
    * The initial mass of fuel in the tender (kg).
    */
   INITIAL_FUEL_MASS_IN_TENDER: 12700,
 
+  /**
+   * The mass of fuel (kg) the tender holds when it is full. Service points refill the tender up to this mass.
+   */
+  TENDER_FUEL_CAPACITY: 12700,
+
+  /**
+   * The mass of water (kg) the tender holds when it is full. Service points refill the tender up to this mass.
+   */
+  TENDER_WATER_CAPACITY: 60000,
+
+  /**
+   * Mass of fuel (kg) loaded into the tender per second at a service point.
+   */
+  SERVICE_FUEL_RATE: 20,
+
+  /**
+   * Mass of water (kg) loaded into the tender per second at a service point.
+   */
+  SERVICE_WATER_RATE: 50,
+
+  /**
+   * Deceleration (in meters per second squared) used to plan the stop at a service point.
+   */
+  SERVICE_STOP_DECELERATION: 0.3,
+
+  /**
+   * Brake application per meter per second the locomotive is above the planned speed when stopping at a
+   * service point.
+   */
+  SERVICE_STOP_BRAKE_GAIN: 0.5,
+
+  /**
+   * Distance (in meters) from a service point within which the locomotive is considered to be at the point.
+   */
+  SERVICE_STOP_DISTANCE_TOLERANCE: 5,
+
+  /**
+   * Mass of steam (kg) lost per second by a boiler tube leak of full severity.
+   */
+  FAULT_BOILER_TUBE_LEAK_RATE: 10,
+
+  /**
+   * How much faster than the locomotive the driving wheels turn when they slip with full severity, as a fraction
+   * of the speed of the locomotive. The cylinders draw steam for every turn of the wheels.
+   */
+  FAULT_WHEEL_SLIP_SPIN_RATIO: 1.0,
+
+  /**
+   * The prefix of the time series tags of the ground truth (e.g. the true state of the locomotive), which is sent
+   * along with the values measured by the sensors when the sensors are configured to send it.
+   */
+  GROUND_TRUTH_TAG_PREFIX: 'groundTruth.',
+
   /**
    * Mass of the locomotive (kg).
    */
@@ -92,7 +336,7 @@ module.exports = Object.freeze({
 
   /**
    * Maximum allowed speed for the locomotive in meters per second. If this speed is exceeded, then a message will
-   * be sent to Predix asset service.
+   * be sent to Predix asset service. It is also the line speed limit of route segments which don't have one.
    */
   MAX_ALLOWED_SPEED: 27.41731,
 
@@ -102,21 +346,124 @@ module.exports = Object.freeze({
    */
   MIN_ALLOWED_FUEL_MASS_IN_TENDER: 2800,
 
+  /**
+   * The minimum allowed projected range (meters) of the fuel in the tender, e.g. the distance the locomotive can
+   * travel at its current burn rate and speed before the tender is empty. If the range drops below this minimum, then
+   * a predictive message will be sent to Predix asset service, before the fuel mass itself gets too low.
+   */
+  MIN_ALLOWED_FUEL_RANGE: 100000,
+
+  /**
+   * The minimum allowed water level (percent) in the boiler. If the level drops below this minimum, then a message
+   * will be sent to Predix asset service.
+   */
+  MIN_ALLOWED_WATER_LEVEL: 40,
+
+  /**
+   * The minimum allowed mass of water (kg) in the tender. If the amount drops below this minimum, then a message
+   * will be sent to Predix asset service.
+   */
+  MIN_ALLOWED_WATER_MASS_IN_TENDER: 5000,
+
   /**
    * Flag indicating whether logging is disabled.
    */
   DISABLE_LOGGING: false,
 
   /**
-   * Number of seconds to wait when a Predix request fails before trying to send the request again.
+   * Number of seconds to wait when a Predix request fails before trying to send the request again the first time.
+   * The wait is multiplied by RETRY_BACKOFF_MULTIPLIER at each failed attempt (refer to retry_policy.js).
    */
   WAIT_SECONDS_BETWEEN_FAILED_REQUESTS: 5,
 
   /**
-   * Maximum number of nodes to queue for sending to Predix.
+   * How long in seconds before its expiry a Predix security token is renewed, so the token sent is always valid.
+   */
+  TOKEN_RENEW_SECONDS_BEFORE_EXPIRY: 60,
+
+  /**
+   * The factor the wait before sending a failed Predix request again is multiplied by at each failed attempt.
+   */
+  RETRY_BACKOFF_MULTIPLIER: 2,
+
+  /**
+   * The longest wait in seconds before sending a failed Predix request again.
+   */
+  MAX_WAIT_SECONDS_BETWEEN_FAILED_REQUESTS: 300,
+
+  /**
+   * The largest fraction of the wait before sending a failed Predix request again which is taken off at random, so
+   * the requests which failed at the same time are not all sent again at the same time.
+   */
+  RETRY_JITTER: 0.5,
+
+  /**
+   * The number of attempts to send data to Predix after which it is given up, and written to the dead-letter file of
+   * its queue in QUEUE_DIR.
+   */
+  MAX_SEND_ATTEMPTS: 10,
+
+  /**
+   * Maximum number of nodes sent to the Predix asset service in one request.
    */
   MAX_NODES_TO_QUEUE_PER_SEND: 10,
 
+  /**
+   * Maximum size in bytes of a Predix time series ingestion message (its JSON, before any compression), which the
+   * local Predix emulator enforces.
+   */
+  TIME_SERIES_MAX_MESSAGE_BYTES: 512 * 1024,
+
+  /**
+   * Maximum size in bytes of the JSON of a time series payload. The states queued are batched up to this size, before
+   * any compression (so compressed payloads are under it too). It leaves some headroom under
+   * TIME_SERIES_MAX_MESSAGE_BYTES, as the size of a payload is estimated from the size of its states.
+   */
+  TIME_SERIES_MAX_PAYLOAD_BYTES: 480 * 1024,
+
+  /**
+   * How long in ms a state can wait in the time series queue for more states to fill its payload, before the payload
+   * is sent anyway.
+   */
+  TIME_SERIES_LINGER_MS: 1000,
+
+  /**
+   * Whether the time series payloads are compressed with gzip (sent as binary web socket messages).
+   */
+  TIME_SERIES_COMPRESSION: false,
+
+  /**
+   * Maximum number of time series data points sent per second, so a run stays within the quotas of the Predix
+   * plan. 0 for no limit.
+   */
+  TIME_SERIES_MAX_DATAPOINTS_PER_SECOND: 0,
+
+  /**
+   * Maximum number of time series messages sent on the web socket and not acknowledged by Predix yet.
+   */
+  MAX_TIME_SERIES_MESSAGES_IN_FLIGHT: 4,
+
+  /**
+   * The port of the local Predix emulator (refer to src/emulator), which serves UAA, time series and asset.
+   */
+  EMULATOR_PORT: Number(process.env.EMULATOR_PORT) || 8765,
+
+  /**
+   * How long in seconds the tokens issued by the local Predix emulator are valid.
+   */
+  EMULATOR_TOKEN_SECONDS: 3600,
+
+  /**
+   * The default port of the endpoints of the Prometheus sinks (refer to src/sinks/prometheus_sink.js).
+   */
+  PROMETHEUS_PORT: 9464,
+
+  /**
+   * How long in seconds the endpoints of the Prometheus sinks stay up once the simulation has finished, so
+   * Prometheus can scrape the final values.
+   */
+  PROMETHEUS_LINGER_SECONDS: 30,
+
   /**
    * The logging level to use for the logger.
    */
@@ -127,6 +474,22 @@ module.exports = Object.freeze({
    */
   LOGS_DIR: './logs',
 
+  /**
+   * The directory where the simulator writes its data when it is run in local mode (e.g. without Predix).
+   */
+  LOCAL_OUTPUT_DIR: './output',
+
+  /**
+   * The directory where the queues of the data yet to be sent to Predix are journaled, so the data is not lost if
+   * the process dies before it has been sent.
+   */
+  QUEUE_DIR: './queue',
+
+  /**
+   * The directory where the trip report is written at the end of each run.
+   */
+  TRIP_REPORT_DIR: './reports',
+
   /**
    * The log interval for the simulator loop.  In other words, every LOG_INTERVAL iterations, the
    * simulator will log its state, current iteration number, and other debugging info.
@@ -147,5 +510,20 @@ module.exports = Object.freeze({
    * The name of the log file to use for the verification utility.
    */
   VERIFICATION_LOGFILE_NAME: 'verification.log',
+
+  /**
+   * The name of the log file to use for the integrator comparison utility.
+   */
+  INTEGRATOR_COMPARISON_LOGFILE_NAME: 'integrator_comparison.log',
+
+  /**
+   * The name of the log file to use for the queue utility.
+   */
+  QUEUE_LOGFILE_NAME: 'queue.log',
+
+  /**
+   * The name of the log file to use for the local Predix emulator.
+   */
+  EMULATOR_LOGFILE_NAME: 'emulator.log',
 });
 
@@ -10,326 +10,299 @@
  * that utility can be run using 'npm run setup'. After the simulator has been run,
  * the user can run the verification utility using 'npm run verify' to get the
  * data that was sent to Predix.
+ *
+ * If the '--local' command line argument is provided, the data is written to local
+ * files in the LOCAL_OUTPUT_DIR directory instead of being sent to Predix, so neither
+ * a Predix account nor a network connection is needed.
+ *
+ * If the '--fleet <file>' command line argument is provided, the fleet of locomotives
+ * described in the given JSON file is simulated instead of a single locomotive (refer
+ * to config/templates/fleet_template.json).
+ *
+ * If the '--route <file>' command line argument is provided, the locomotive travels on
+ * the route described in the given JSON file (refer to config/routes/sample_route.json).
+ *
+ * If the '--service-points <file>' command line argument is provided, the locomotive stops to
+ * refill its tender at the service points described in the given JSON file (refer to
+ * config/routes/sample_service_points.json).
+ *
+ * If the '--faults <file>' command line argument is provided, the faults scheduled in the given
+ * JSON scenario file are injected into the model (refer to config/scenarios/sample_fault_scenario.json).
+ *
+ * If the '--sensors <file>' command line argument is provided, the data sent to time series is
+ * measured by the sensors configured in the given JSON file (refer to config/sensors/sample_sensors.json).
+ *
+ * If the '--alert-rules <file>' command line argument is provided, the alerts are sent for the rules in
+ * the given JSON or YAML file instead of config/alerts/default_alert_rules.yml.
+ *
+ * If the '--anomalies <file>' command line argument is provided, the anomaly detectors described in
+ * the given JSON or YAML file check the state, and send anomalies to the asset service (refer to
+ * config/anomalies/sample_anomaly_detectors.yml).
+ *
+ * If the '--kpis <file>' command line argument is provided, the KPIs described in the given JSON or
+ * YAML file are derived from the state and sent to time series instead of config/kpis/default_kpis.yml.
+ *
+ * If the '--sinks <file>' command line argument is provided, the data is sent to the sinks described in
+ * the given JSON or YAML file (ex: CSV, InfluxDB line protocol files or a Prometheus endpoint, next to or
+ * instead of Predix) instead of config/sinks/default_sinks.yml (refer to config/sinks/sample_sinks.yml).
+ *
+ * When the simulation finishes, a trip report of the run is written in JSON, Markdown and HTML to
+ * the TRIP_REPORT_DIR directory.
+ *
+ * Before the simulation starts, the asset model of each locomotive (the asset definitions of the
+ * locomotive, boiler, tender and fire chamber) is published to the asset service.
  */
 
 'use strict';
 
 const fs = require('fs');
-const Promise = require('bluebird');
+const _ = require('lodash');
+const jsonfile = require('jsonfile');
 const Helper = require('./common/helper');
 const TimeSeriesService = require('./services/time_series_service');
 const AssetService = require('./services/asset_service');
-const _ = require('lodash');
+const TokenManager = require('./common/token_manager');
+const AssetModel = require('./services/asset_model');
+const LocalFileService = require('./services/local_file_service');
+const SinkConfig = require('./sinks/sink_config');
+const Simulator = require('./simulator/simulator');
+const Fleet = require('./simulator/fleet');
+const AlertRules = require('./simulator/alert_rules');
+const AnomalyDetectors = require('./simulator/anomaly_detectors');
+const FaultScenario = require('./simulator/fault_scenario');
+const Kpis = require('./simulator/kpis');
+const Route = require('./simulator/route');
+const ServicePoints = require('./simulator/service_points');
+const TripReport = require('./simulator/trip_report');
 const constants = require('../config/simulator_constants');
 const logger = require('./common/logger')(constants.SIMULATOR_LOGFILE_NAME, true);
 
 // the predix configuration object
 let predixConfig;
 
-// the number of simulator iterations completed so far
-let numIterations = 0;
-
-// service instances for communicating with predix
-let timeSeriesService;
-let assetService;
-
-// the model used for the simulator
-const model = {
-  /**
-   * Specifies both the set of variables describing the state of
-   * the system, and their initial values.
-   */
-  state: {
-    // the distance in meters the locomotive has travelled
-    distance: 0.0,
-
-    // the mass in kg of fuel current burning
-    fuelMassBurning: 0.0,
-
-    // the mass in kg of fuel in the tender
-    fuelMassInTender: constants.INITIAL_FUEL_MASS_IN_TENDER,
-
-    // the mass in kg of fuel in the fire chamber
-    fuelMassInFireChamber: 0.0,
-
-    // the mass in kg of the locomotive
-    locomotiveOwnMass: constants.LOCOMOTIVE_OWN_MASS,
-
-    // the locomotive pressure (measured in bar)
-    pressure: 0.0,
-
-    // the speed of the locomotive in meters per second
-    speed: 0.0,
-
-    // the time in seconds that the locomotive has been travelling
-    time: 0.0,
-  },
-
-  /**
-   * Use to keep track of last time data was sent to predix time series,
-   * asset service, etc.
-   */
-  history: {},
-
-  /**
-   * The array of processes used for the simulation.
-   * Transition functions define the simulated process for the locomotive.
-   */
-  processes: [
-    {
-      /**
-       * Emulates the fireman. In our simple model he just moves
-       * the fuel from tender into the fire chamber.
-       */
-      name: 'Fireman',
-      transferFunction: (state) => {
-        if (state.fuelMassInTender < 0.0 || state.fuelMassInFireChamber > constants.MAX_FUEL_MASS_IN_FIRE_CHAMBER) {
-          return state;
-        }
-        // return the updated state
-        return {
-          ...state,
-          fuelMassInTender: state.fuelMassInTender - constants.FUEL_ADD_AMT,
-          fuelMassInFireChamber: state.fuelMassInFireChamber + constants.FUEL_ADD_AMT,
-        };
-      },
-    },
-    {
-      /**
-       * An oversimplified model of fire chamber and boiler:
-       * - Fuel added into fire chamber slowly becomes burning;
-       * - Burning fuel is consumed (disappears) slowly;
-       * - Pressure in boiler is just proportional to the amount
-       *   of burning fuel (so we don't care about the boiler model
-       *   for now).
-       */
-      name: 'Fire Chamber',
-      transferFunction: (state) => {
-        const res = { ...state };
-        if (res.fuelMassBurning < res.fuelMassInFireChamber) {
-          res.fuelMassBurning = Math.min(res.fuelMassInFireChamber, constants.FUEL_ADD_AMT + res.fuelMassBurning);
-        }
-        // calculate the new state values
-        res.pressure = constants.PRESSURE_MULTIPLIER * res.fuelMassBurning;
-        res.fuelMassBurning = Math.max(0, res.fuelMassBurning - constants.FUEL_BURN_AMT);
-        res.fuelMassInFireChamber = Math.max(0, res.fuelMassInFireChamber - constants.FUEL_BURN_AMT);
-        return res;
-      },
-    },
-    {
-      /**
-       * The rest of the model. Assumes that locomotive acceleration
-       * is proportional to the pressure in boiler, updates its
-       * position, speed, world time.
-       */
-      name: 'Movement',
-      transferFunction: (state) => {
-        // a is the acceleration, calculated as the difference between the force created by engine and any work lost
-        // due to friction, whatever.
-        const mass = state.locomotiveOwnMass + state.fuelMassInTender + state.fuelMassInFireChamber;
-        let a = ((constants.X1 * state.pressure) - (constants.X2 * state.speed)) / mass;
-        if (numIterations % constants.LOG_INTERVAL === 0) {
-          logger.logDebug(`in transferFunction, a = ${a}, mass = ${mass}`);
-        }
-        // keep acceleration within a valid range
-        if ((state.speed === 0.0) && (Math.abs(a) < constants.X3)) {
-          a = 0.0;
-        }
-
-        // return the updated state
-        return {
-          ...state,
-          speed: state.speed + (constants.DT * a),
-          distance: state.distance + (constants.DT * state.speed),
-          time: state.time + constants.DT,
-        };
-      },
-    },
-  ],
-
-  /**
-   * Configuration of the time series service call and the alerts to be sent to the Predix asset
-   * service.
-   */
-  onStateChange: [
-    // send the state to Predix time series
-    state => model.toTimeSeries(state),
-
-    // send alert to Predix asset service if maximum pressure has been exceeded
-    state => (state.pressure > constants.MAX_ALLOWED_PRESSURE ?
-      model.toAsset('pressure', state.pressure, 'Maximum pressure has been exceeded!') : undefined),
-
-    // send alert to Predix asset service if maximum speed has been exceed
-    state => (state.speed > constants.MAX_ALLOWED_SPEED ?
-      model.toAsset('speed', state.speed, 'Maximum speed has been exceeded!') : undefined),
-
-    // send alert to Predix asset service if fuelMassInTender is too low
-    state => (state.fuelMassInTender < constants.MIN_ALLOWED_FUEL_MASS_IN_TENDER ?
-      model.toAsset('fuelMassInTender', state.fuelMassInTender, 'Fuel mass in tender is too low!') : undefined),
-
-  ],
-
-  /**
-   * Sends data to Predix time series service
-   * @param {Object} state the state to send to the Predix time series service
-   * @returns {Object} a Promise which will resolve once data has been queued to be sent to Predix
-   */
-  toTimeSeries: state => model.sendDataToPredix('timeSeries', state, timeSeriesService.sendDataToPredix,
-    'timeSeriesService.sendDataToPredix', 'time series'),
-
-  /**
-   * Sends data to Predix asset service.
-   * @param {string} key the key of the data to send to asset service
-   * @param {Object} val the asset value (ex: speed)
-   * @param {string} msg the alert message to send to the asset service (ex: "Maximum speed has been exceeded!")
-   * @returns {Object} a Promise which will resolve once data has been queued to be sent to Predix
-   */
-  toAsset: (key, val, msg) =>
-    model.sendDataToPredix(key, { key, val, time: state.time, msg }, assetService.sendDataToPredix, // eslint-disable-line
-      'assetService.sendDataToPredix', 'asset'),
-
-  /**
-   * Sends data to Predix service (time series or asset)
-   * @param {string} key the key of the data to send
-   * @param {Object} data the data to send
-   * @param {Function} sendData the method to call to send the data
-   * @param {string} methodName the name of the method using for sending the data
-   * @param {string} typeOfService the type of Predix service to which data is being set
-   * @returns {Object} a Promise which will resolve once data has been queued to be sent to Predix
-   */
-  sendDataToPredix: (key, data, sendData, methodName, typeOfService) => Promise.try(() => {
-    // determine if we need to send the data to predix service - we send it if these conditions are met:
-    // 1) we haven't sent data MAX_NUM_SENDS_PER_KEY times or more
-    // 2) the time difference between state.time and the last send is >= SEND_INTERVAL
-    const numSends = _.isUndefined(model.history[key]) ? 0 : model.history[key].numSends;
-    const timeDiff = _.isUndefined(model.history[key]) ? -1 :
-      state.time - model.history[key].prevTimeSent;  // eslint-disable-line
-
-    if (numSends < constants.MAX_NUM_SENDS_PER_KEY &&
-      (timeDiff === -1 || timeDiff + constants.EPS >= constants.SEND_INTERVAL)) {
-      logger.logDebug(`sending data to predix: timeDiff = ${timeDiff}, numSends = ${numSends}, key = ${key}, ` +
-        `data = ${JSON.stringify(data)}`);
-
-      // send the data to predix!
-      logger.logDebug('calling ' + methodName);
-      sendData(data);
-      logger.logDebug('back from call to ' + methodName);
-
-      // update history for sent data so we can determine when this type of data needs to be sent again
-      if (_.isUndefined(model.history[key])) {
-        // first time we've sent this data, so create a new history object
-        model.history[key] = {
-          prevTimeSent: state.time,  // eslint-disable-line
-          numSends: 1,
-        };
-      } else {
-        // update existing history object
-        model.history[key] = {
-          prevTimeSent: state.time,  // eslint-disable-line
-          numSends: model.history[key].numSends + 1,
-        };
-      }
-    }
-    // everything worked!
-    return 'success';
-  }).catch((e) => {
-    logger.logError('Error sending data to predix %s: %j', typeOfService, e);
-  }),
-};
+// flag indicating whether the data is written to local files instead of being sent to Predix
+const isLocalMode = process.argv.indexOf('--local') !== -1;
+
+// the file describing the fleet of locomotives to simulate (undefined when simulating a single locomotive)
+const fleetFile = Helper.getArgValue('--fleet');
+
+// the file describing the route the locomotive travels on (undefined for flat, straight track)
+const routeFile = Helper.getArgValue('--route');
 
-// initial state
-let state = model.state;
+// the file describing the service points where the locomotive refills its tender (undefined for no stops)
+const servicePointsFile = Helper.getArgValue('--service-points');
+
+// the file describing the faults injected into the model (undefined for a healthy locomotive)
+const faultScenarioFile = Helper.getArgValue('--faults');
+
+// the file describing the sensors measuring the data sent to time series (undefined to send the exact state)
+const sensorsFile = Helper.getArgValue('--sensors');
+
+// the file describing the alert rules (undefined for the default alert rules)
+const alertRulesFile = Helper.getArgValue('--alert-rules');
+
+// the file describing the anomaly detectors (undefined to detect no anomalies)
+const anomalyDetectorsFile = Helper.getArgValue('--anomalies');
+
+// the file describing the KPIs (undefined for the default KPIs)
+const kpisFile = Helper.getArgValue('--kpis');
+
+// the file describing the sinks (undefined for the default sinks)
+const sinksFile = Helper.getArgValue('--sinks');
+
+// the sinks configuration
+let sinkConfig;
+
+// the sinks of each stream, timeSeries and asset, which include the service instances for communicating with
+// predix (or writing to local files in local mode)
+let sinks;
+
+// the trip report collecting the statistics of the run
+let tripReport;
+
+/**
+ * Gets all the sinks, once each.
+ *
+ * @returns {Array} the sinks
+ */
+const getAllSinks = () => _.uniq(_.flatten(_.values(sinks)));
+
+/**
+ * Describes where a sink sends the data, for the logs.
+ *
+ * @param {Object} sink the sink
+ * @returns {string} the description of the sink
+ */
+const describeSink = (sink) => {
+  if (!_.isUndefined(sink.name)) {
+    return `sink ${sink.name}`;
+  }
+  return sink instanceof LocalFileService ? `local files in ${constants.LOCAL_OUTPUT_DIR}` : 'predix';
+};
 
 /**
  * Called once simulation is finished. Displays statistics to user about data
- * sent to Predix.
+ * sent to Predix and the other sinks, writes the trip report, and closes the sinks.
  */
 const finishSimulation = () => {
-  // make sure the services have finished sending all data to Predix
-  if (timeSeriesService.isFinished() && assetService.isFinished()) {
-    // services have finished their work, so display some final stats
+  // make sure the sinks have finished sending all data (ex: to Predix)
+  const unfinishedSinks = _.filter(getAllSinks(), sink => _.isFunction(sink.isFinished) && !sink.isFinished());
+  if (_.isEmpty(unfinishedSinks)) {
+    // sinks have finished their work, so display some final stats
     logger.logInfo('----------- SIMULATION COMPLETE -----------');
-    logger.logInfo(`total time series states sent to predix = ${timeSeriesService.getTotalRequestsSent()}`);
-    logger.logInfo(`total asset requests sent to predix = ${assetService.getTotalRequestsSent()}`);
-  } else {
-    if (!timeSeriesService.isFinished()) {
-      logger.logDebug('In finishSimulation, time series service not finished yet');
+    _.forEach([['timeSeries', 'time series states'], ['asset', 'asset requests']], ([stream, description]) => {
+      _.forEach(_.filter(sinks[stream], sink => _.isFunction(sink.getTotalRequestsSent)), (sink) => {
+        logger.logInfo(`total ${description} sent to ${describeSink(sink)} = ${sink.getTotalRequestsSent()}`);
+      });
+    });
+    try {
+      logger.logInfo(`trip report written to ${tripReport.write().join(', ')}`);
+    } catch (e) {
+      logger.logError(`Error when writing the trip report: ${e}`, e);
     }
-    if (!assetService.isFinished()) {
-      logger.logDebug('In finishSimulation, asset service not finished yet');
-    }
-    // services have not finished their work, so wait a bit then check again
+    _.forEach(_.filter(getAllSinks(), sink => _.isFunction(sink.close)), (sink) => {
+      sink.close().catch((e) => {
+        logger.logError(`Error when closing ${describeSink(sink)}: ${e}`, e);
+      });
+    });
+  } else {
+    _.forEach(unfinishedSinks, (sink) => {
+      logger.logDebug(`In finishSimulation, ${describeSink(sink)} not finished yet`);
+    });
+    // sinks have not finished their work, so wait a bit then check again
     const WAIT_INTERVAL_MS = 350; // wait interval in milliseconds
     setTimeout(finishSimulation, WAIT_INTERVAL_MS);
   }
 };
 
 /**
- * The simulation method for the locomotive.
+ * Creates the sinks which receive the simulator data, including the Predix service instances when data is sent
+ * to Predix.
+ *
+ * @param {Object} kpis the KPIs, whose tags are sent to time series along with the state values
  */
-const runSimulation = async () => {
-  // log if needed
-  if (numIterations % constants.LOG_INTERVAL === 0) {
-    logger.logDebug('------------------------------------');
-    logger.logDebug(`entered runSimulation, numIterations = ${numIterations}`);
-  }
-
-  // during initial iteration, we need to initialize some things
-  if (numIterations === 0) {
-    // get token to use with predix services
-    const token = await Helper.getPredixToken(predixConfig.uaa_url, predixConfig.client_id, predixConfig.client_secret);
-
-    // create service instances
-    timeSeriesService = new TimeSeriesService(token, logger);
-    assetService = new AssetService(token, logger);
-  }
-
-  // see if we're done yet
-  if (numIterations >= constants.NUM_ITERATIONS) {
-    finishSimulation();
+const createSinks = async (kpis) => {
+  if (isLocalMode || !sinkConfig.usesPredix()) {
+    if (isLocalMode) {
+      logger.logInfo(`running in local mode, data will be written to ${constants.LOCAL_OUTPUT_DIR}`);
+    }
+    sinks = sinkConfig.createSinks(logger);
     return;
   }
-  ++numIterations;
 
-  // run the transfer functions to transfer current state to next state
-  model.processes.forEach((process) => {
-    state = process.transferFunction(state);
+  // the services share the tokens; the simulation stops if UAA rejects the client credentials, rather than failing
+  // to send the data over and over
+  const tokenManager = new TokenManager(predixConfig, logger);
+  tokenManager.on('failure', (e) => {
+    logger.logError(`Stopping the simulation: ${e.message}`);
+    process.exit(1);
   });
 
-  // log the state every LOG_INTERVAL iterations
-  if (numIterations % constants.LOG_INTERVAL === 0) {
-    logger.logDebug(`state = ${JSON.stringify(state)}`);
-  }
-
-  // create array of promises for all the onStateChange functions
-  const promises = [];
-  model.onStateChange.forEach(func => promises.push(func(state)));
-
-  // wait for the state change functions to complete, then start another simulation iteration
-  Promise.all(promises).then(() => {
-    // give other events time to process before performing next iteration
-    process.nextTick(runSimulation);
-  }).catch((e) => {
-    logger.logError('Error when processing state change events: %j', e);
+  // get token to use with predix services, so the simulation doesn't start if it can't be got
+  await tokenManager.getToken();
+
+  // create service instances
+  sinks = sinkConfig.createSinks(logger, {
+    timeSeries: new TimeSeriesService(tokenManager, logger, {
+      ...sinkConfig.getPredixOptions().timeSeries,
+      predixConfig,
+      extraTags: kpis.getTags(),
+    }),
+    asset: new AssetService(tokenManager, logger, { predixConfig }),
   });
+};
 
-  // log if necessary
-  if (numIterations % constants.LOG_INTERVAL === 0) {
-    logger.logDebug('leaving runSimulation');
+/**
+ * Publishes the asset model of the simulated locomotives to the asset sinks which support it (ex: the asset
+ * service). A failure is logged, but doesn't stop the simulation.
+ *
+ * @param {Object} simulator the simulator, or the fleet of simulators
+ */
+const publishAssetModel = async (simulator) => {
+  const simulators = simulator instanceof Fleet ? simulator.simulators : [simulator];
+  const definitions = _.flatMap(simulators, sim => AssetModel.build(sim));
+  await Promise.all(_.filter(sinks.asset, sink => _.isFunction(sink.publishAssetModel)).map(async (sink) => {
+    try {
+      await sink.publishAssetModel(definitions);
+      logger.logInfo(`published the asset model of ${simulators.length} locomotive(s) to ${describeSink(sink)}`);
+    } catch (e) {
+      logger.logError(`Error when publishing the asset model to ${describeSink(sink)}: ${e}`, e);
+    }
+  }));
+};
+
+/**
+ * Runs the simulation for the locomotive, sending its data to Predix.
+ */
+const runSimulation = async () => {
+  try {
+    const kpis = _.isUndefined(kpisFile) ? Kpis.getDefault() : Kpis.load(kpisFile);
+    await createSinks(kpis);
+
+    const options = {
+      sinks,
+      route: _.isUndefined(routeFile) ? undefined : Route.load(routeFile),
+      servicePoints: _.isUndefined(servicePointsFile) ? undefined : ServicePoints.load(servicePointsFile),
+      faultScenario: _.isUndefined(faultScenarioFile) ? undefined : FaultScenario.load(faultScenarioFile),
+      sensors: _.isUndefined(sensorsFile) ? undefined : jsonfile.readFileSync(sensorsFile),
+      alertRules: _.isUndefined(alertRulesFile) ? undefined : AlertRules.load(alertRulesFile),
+      anomalyDetectors: _.isUndefined(anomalyDetectorsFile) ? undefined : AnomalyDetectors.load(anomalyDetectorsFile),
+      kpis,
+      logger,
+    };
+    let simulator;
+    if (_.isUndefined(fleetFile)) {
+      simulator = new Simulator(options);
+    } else {
+      logger.logInfo(`simulating the fleet of locomotives described in ${fleetFile}`);
+      simulator = new Fleet({ ...jsonfile.readFileSync(fleetFile), ...options });
+    }
+    // the files of the run are its parameters
+    tripReport = new TripReport(simulator, _.omitBy({
+      mode: isLocalMode ? 'local' : 'predix',
+      fleet: fleetFile,
+      route: routeFile,
+      servicePoints: servicePointsFile,
+      faults: faultScenarioFile,
+      sensors: sensorsFile,
+      alertRules: alertRulesFile,
+      anomalies: anomalyDetectorsFile,
+      kpis: kpisFile,
+      sinks: sinksFile,
+    }, _.isUndefined));
+    await publishAssetModel(simulator);
+    await simulator.run(constants.NUM_ITERATIONS);
+    finishSimulation();
+  } catch (e) {
+    logger.logError(`Error when running simulation: ${e.message}`, e);
+    process.exitCode = 1;
   }
 };
 
+// load the sinks, so a wrong sinks file is reported before anything else
+try {
+  sinkConfig = _.isUndefined(sinksFile) ? SinkConfig.getDefault() : SinkConfig.load(sinksFile);
+} catch (e) {
+  logger.logError(`Error when loading the sinks: ${e.message}`, e);
+  process.exit(1);
+}
+
+// flag indicating whether the data is sent to Predix
+const isPredixUsed = !isLocalMode && sinkConfig.usesPredix();
+
 // make sure setup was run before starting the simulation (e.g. config file will exist if setup was run successfully)
-if (!fs.existsSync('./config/predix_config.json')) {
+if (isPredixUsed && !fs.existsSync('./config/predix_config.json')) {
   logger.logError('--------------------------');
   logger.logError('The ./config/predix_config.json file was not found. You must run "npm run setup" before running ' +
-    'the simulator');
+    'the simulator, or use "npm run app-local" to write the data to local files instead');
   logger.logError('--------------------------');
   process.exit(1);
 }
 
-// load the Predix configuration which contains the Predix service names, GUIDs, etc.
-predixConfig = require('../config/predix_config.json');
+if (isPredixUsed) {
+  // load the Predix configuration which contains the Predix service names, GUIDs, etc.
+  predixConfig = require('../config/predix_config.json'); // eslint-disable-line
+}
 
 // go!
 runSimulation();
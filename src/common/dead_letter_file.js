@@ -0,0 +1,100 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the DeadLetterFile class, the file of the batches a Predix service gave up
+ * sending, either because they were rejected permanently (ex: a 400 error) or because every attempt
+ * failed (refer to retry_policy.js). Each batch is a line of newline delimited JSON, having:
+ * - time: when the batch was given up (ISO 8601)
+ * - reason: why the send failed
+ * - status: the HTTP status of the failure, if any
+ * - numAttempts: the number of attempts made
+ * - nodes: the nodes of the batch, each one having a key and data, as they were queued
+ *
+ * The batches can be put back in the queue with 'npm run queue -- replay', once the cause of the
+ * failure has been fixed.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const constants = require('../../config/simulator_constants');
+
+/**
+ * This class is a file of the batches a service gave up sending.
+ */
+module.exports = class DeadLetterFile {
+
+  /**
+   * Constructs a new instance of this class.
+   *
+   * @param {string} name the name of the queue the batches come from, which gives the name of the file
+   *   (ex: time_series.dead_letter.ndjson)
+   * @param {Object} log the logger
+   * @param {string} queueDir the directory of the file, defaults to QUEUE_DIR
+   */
+  constructor(name, log, queueDir = constants.QUEUE_DIR) {
+    this.logger = log;
+    this.file = path.join(queueDir, `${name}.dead_letter.ndjson`);
+
+    // create queue directory if it doesn't exist
+    if (!fs.existsSync(queueDir)) {
+      fs.mkdirSync(queueDir);
+    }
+  }
+
+  /**
+   * Adds a batch to the file.
+   *
+   * @param {Array} nodes the nodes of the batch
+   * @param {string} reason why the send failed
+   * @param {number} status the HTTP status of the failure, undefined if there is none
+   * @param {number} numAttempts the number of attempts made
+   */
+  write(nodes, reason, status, numAttempts) {
+    this.logger.logError(`giving up sending ${nodes.length} node(s) after ${numAttempts} attempt(s) (${reason}), ` +
+      `writing them to ${this.file}`);
+    fs.appendFileSync(this.file, JSON.stringify({
+      time: new Date().toISOString(),
+      reason,
+      status,
+      numAttempts,
+      nodes,
+    }) + '\n');
+  }
+
+  /**
+   * Reads the batches in the file.
+   *
+   * @returns {Array} the batches, in the order they were given up
+   */
+  read() {
+    if (!fs.existsSync(this.file)) {
+      return [];
+    }
+    return _.compact(fs.readFileSync(this.file, 'utf8').split('\n').map((line, index) => {
+      if (line.trim() === '') {
+        return undefined;
+      }
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        // the last batch may have been cut short if the process died while writing it
+        this.logger.logError(`Skipping invalid batch at line ${index + 1} of ${this.file}: ${e}`);
+        return undefined;
+      }
+    }));
+  }
+
+  /**
+   * Removes all the batches from the file.
+   */
+  clear() {
+    if (fs.existsSync(this.file)) {
+      fs.unlinkSync(this.file);
+    }
+  }
+
+};
@@ -0,0 +1,175 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the DurableQueue class, the queue of the data yet to be sent to a Predix
+ * service. The queue is journaled to a newline delimited JSON file, so the data still queued when
+ * the process dies (ex: during a network outage) is restored, and sent, the next time it starts.
+ *
+ * The journal has one record per line:
+ * - { "op": "push", "node": { "key": ..., "data": ... } } when a node is added to the queue;
+ * - { "op": "remove", "keys": [...] } when nodes have been sent, and are removed from the queue.
+ * Replaying the records gives the nodes still queued. Nodes are identified by their key, so a node is
+ * never restored twice, and a node removed once is never restored. The journal is compacted (rewritten
+ * with only the queued nodes) when it is loaded, and emptied whenever the queue is empty.
+ *
+ * A queue must only be used by one process at a time.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const constants = require('../../config/simulator_constants');
+
+/**
+ * Reads the nodes still queued from a journal.
+ *
+ * @param {string} file the journal file
+ * @param {Object} logger the logger
+ * @returns {Array} the nodes still queued, in the order they were queued
+ * @private
+ */
+const readJournal = (file, logger) => {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  const nodes = new Map();
+  const removedKeys = new Set();
+  _.forEach(fs.readFileSync(file, 'utf8').split('\n'), (line, index) => {
+    if (line.trim() === '') {
+      return;
+    }
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (e) {
+      // the last record may have been cut short if the process died while writing it
+      logger.logError(`Skipping invalid record at line ${index + 1} of the queue journal ${file}: ${e}`);
+      return;
+    }
+    if (record.op === 'push' && !removedKeys.has(record.node.key)) {
+      nodes.set(record.node.key, record.node);
+    } else if (record.op === 'remove') {
+      _.forEach(record.keys, (key) => {
+        nodes.delete(key);
+        removedKeys.add(key);
+      });
+    }
+  });
+  return Array.from(nodes.values());
+};
+
+/**
+ * This class is a queue of nodes (each one having a key and data) journaled to disk.
+ */
+module.exports = class DurableQueue {
+
+  /**
+   * Constructs a new instance of this class, restoring the nodes still queued in the journal.
+   *
+   * @param {string} name the name of the queue, which gives the name of the journal file (ex: time_series)
+   * @param {Object} log the logger
+   * @param {string} queueDir the directory of the journal file, defaults to QUEUE_DIR
+   */
+  constructor(name, log, queueDir = constants.QUEUE_DIR) {
+    this.name = name;
+    this.logger = log;
+    this.file = path.join(queueDir, `${name}.journal`);
+
+    // create queue directory if it doesn't exist
+    if (!fs.existsSync(queueDir)) {
+      fs.mkdirSync(queueDir);
+    }
+
+    this.nodes = readJournal(this.file, log);
+    if (!_.isEmpty(this.nodes)) {
+      this.logger.logInfo(`restored ${this.nodes.length} node(s) still queued in ${this.file}`);
+    }
+    this.compact();
+  }
+
+  /**
+   * Gets the number of nodes in the queue.
+   *
+   * @returns {number} the number of nodes
+   */
+  get length() {
+    return this.nodes.length;
+  }
+
+  /**
+   * Adds a node to the end of the queue.
+   *
+   * @param {Object} node the node, having a key and data
+   */
+  push(node) {
+    fs.appendFileSync(this.file, JSON.stringify({ op: 'push', node }) + '\n');
+    this.nodes.push(node);
+  }
+
+  /**
+   * Gets the nodes at the start of the queue, without removing them.
+   *
+   * @param {number} maxNodes the maximum number of nodes to get
+   * @param {Set} excludedKeys the keys of the nodes to skip, if any
+   * @returns {Array} the nodes
+   */
+  peek(maxNodes, excludedKeys) {
+    if (_.isUndefined(excludedKeys) || excludedKeys.size === 0) {
+      return this.nodes.slice(0, maxNodes);
+    }
+    const nodes = [];
+    _.forEach(this.nodes, (node) => {
+      if (!excludedKeys.has(node.key)) {
+        nodes.push(node);
+      }
+      return nodes.length < maxNodes;
+    });
+    return nodes;
+  }
+
+  /**
+   * Gets all the nodes of the queue, without removing them.
+   *
+   * @returns {Array} the nodes
+   */
+  getAll() {
+    return this.nodes.slice();
+  }
+
+  /**
+   * Removes nodes from the queue (ex: once they have been sent).
+   *
+   * @param {Array} keys the keys of the nodes to remove
+   */
+  remove(keys) {
+    const keySet = new Set(keys);
+    _.remove(this.nodes, node => keySet.has(node.key));
+    if (_.isEmpty(this.nodes)) {
+      // nothing is queued any more, so the journal can start afresh
+      fs.writeFileSync(this.file, '');
+    } else {
+      fs.appendFileSync(this.file, JSON.stringify({ op: 'remove', keys }) + '\n');
+    }
+  }
+
+  /**
+   * Removes all the nodes from the queue, without sending them.
+   */
+  clear() {
+    this.remove(_.map(this.nodes, 'key'));
+  }
+
+  /**
+   * Rewrites the journal with only the nodes still queued. The new journal is written to a temporary file
+   * which then replaces the journal, so the journal is never left half written.
+   */
+  compact() {
+    const tempFile = `${this.file}.tmp`;
+    fs.writeFileSync(tempFile, this.nodes.map(node => JSON.stringify({ op: 'push', node }) + '\n').join(''));
+    fs.renameSync(tempFile, this.file);
+  }
+
+};
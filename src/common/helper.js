@@ -8,8 +8,8 @@
 'use strict';
 
 const constants = require('../../config/simulator_constants');
-const uaa_util = require('predix-uaa-client');  // eslint-disable-line
 const _ = require('lodash');
+const RetryPolicy = require('./retry_policy');
 
 /**
  * Contains the set of ids already generated so far.
@@ -80,23 +80,47 @@ module.exports = class Helper {
   }
 
   /**
-   * Gets a new Predix security token to use when accessing Predix services.
+   * Converts a value to a CSV field, quoting it if required. Objects (ex: the ground truth) are written as JSON.
    *
-   * @param {string} uaaUrl the URL of the Predix UAA service
-   * @param {*} id the id to use for the UAA service
-   * @param {*} secret the secret to use for the UAA service
-   * @returns the Predix security token
+   * @param {*} val the value to convert
+   * @returns {string} the CSV field
    */
-  static async getPredixToken(uaaUrl, id, secret) {
-    try {
-      logger.logDebug('entered Helper.getPredixToken to generate a new token...');
-      const token = await uaa_util.getToken(uaaUrl + '/oauth/token', id, secret);
-      logger.logDebug('Helper.getPredixToken result: ' + token.access_token);
-      return token.access_token;
-    } catch (e) {
-      logger.logError(`Error getting token in Helper.getPredixToken: ${e}`, e);
-      return 'no_token';
+  static toCsvField(val) {
+    if (_.isUndefined(val) || _.isNull(val)) {
+      return '';
+    }
+    const str = _.isObject(val) ? JSON.stringify(val) : String(val);
+    if (/[",\r\n]/.test(str)) {
+      return '"' + str.replace(/"/g, '""') + '"';
+    }
+    return str;
+  }
+
+  /**
+   * Namespaces a name (ex: a time series tag or an asset key) with the id of the locomotive it belongs
+   * to, so the data of each locomotive in a fleet stays apart. Names for the default locomotive
+   * (LOCOMOTIVE_ID) are not namespaced.
+   *
+   * @param {string} name the name
+   * @param {string} locomotiveId the id of the locomotive
+   * @returns {string} the namespaced name
+   */
+  static getNamespacedName(name, locomotiveId) {
+    if (_.isUndefined(locomotiveId) || locomotiveId === constants.LOCOMOTIVE_ID) {
+      return name;
     }
+    return locomotiveId + '.' + name;
+  }
+
+  /**
+   * Gets the value of a command line argument given as '--name value'.
+   *
+   * @param {string} name the name of the argument (ex: --fleet)
+   * @returns {string} the value of the argument, or undefined if the argument was not provided
+   */
+  static getArgValue(name) {
+    const index = process.argv.indexOf(name);
+    return index === -1 ? undefined : process.argv[index + 1];
   }
 
   /**
@@ -125,27 +149,22 @@ module.exports = class Helper {
   /**
    * Loads nodes from queue to itemsInProgress array so they can be sent to a Predix service.
    *
-   * @param {Object} queue the queue containing all the nodes not sent to Predix yet
+   * @param {Object} queue the queue (a DurableQueue) containing all the nodes not sent to Predix yet
    * @param {Object} itemsInProgress the array which will get the queue's nodes loaded to it
+   * @param {Set} excludedKeys the keys of the nodes not to load (ex: the nodes already being sent), if any
    */
-  static setItemsInProgress(queue, itemsInProgress) {
+  static setItemsInProgress(queue, itemsInProgress, excludedKeys) {
     logger.logDebug('inside Helper.setItemsInProgress');
-    // load the nodes we are getting ready to send to predix to itemsInProgress
-    _.forEach(queue, (node) => {    // eslint-disable-line
-      itemsInProgress.push(node);
-
-      // limit the number of nodes to send during one operation
-      if (itemsInProgress.length === constants.MAX_NODES_TO_QUEUE_PER_SEND) {
-        return false;
-      }
-    });
+    // load the nodes we are getting ready to send to predix to itemsInProgress, limiting the number of nodes to send
+    // during one operation
+    itemsInProgress.push(...queue.peek(constants.MAX_NODES_TO_QUEUE_PER_SEND, excludedKeys));
     logger.logDebug(`leaving Helper.setItemsInProgress, itemsInProgress.length = ${itemsInProgress.length}`);
   }
 
   /**
    * Removes the processed items (e.g. items sent to Predix successfully) from the queue.
    *
-   * @param {Object} queue the queue
+   * @param {Object} queue the queue (a DurableQueue)
    * @param {Object} itemsInProgress the array containing the nodes successfully sent to Predix
    * @param {string} serviceType the type of Predix service (e.g. time series, etc.)
    */
@@ -154,8 +173,81 @@ module.exports = class Helper {
       `removing processed items from ${serviceType}.queue, itemsInProgress.length = ${itemsInProgress.length}`);
     _.forEach(itemsInProgress, (item) => {
       logger.logDebug(`removing item in ${serviceType}.queue for key: ${item.key}`);
-      _.remove(queue, { key: item.key });
     });
+    queue.remove(_.map(itemsInProgress, 'key'));
+  }
+
+  /**
+   * Handles the failed send of batches of a service (refer to retry_policy.js). Each batch has the nodes sent (items)
+   * and the number of attempts made to send them (numAttempts). The batches the retry policy of the service allows
+   * to retry are sent again, before the nodes queued after them, once the wait given by the policy is over (with a
+   * new token if it was rejected). The service sends nothing while waiting. The other batches are written to the
+   * dead-letter file of the service and removed from the queue, so they don't block the nodes queued after them.
+   *
+   * @param {Object} service the service, having a logger, a queue, the batches to retry (retryBatches), a flag
+   *   telling whether it is waiting to retry them (isWaitingToRetry), a retryPolicy, a deadLetterFile and a
+   *   tokenManager
+   * @param {Array} batches the batches which failed
+   * @param {string} reason why the send failed
+   * @param {number} status the HTTP status of the failure, undefined if there is none (ex: a network error)
+   * @param {Function} processData the function called with the service to send its next batches
+   * @param {string} serviceType the type of Predix service (e.g. TimeSeriesService)
+   */
+  static handleFailedSend(service, batches, reason, status, processData, serviceType) {
+    const retriedBatches = _.filter(batches, (batch) => {
+      batch.numAttempts += 1;
+      if (service.retryPolicy.shouldRetry(status, batch.numAttempts)) {
+        return true;
+      }
+      service.deadLetterFile.write(batch.items, reason, status, batch.numAttempts);
+      service.totDeadLettered += batch.items.length;
+      Helper.removeProcessedItemsFromQueue(service.queue, batch.items, serviceType);
+      return false;
+    });
+    if (_.isEmpty(retriedBatches)) {
+      processData(service);
+      return;
+    }
+
+    service.retryBatches.push(...retriedBatches);
+    const numAttempts = _.max(_.map(retriedBatches, 'numAttempts'));
+    const waitMs = service.retryPolicy.getWaitMs(numAttempts);
+    service.logger.logInfo(`${serviceType} send failed (${reason}), attempt ${numAttempts} of ` +
+      `${service.retryPolicy.maxAttempts}, trying again in ${waitMs} ms`);
+    if (RetryPolicy.isAuthFailure(status)) {
+      service.tokenManager.invalidate();
+    }
+
+    // a failure while waiting restarts the wait
+    service.isWaitingToRetry = true;
+    clearTimeout(service.retryTimer);
+    service.retryTimer = setTimeout(() => {
+      service.isWaitingToRetry = false;
+      processData(service);
+    }, waitMs);
+  }
+
+  /**
+   * Handles a failure to get the token to send batches of a service. If UAA rejected the client credentials,
+   * retrying is pointless: the service stops with the error (its failure), so it is finished and the next sends
+   * reject with the error, while the TokenManager emits a 'failure' event so the application can stop. The nodes of
+   * the batches stay queued (and journaled), to be sent once the credentials have been fixed. Otherwise, the failure
+   * is handled like a failed send (refer to handleFailedSend).
+   *
+   * @param {Object} service the service
+   * @param {Array} batches the batches which were to be sent
+   * @param {Object} err the error of the TokenManager
+   * @param {Function} processData the function called with the service to send its next batches
+   * @param {string} serviceType the type of Predix service (e.g. TimeSeriesService)
+   */
+  static handleTokenFailure(service, batches, err, processData, serviceType) {
+    if (err.isAuthFailure) {
+      service.logger.logError(`${serviceType} stopped sending data: ${err.message}`);
+      service.failure = err;
+      clearTimeout(service.retryTimer);
+      return;
+    }
+    Helper.handleFailedSend(service, batches, err.message, undefined, processData, serviceType);
   }
 
 };
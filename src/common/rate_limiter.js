@@ -0,0 +1,72 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the RateLimiter class, which limits the rate of the data sent to a Predix service
+ * (ex: the time series data points per second), so a run stays within the quotas of the Predix plan.
+ *
+ * It is a token bucket: the bucket fills up at the given rate, up to the burst, and sending an amount takes
+ * it from the bucket. A send is allowed once the bucket has the amount, or is full when the amount is more
+ * than the burst. The bucket can then go below zero, so a large send is paid back before the next one.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * This class is a rate limiter.
+ */
+module.exports = class RateLimiter {
+
+  /**
+   * Constructs a new instance of this class.
+   *
+   * @param {Object} options the options of the limiter
+   * @param {number} options.ratePerSecond the amount allowed per second, 0 for no limit
+   * @param {number} options.burst the largest amount allowed at once after a pause, defaults to the amount of one
+   *   second
+   * @throws {Error} if an option is invalid (ex: a negative rate)
+   */
+  constructor(options = {}) {
+    this.ratePerSecond = _.isUndefined(options.ratePerSecond) ? 0 : options.ratePerSecond;
+    this.burst = _.isUndefined(options.burst) ? this.ratePerSecond : options.burst;
+    if (!(this.ratePerSecond >= 0) || !(this.burst > 0 || this.ratePerSecond === 0)) {
+      throw new Error('The rate limiter must have a rate of 0 or more, and a burst greater than 0');
+    }
+    this.available = this.burst;
+    this.lastRefillTime = Date.now();
+  }
+
+  /**
+   * Determines whether the rate is limited.
+   *
+   * @returns {boolean} true if the rate is limited
+   */
+  isLimited() {
+    return this.ratePerSecond > 0;
+  }
+
+  /**
+   * Takes an amount (ex: the number of data points of a payload) if the rate allows it.
+   *
+   * @param {number} amount the amount to take
+   * @returns {number} 0 if the amount was taken, otherwise the time to wait in ms before it can be taken
+   */
+  tryTake(amount) {
+    if (!this.isLimited()) {
+      return 0;
+    }
+    const now = Date.now();
+    this.available = Math.min(this.burst, this.available + (((now - this.lastRefillTime) / 1000) * this.ratePerSecond));
+    this.lastRefillTime = now;
+
+    const missing = Math.min(amount, this.burst) - this.available;
+    if (missing > 0) {
+      return Math.ceil((missing / this.ratePerSecond) * 1000);
+    }
+    this.available -= amount;
+    return 0;
+  }
+
+};
@@ -0,0 +1,114 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the RetryPolicy class, which decides whether a failed send to a Predix service
+ * is retried, and how long to wait before retrying it.
+ *
+ * Failures are either permanent or transient:
+ * - a 4xx error is permanent (ex: 400 when Predix rejects the payload), as sending the same data again
+ *   will fail the same way, so it is not retried. The exceptions are 401 and 403 (the token has
+ *   expired, so it is renewed before retrying), 408 (request timeout) and 429 (too many requests).
+ * - any other failure (ex: a network error, or a 5xx error) is transient, and is retried.
+ *
+ * Transient failures are retried with an exponential backoff: the wait doubles (refer to
+ * RETRY_BACKOFF_MULTIPLIER) at each attempt, from WAIT_SECONDS_BETWEEN_FAILED_REQUESTS up to
+ * MAX_WAIT_SECONDS_BETWEEN_FAILED_REQUESTS. A random part of the wait (refer to RETRY_JITTER) is
+ * taken off, so the instances which failed at the same time don't all retry at the same time.
+ * Once MAX_SEND_ATTEMPTS attempts have failed, the failure is handled like a permanent one.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const constants = require('../../config/simulator_constants');
+
+/**
+ * The 4xx statuses of the failures which are transient.
+ * @private
+ */
+const transientClientErrorStatuses = [401, 403, 408, 429];
+
+/**
+ * The statuses of the failures caused by an invalid or expired token.
+ * @private
+ */
+const authErrorStatuses = [401, 403];
+
+/**
+ * This class is the retry policy of the sends to a Predix service.
+ */
+module.exports = class RetryPolicy {
+
+  /**
+   * Constructs a new instance of this class.
+   *
+   * @param {Object} options the options of the policy, each one defaulting to the simulator constant in brackets
+   * @param {number} options.initialWaitSeconds the wait before the first retry
+   *   (WAIT_SECONDS_BETWEEN_FAILED_REQUESTS)
+   * @param {number} options.maxWaitSeconds the longest wait between two attempts
+   *   (MAX_WAIT_SECONDS_BETWEEN_FAILED_REQUESTS)
+   * @param {number} options.multiplier the factor the wait is multiplied by at each attempt (RETRY_BACKOFF_MULTIPLIER)
+   * @param {number} options.jitter the largest fraction of the wait taken off at random, from 0 to 1 (RETRY_JITTER)
+   * @param {number} options.maxAttempts the number of attempts after which a send is given up (MAX_SEND_ATTEMPTS)
+   * @throws {Error} if an option is invalid (ex: a jitter greater than 1)
+   */
+  constructor(options = {}) {
+    _.assign(this, {
+      initialWaitSeconds: constants.WAIT_SECONDS_BETWEEN_FAILED_REQUESTS,
+      maxWaitSeconds: constants.MAX_WAIT_SECONDS_BETWEEN_FAILED_REQUESTS,
+      multiplier: constants.RETRY_BACKOFF_MULTIPLIER,
+      jitter: constants.RETRY_JITTER,
+      maxAttempts: constants.MAX_SEND_ATTEMPTS,
+    }, options);
+
+    if (!(this.initialWaitSeconds >= 0) || !(this.maxWaitSeconds >= this.initialWaitSeconds) ||
+      !(this.multiplier >= 1) || !(this.jitter >= 0 && this.jitter <= 1) || !(this.maxAttempts >= 1)) {
+      throw new Error('The retry policy must have a wait of 0 or more, a maximum wait not less than it, a multiplier ' +
+        'of 1 or more, a jitter from 0 to 1 and at least 1 attempt');
+    }
+  }
+
+  /**
+   * Determines whether a failure is permanent, so the send must not be retried.
+   *
+   * @param {number} status the HTTP status of the failure, undefined if there is none (ex: a network error)
+   * @returns {boolean} true if the failure is permanent
+   */
+  static isPermanentFailure(status) {
+    return status >= 400 && status < 500 && transientClientErrorStatuses.indexOf(status) === -1;
+  }
+
+  /**
+   * Determines whether a failure was caused by an invalid or expired token, so the token must be renewed.
+   *
+   * @param {number} status the HTTP status of the failure, undefined if there is none
+   * @returns {boolean} true if the failure was caused by the token
+   */
+  static isAuthFailure(status) {
+    return authErrorStatuses.indexOf(status) !== -1;
+  }
+
+  /**
+   * Determines whether a failed send is retried.
+   *
+   * @param {number} status the HTTP status of the failure, undefined if there is none
+   * @param {number} numAttempts the number of attempts made so far, including the failed one
+   * @returns {boolean} true if the send is retried
+   */
+  shouldRetry(status, numAttempts) {
+    return !RetryPolicy.isPermanentFailure(status) && numAttempts < this.maxAttempts;
+  }
+
+  /**
+   * Gets the time to wait before the next attempt.
+   *
+   * @param {number} numAttempts the number of attempts made so far, including the failed one
+   * @returns {number} the time to wait in ms
+   */
+  getWaitMs(numAttempts) {
+    const wait = Math.min(this.maxWaitSeconds, this.initialWaitSeconds * (this.multiplier ** (numAttempts - 1)));
+    return Math.round(wait * (1 - (this.jitter * Math.random())) * 1000);
+  }
+
+};
@@ -0,0 +1,137 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the TokenManager class, which gets the Predix security tokens from the UAA
+ * service with the client credentials grant, and shares them between the services of a Predix
+ * configuration (ex: TimeSeriesService and AssetService).
+ *
+ * The token is cached along with its expiry (the expires_in of the UAA response), and renewed
+ * TOKEN_RENEW_SECONDS_BEFORE_EXPIRY seconds before it expires, so the services always send a valid
+ * token. Concurrent requests for a token share the same UAA request.
+ *
+ * Getting a token fails with an Error explaining why, which has:
+ * - status: the HTTP status of the UAA response, if any
+ * - isAuthFailure: true when UAA rejected the client credentials (a 4xx error). Retrying is pointless,
+ *   so the manager also emits a 'failure' event with the error, which lets the application stop.
+ * Other failures (ex: a network error) may be transient, so the next request for a token tries again.
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const Promise = require('bluebird');
+const _ = require('lodash');
+const request = require('superagent');
+const constants = require('../../config/simulator_constants');
+
+// wire up proxy if needed
+if (process.env.http_proxy) {
+  require('superagent-proxy')(request);    // eslint-disable-line
+}
+
+/**
+ * Requests a new token from UAA.
+ *
+ * @param {Object} manager the token manager
+ * @returns {Object} a Promise which will resolve to the token, having an accessToken and an expiryTime in ms
+ * @private
+ */
+const requestToken = async (manager) => {
+  const { predixConfig, logger } = manager;
+  const tokenUrl = predixConfig.uaa_url + '/oauth/token';
+  logger.logDebug(`requesting a new token from ${tokenUrl} for client ${predixConfig.client_id}`);
+
+  const requestTime = Date.now();
+  let res;
+  try {
+    const postReq = request.post(tokenUrl);
+    if (!_.isUndefined(postReq.proxy)) {
+      postReq.proxy(process.env.http_proxy);
+    }
+    res = await postReq
+      .auth(predixConfig.client_id, predixConfig.client_secret)
+      .type('form')
+      .send({ grant_type: 'client_credentials' });
+  } catch (e) {
+    const isAuthFailure = e.status >= 400 && e.status < 500;
+    const err = new Error(isAuthFailure ?
+      `UAA rejected the credentials of client ${predixConfig.client_id} (${e.status} from ${tokenUrl}), check ` +
+      'the client_id, client_secret and uaa_url in config/predix_config.json' :
+      `Unable to get a token from ${tokenUrl}: ${e.message}`);
+    err.status = e.status;
+    err.isAuthFailure = isAuthFailure;
+    throw err;
+  }
+
+  const body = res.body || {};
+  if (!_.isString(body.access_token) || !(body.expires_in > 0)) {
+    throw new Error(`The response of ${tokenUrl} has no access_token or expires_in`);
+  }
+  logger.logDebug(`got a new token for client ${predixConfig.client_id}, expiring in ${body.expires_in} s`);
+  return { accessToken: body.access_token, expiryTime: requestTime + (body.expires_in * 1000) };
+};
+
+/**
+ * This class gets and caches the Predix security tokens.
+ */
+module.exports = class TokenManager extends EventEmitter {
+
+  /**
+   * Constructs a new instance of this class.
+   *
+   * @param {Object} predixConfig the Predix configuration, having the uaa_url, client_id and client_secret
+   * @param {Object} log the logger
+   * @param {number} renewSecondsBeforeExpiry how long before its expiry the token is renewed, defaults to
+   *   TOKEN_RENEW_SECONDS_BEFORE_EXPIRY
+   */
+  constructor(predixConfig, log, renewSecondsBeforeExpiry = constants.TOKEN_RENEW_SECONDS_BEFORE_EXPIRY) {
+    super();
+    this.predixConfig = predixConfig;
+    this.logger = log;
+    this.renewSecondsBeforeExpiry = renewSecondsBeforeExpiry;
+    this.token = undefined;
+    this.pendingRequest = undefined;
+  }
+
+  /**
+   * Gets a valid token, requesting a new one from UAA if there is none yet, or if it is about to expire.
+   *
+   * @returns {Object} a Promise which will resolve to the access token
+   * @throws {Error} if the token could not be got (refer to the module description)
+   */
+  async getToken() {
+    if (!_.isUndefined(this.token) &&
+      Date.now() < this.token.expiryTime - (this.renewSecondsBeforeExpiry * 1000)) {
+      return this.token.accessToken;
+    }
+
+    // concurrent requests for a token share the same UAA request
+    if (_.isUndefined(this.pendingRequest)) {
+      this.pendingRequest = Promise.resolve(requestToken(this))
+        .then((token) => {
+          this.token = token;
+          return token.accessToken;
+        })
+        .catch((e) => {
+          this.logger.logError(`Error getting token in TokenManager.getToken: ${e.message}`);
+          if (e.isAuthFailure) {
+            this.emit('failure', e);
+          }
+          throw e;
+        })
+        .finally(() => {
+          this.pendingRequest = undefined;
+        });
+    }
+    return this.pendingRequest;
+  }
+
+  /**
+   * Drops the cached token (ex: when a service rejected it), so the next call to getToken() requests a new one.
+   */
+  invalidate() {
+    this.token = undefined;
+  }
+
+};
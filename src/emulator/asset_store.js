@@ -0,0 +1,128 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the AssetStore class, which keeps the asset records of the local Predix emulator
+ * (refer to predix_emulator.js), like the collections of the Predix asset service.
+ *
+ * The records are kept apart by zone (the predix-zone-id of the requests). Each record has a uri in its
+ * collection (ex: /locomotive/speed.1000), and posting a record with an existing uri replaces it.
+ *
+ * The records of a collection can be filtered like in Predix, with terms joined by ':' (all the terms
+ * must match). Each term is 'field=value', where the field can be a path (ex: thresholds.name), the value
+ * can have '*' wildcards, and 'field=value1|value2' matches either value.
+ * Ex: name=speed, type=locomotive:name=loco*
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const Helper = require('../common/helper');
+
+/**
+ * Parses the filter of a collection query.
+ *
+ * @param {string} filter the filter (ex: name=speed)
+ * @returns {Array} the terms of the filter, each one having the path of its field, and the regular expressions
+ *   matching its values
+ * @throws {Error} if the filter is invalid
+ * @private
+ */
+const parseFilter = filter => _.map(filter.split(':'), (term) => {
+  const index = term.indexOf('=');
+  if (index <= 0) {
+    throw new Error(`Invalid filter term '${term}', it must be field=value`);
+  }
+  return {
+    path: term.substring(0, index),
+    values: _.map(term.substring(index + 1).split('|'), value =>
+      new RegExp('^' + _.map(value.split('*'), Helper.escapeRegExp).join('.*') + '$')),
+  };
+});
+
+/**
+ * Determines whether a record matches a term of a filter. A field which is an array matches when one of its
+ * elements matches.
+ *
+ * @param {Object} record the record
+ * @param {Object} term the term (refer to parseFilter)
+ * @returns {boolean} true if the record matches
+ * @private
+ */
+const matchesTerm = (record, term) => {
+  const fieldValue = _.get(record, term.path);
+  const fieldValues = _.isArray(fieldValue) ? fieldValue : [fieldValue];
+  return _.some(fieldValues, element => !_.isNil(element) &&
+    _.some(term.values, value => value.test(String(element))));
+};
+
+/**
+ * This class keeps the asset records of the emulator.
+ */
+module.exports = class AssetStore {
+
+  /**
+   * Constructs a new instance of this class.
+   */
+  constructor() {
+    /**
+     * The records of each zone, by zone id. The records are by uri.
+     */
+    this.zones = new Map();
+  }
+
+  /**
+   * Creates or replaces records of a collection.
+   *
+   * @param {string} zoneId the id of the zone
+   * @param {string} collection the collection (ex: locomotive)
+   * @param {Array} records the records, each one having a uri in the collection (ex: /locomotive/speed.1000)
+   * @throws {Error} if a record is invalid, in which case none of the records are stored
+   */
+  upsert(zoneId, collection, records) {
+    if (!_.isArray(records)) {
+      throw new Error('The body must be an array of records');
+    }
+    _.forEach(records, (record, index) => {
+      if (!_.isPlainObject(record) || !_.isString(record.uri) || !record.uri.startsWith(`/${collection}/`)) {
+        throw new Error(`record ${index} must have a uri in the ${collection} collection (ex: /${collection}/id)`);
+      }
+    });
+
+    if (!this.zones.has(zoneId)) {
+      this.zones.set(zoneId, new Map());
+    }
+    const zone = this.zones.get(zoneId);
+    _.forEach(records, (record) => {
+      zone.set(record.uri, _.cloneDeep(record));
+    });
+  }
+
+  /**
+   * Gets the records of a collection.
+   *
+   * @param {string} zoneId the id of the zone
+   * @param {string} collection the collection (ex: locomotive)
+   * @param {string} filter the filter the records must match (refer to the module description), if any
+   * @returns {Array} the records, in the order they were first posted
+   * @throws {Error} if the filter is invalid
+   */
+  find(zoneId, collection, filter) {
+    const terms = _.isUndefined(filter) ? [] : parseFilter(filter);
+    const records = _.filter(Array.from((this.zones.get(zoneId) || new Map()).values()),
+      record => record.uri.startsWith(`/${collection}/`));
+    return _.filter(records, record => _.every(terms, term => matchesTerm(record, term)));
+  }
+
+  /**
+   * Gets a record.
+   *
+   * @param {string} zoneId the id of the zone
+   * @param {string} uri the uri of the record (ex: /locomotive/speed.1000)
+   * @returns {Object} the record, undefined if there is none
+   */
+  get(zoneId, uri) {
+    return (this.zones.get(zoneId) || new Map()).get(uri);
+  }
+
+};
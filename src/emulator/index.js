@@ -0,0 +1,94 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the Predix emulator utility, which starts the local Predix emulator (refer to
+ * predix_emulator.js) on EMULATOR_PORT, until it is stopped with Ctrl+C.
+ *
+ * It can be run using 'npm run emulator'. With the '--write-config' argument, it also writes the
+ * ./config/predix_config.json file pointing to the emulator (once confirmed if the file already exists),
+ * so 'npm run app', 'npm run verify' and 'npm run queue -- drain' use the emulator instead of Predix.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const jsonfile = require('jsonfile');
+const readlineSync = require('readline-sync');
+const constants = require('../../config/simulator_constants');
+const logger = require('../common/logger')(constants.EMULATOR_LOGFILE_NAME, false);
+const PredixEmulator = require('./predix_emulator');
+
+/**
+ * The file of the Predix configuration used by the simulator and the utilities.
+ */
+const PREDIX_CONFIG_FILE = './config/predix_config.json';
+
+/**
+ * Logs a message and arguments.
+ *
+ * @param {string} msg the message to log
+ * @param {...Object} args the arguments to log
+ */
+const logMsg = (msg, ...args) => {
+  console.log(msg, ...args);    // eslint-disable-line
+  if (msg !== '') {
+    logger.logInfo(msg, ...args);
+  }
+};
+
+/**
+ * Writes the Predix configuration of the emulator to PREDIX_CONFIG_FILE, once confirmed if the file already exists
+ * (ex: it was written by the setup utility for a Predix tenant).
+ *
+ * @param {Object} predixConfig the Predix configuration of the emulator
+ */
+const writeConfigToFile = (predixConfig) => {
+  if (fs.existsSync(PREDIX_CONFIG_FILE)) {
+    const answer = readlineSync.question(`Replace the existing ${PREDIX_CONFIG_FILE} with the configuration of the ` +
+      'emulator? (y/n) ');
+    if (answer.trim().toLowerCase() !== 'y') {
+      logMsg(`${PREDIX_CONFIG_FILE} not written`);
+      return;
+    }
+  }
+  jsonfile.writeFileSync(PREDIX_CONFIG_FILE, predixConfig, { spaces: 2 });
+  logMsg(`wrote the configuration of the emulator to ${PREDIX_CONFIG_FILE}`);
+};
+
+/**
+ * Runs the Predix emulator utility.
+ */
+const runEmulator = async () => {
+  try {
+    logMsg('');
+    logMsg('-------------------------------------------------------');
+    logMsg('                    Predix Emulator                    ');
+    logMsg('-------------------------------------------------------');
+
+    const emulator = new PredixEmulator(logger);
+    await emulator.start();
+    const predixConfig = emulator.getPredixConfig();
+    if (process.argv.indexOf('--write-config') !== -1) {
+      writeConfigToFile(predixConfig);
+    }
+
+    logMsg(`UAA:                    ${predixConfig.uaa_url} (client ${predixConfig.client_id}, secret ` +
+      `${predixConfig.client_secret})`);
+    logMsg(`time series ingestion:  ${predixConfig.time_series_websocket_url}`);
+    logMsg(`time series queries:    ${predixConfig.time_series_url}`);
+    logMsg(`asset:                  ${predixConfig.asset_service_url}`);
+    logMsg('press Ctrl+C to stop the emulator (its data is not kept)');
+
+    process.on('SIGINT', async () => {
+      await emulator.stop();
+      logMsg('emulator stopped');
+      process.exit(0);
+    });
+  } catch (err) {
+    logMsg('Error when running Predix emulator! ', err);
+    process.exitCode = 1;
+  }
+};
+
+runEmulator();
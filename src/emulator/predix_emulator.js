@@ -0,0 +1,391 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the PredixEmulator class, a local server emulating the Predix services used by the
+ * simulator, so the simulator, the verification utility and the queue utility can be run without a Predix
+ * tenant (ex: offline, or when the Free plan is unavailable). It serves, on one port:
+ * - UAA (/uaa): POST /uaa/oauth/token issues client credentials tokens, valid for EMULATOR_TOKEN_SECONDS,
+ *   to the clients of the emulator (by default, the client and the admin of predix_config_template.json)
+ * - time series ingestion (/v1/stream/messages): a web socket acknowledging each payload with its messageId
+ *   and a status code, 202 when the data points are stored, 400 when the payload is invalid, or 413 when its
+ *   JSON is larger than TIME_SERIES_MAX_MESSAGE_BYTES. Payloads compressed with gzip are sent as binary messages.
+ * - time series queries (/v1): GET /v1/tags and POST /v1/datapoints
+ * - asset (/asset): POST /asset/<collection> stores records, GET /asset/<collection>?filter=... finds them
+ *   and GET /asset/<collection>/<id> gets one
+ *
+ * Every request but the token requests must have a valid token (or it fails with a 401 status) and a zone
+ * id, which keeps the data of each zone apart. The data is kept in memory (refer to time_series_store.js
+ * and asset_store.js), so it is lost when the emulator stops.
+ */
+
+'use strict';
+
+const http = require('http');
+const zlib = require('zlib');
+const querystring = require('querystring');
+const url = require('url');
+const WebSocket = require('ws');
+const Promise = require('bluebird');
+const _ = require('lodash');
+const Helper = require('../common/helper');
+const TimeSeriesStore = require('./time_series_store');
+const AssetStore = require('./asset_store');
+const constants = require('../../config/simulator_constants');
+const predixConfigTemplate = require('../../config/templates/predix_config_template.json');
+
+/**
+ * The path of the time series ingestion web socket.
+ * @private
+ */
+const WEBSOCKET_PATH = '/v1/stream/messages';
+
+/**
+ * Sends a JSON response.
+ *
+ * @param {Object} res the response
+ * @param {number} status the HTTP status
+ * @param {Object} body the body, sent as JSON
+ * @private
+ */
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Reads the body of a request.
+ *
+ * @param {Object} req the request
+ * @returns {Object} a Promise which will resolve to the body as a string
+ * @private
+ */
+const readBody = req => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+/**
+ * Determines whether a request has a valid token (ex: 'Authorization: Bearer <token>').
+ *
+ * @param {Object} emulator the emulator
+ * @param {Object} headers the headers of the request
+ * @returns {boolean} true if the request has a valid token
+ * @private
+ */
+const hasValidToken = (emulator, headers) => {
+  const match = /^Bearer (.+)$/i.exec(headers.authorization || '');
+  const expiryTime = match ? emulator.tokens.get(match[1]) : undefined;
+  return !_.isUndefined(expiryTime) && Date.now() < expiryTime;
+};
+
+/**
+ * Issues a client credentials token, to a client authenticated with basic authentication.
+ *
+ * @param {Object} emulator the emulator
+ * @param {Object} req the request
+ * @param {Object} res the response
+ * @param {string} body the body of the request, a form having the grant_type
+ * @private
+ */
+const issueToken = (emulator, req, res, body) => {
+  const form = querystring.parse(body);
+  if (form.grant_type !== 'client_credentials') {
+    sendJson(res, 400, { error: 'unsupported_grant_type', error_description: 'Only client_credentials is supported' });
+    return;
+  }
+  const match = /^Basic (.+)$/i.exec(req.headers.authorization || '');
+  const credentials = match ? Buffer.from(match[1], 'base64').toString('utf8') : '';
+  const separatorIndex = credentials.indexOf(':');
+  const clientId = credentials.substring(0, separatorIndex);
+  if (separatorIndex === -1 || emulator.clients[clientId] !== credentials.substring(separatorIndex + 1)) {
+    emulator.logger.logInfo(`rejected the credentials of client '${clientId}'`);
+    sendJson(res, 401, { error: 'unauthorized', error_description: 'Bad credentials' });
+    return;
+  }
+
+  const token = Helper.getId();
+  emulator.tokens.set(token, Date.now() + (emulator.tokenSeconds * 1000));
+  emulator.logger.logDebug(`issued a token to client '${clientId}'`);
+  sendJson(res, 200, {
+    access_token: token,
+    token_type: 'bearer',
+    expires_in: emulator.tokenSeconds,
+    scope: 'uaa.none',
+    jti: token,
+  });
+};
+
+/**
+ * Handles a request to the time series query API.
+ *
+ * @param {Object} emulator the emulator
+ * @param {Object} req the request
+ * @param {Object} res the response
+ * @param {string} path the path of the request, relative to /v1 (ex: /tags)
+ * @param {string} zoneId the id of the zone
+ * @param {string} body the body of the request
+ * @private
+ */
+const handleTimeSeriesRequest = (emulator, req, res, path, zoneId, body) => {
+  if (req.method === 'GET' && path === '/tags') {
+    sendJson(res, 200, { results: emulator.timeSeriesStore.getTags(zoneId) });
+  } else if (req.method === 'POST' && path === '/datapoints') {
+    sendJson(res, 200, emulator.timeSeriesStore.queryDatapoints(zoneId, JSON.parse(body)));
+  } else {
+    sendJson(res, 404, { error: `Unknown time series request ${req.method} /v1${path}` });
+  }
+};
+
+/**
+ * Handles a request to the asset service.
+ *
+ * @param {Object} emulator the emulator
+ * @param {Object} req the request
+ * @param {Object} res the response
+ * @param {Object} requestUrl the url of the request, parsed with its query
+ * @param {string} path the path of the request, relative to /asset (ex: /locomotive)
+ * @param {string} zoneId the id of the zone
+ * @param {string} body the body of the request
+ * @private
+ */
+const handleAssetRequest = (emulator, req, res, requestUrl, path, zoneId, body) => {
+  const [collection, id, ...rest] = _.compact(path.split('/'));
+  if (_.isUndefined(collection) || !_.isEmpty(rest)) {
+    sendJson(res, 404, { error: `Unknown asset request ${req.method} /asset${path}` });
+  } else if (req.method === 'POST' && _.isUndefined(id)) {
+    emulator.assetStore.upsert(zoneId, collection, JSON.parse(body));
+    res.writeHead(204);
+    res.end();
+  } else if (req.method === 'GET' && _.isUndefined(id)) {
+    sendJson(res, 200, emulator.assetStore.find(zoneId, collection, requestUrl.query.filter));
+  } else if (req.method === 'GET') {
+    const record = emulator.assetStore.get(zoneId, `/${collection}/${id}`);
+    if (_.isUndefined(record)) {
+      sendJson(res, 404, { error: `There is no asset /${collection}/${id}` });
+    } else {
+      sendJson(res, 200, [record]);
+    }
+  } else {
+    sendJson(res, 405, { error: `Unsupported asset request ${req.method} /asset${path}` });
+  }
+};
+
+/**
+ * Handles a HTTP request to the emulator.
+ *
+ * @param {Object} emulator the emulator
+ * @param {Object} req the request
+ * @param {Object} res the response
+ * @private
+ */
+const handleRequest = async (emulator, req, res) => {
+  const { logger } = emulator;
+  try {
+    const requestUrl = url.parse(req.url, true);
+    const path = requestUrl.pathname;
+    const body = await readBody(req);
+    logger.logDebug(`${req.method} ${req.url}`);
+
+    if (req.method === 'POST' && path === '/uaa/oauth/token') {
+      issueToken(emulator, req, res, body);
+      return;
+    }
+    if (!hasValidToken(emulator, req.headers)) {
+      sendJson(res, 401, { error: 'invalid_token', error_description: 'The token is missing, unknown or expired' });
+      return;
+    }
+    const zoneId = req.headers['predix-zone-id'];
+    if (_.isUndefined(zoneId)) {
+      sendJson(res, 400, { error: 'The predix-zone-id header is missing' });
+      return;
+    }
+
+    if (path.startsWith('/v1/')) {
+      handleTimeSeriesRequest(emulator, req, res, path.substring('/v1'.length), zoneId, body);
+    } else if (path.startsWith('/asset/')) {
+      handleAssetRequest(emulator, req, res, requestUrl, path.substring('/asset'.length), zoneId, body);
+    } else {
+      sendJson(res, 404, { error: `Unknown request ${req.method} ${path}` });
+    }
+  } catch (e) {
+    // the body or the query is invalid
+    logger.logError(`rejected the request ${req.method} ${req.url}: ${e.message}`);
+    sendJson(res, 400, { error: e.message });
+  }
+};
+
+/**
+ * Handles a connection to the time series ingestion web socket: each payload is acknowledged with its messageId
+ * and a status code. The size limit applies to the JSON of the payload, so binary messages are checked once they
+ * have been uncompressed.
+ *
+ * @param {Object} emulator the emulator
+ * @param {Object} ws the web socket
+ * @param {string} zoneId the id of the zone
+ * @private
+ */
+const handleIngestion = (emulator, ws, zoneId) => {
+  const { logger } = emulator;
+  ws.on('message', (msg) => {
+    let messageId;
+    let statusCode;
+    try {
+      const json = Buffer.isBuffer(msg) ? zlib.gunzipSync(msg).toString('utf8') : msg;
+      const payload = JSON.parse(json);
+      messageId = _.get(payload, 'messageId');
+      if (_.isNil(messageId)) {
+        throw new Error('The payload must have a messageId');
+      }
+      if (Buffer.byteLength(json) > constants.TIME_SERIES_MAX_MESSAGE_BYTES) {
+        logger.logError(`rejected message ${messageId} in zone ${zoneId}: its JSON has ${Buffer.byteLength(json)} ` +
+          `bytes, more than ${constants.TIME_SERIES_MAX_MESSAGE_BYTES}`);
+        statusCode = 413;
+      } else {
+        const numDatapoints = emulator.timeSeriesStore.ingest(zoneId, payload);
+        logger.logDebug(`ingested message ${messageId} (${numDatapoints} data points) in zone ${zoneId}`);
+        statusCode = 202;
+      }
+    } catch (e) {
+      logger.logError(`rejected message ${messageId} in zone ${zoneId}: ${e.message}`);
+      statusCode = 400;
+    }
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ messageId, statusCode }));
+    }
+  });
+  ws.on('error', (e) => {
+    logger.logError(`time series web socket error in zone ${zoneId}: ${e.message}`);
+  });
+};
+
+/**
+ * This class is the local Predix emulator.
+ */
+module.exports = class PredixEmulator {
+
+  /**
+   * Constructs a new instance of this class.
+   *
+   * @param {Object} log the logger
+   * @param {Object} options the options of the emulator
+   * @param {number} options.port the port to listen on, defaults to EMULATOR_PORT (0 picks a free port)
+   * @param {Object} options.clients the secrets of the UAA clients, by client id. Defaults to the client and the
+   *   admin of predix_config_template.json
+   * @param {number} options.tokenSeconds how long the tokens are valid, defaults to EMULATOR_TOKEN_SECONDS
+   */
+  constructor(log, options = {}) {
+    /**
+     * The logger object used to log messages.
+     */
+    this.logger = log;
+
+    /**
+     * The port to listen on.
+     */
+    this.port = _.isUndefined(options.port) ? constants.EMULATOR_PORT : options.port;
+
+    /**
+     * The secrets of the UAA clients, by client id.
+     */
+    this.clients = options.clients || {
+      [predixConfigTemplate.client_id]: predixConfigTemplate.client_secret,
+      admin: predixConfigTemplate.uaa_admin_client_secret,
+    };
+
+    /**
+     * How long in seconds the tokens issued are valid.
+     */
+    this.tokenSeconds = options.tokenSeconds || constants.EMULATOR_TOKEN_SECONDS;
+
+    /**
+     * The expiry times in ms of the tokens issued, by token.
+     */
+    this.tokens = new Map();
+
+    /**
+     * The time series data points.
+     */
+    this.timeSeriesStore = new TimeSeriesStore();
+
+    /**
+     * The asset records.
+     */
+    this.assetStore = new AssetStore();
+
+    /**
+     * The HTTP server, once started.
+     */
+    this.server = undefined;
+
+    /**
+     * The time series ingestion web socket server, once started.
+     */
+    this.wss = undefined;
+  }
+
+  /**
+   * Starts the emulator.
+   *
+   * @returns {Object} a Promise which will resolve once the emulator is listening
+   */
+  start() {
+    this.server = http.createServer((req, res) => handleRequest(this, req, res));
+    this.wss = new WebSocket.Server({
+      server: this.server,
+      path: WEBSOCKET_PATH,
+      verifyClient: (info, callback) => {
+        if (!hasValidToken(this, info.req.headers)) {
+          callback(false, 401, 'Unauthorized');
+        } else if (_.isUndefined(info.req.headers['predix-zone-id'])) {
+          callback(false, 400, 'Missing Predix-Zone-Id');
+        } else {
+          callback(true);
+        }
+      },
+    });
+    this.wss.on('connection', (ws, req) => handleIngestion(this, ws, req.headers['predix-zone-id']));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, () => {
+        this.port = this.server.address().port;
+        this.logger.logInfo(`Predix emulator listening on port ${this.port}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stops the emulator, closing the open web sockets.
+   *
+   * @returns {Object} a Promise which will resolve once the emulator is stopped
+   */
+  stop() {
+    this.wss.clients.forEach(ws => ws.terminate());
+    return Promise.fromCallback(callback => this.wss.close(callback))
+      .then(() => Promise.fromCallback(callback => this.server.close(callback)));
+  }
+
+  /**
+   * Gets the Predix configuration of the services of the emulator, in the form of config/predix_config.json, so the
+   * simulator and the utilities use the emulator instead of Predix.
+   *
+   * @returns {Object} the Predix configuration
+   */
+  getPredixConfig() {
+    const baseUrl = `http://localhost:${this.port}`;
+    return _.assign(_.cloneDeep(predixConfigTemplate), {
+      uaa_service_instance_guid: 'emulator-uaa',
+      uaa_url: `${baseUrl}/uaa`,
+      time_series_service_instance_guid: 'emulator-time-series',
+      time_series_websocket_url: `ws://localhost:${this.port}${WEBSOCKET_PATH}`,
+      time_series_url: `${baseUrl}/v1/`,
+      asset_service_instance_guid: 'emulator-asset',
+      asset_service_url: `${baseUrl}/asset/`,
+    });
+  }
+
+};
@@ -0,0 +1,190 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the TimeSeriesStore class, which keeps the time series data points of the local
+ * Predix emulator (refer to predix_emulator.js). It ingests the payloads sent on the time series web socket,
+ * and answers the tag and data point queries of the time series query API.
+ *
+ * The data points are kept apart by zone (the Predix-Zone-Id of the requests). Like in Predix, a data
+ * point sent with the timestamp of an existing data point of the same tag replaces it.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * The units of the relative times of the queries (ex: 1h-ago), in ms.
+ * @private
+ */
+const timeUnits = {
+  ms: 1,
+  s: 1000,
+  mi: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  mm: 30 * 24 * 60 * 60 * 1000,
+  y: 365 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * The quality of the data points sent without one (3 is good, 2 not applicable, 1 uncertain and 0 bad).
+ * @private
+ */
+const GOOD_QUALITY = 3;
+
+/**
+ * Parses a time of a data point query.
+ *
+ * @param {number|string} time the time in ms, or a relative time (ex: 5000y-ago)
+ * @param {number} now the current time in ms
+ * @returns {number} the time in ms
+ * @throws {Error} if the time is invalid
+ * @private
+ */
+const parseQueryTime = (time, now) => {
+  if (_.isFinite(time)) {
+    return time;
+  }
+  const match = /^(\d+)(ms|s|mi|h|d|w|mm|y)-ago$/.exec(time);
+  if (!match) {
+    throw new Error(`Invalid time ${JSON.stringify(time)}, it must be a time in ms or a relative time (ex: 1h-ago)`);
+  }
+  return now - (Number(match[1]) * timeUnits[match[2]]);
+};
+
+/**
+ * Checks an element of the body of an ingestion payload.
+ *
+ * @param {Object} element the element, having the name of a tag, its datapoints and its attributes
+ * @param {number} index the index of the element in the body
+ * @throws {Error} if the element is invalid
+ * @private
+ */
+const checkBodyElement = (element, index) => {
+  if (!_.isObject(element) || !_.isString(element.name) || element.name === '') {
+    throw new Error(`body[${index}] must have a name`);
+  }
+  if (!_.isArray(element.datapoints)) {
+    throw new Error(`body[${index}].datapoints must be an array`);
+  }
+  _.forEach(element.datapoints, (datapoint) => {
+    if (!_.isArray(datapoint) || !_.isFinite(datapoint[0]) || !_.isFinite(datapoint[1]) ||
+      !(_.isUndefined(datapoint[2]) || _.includes([0, 1, 2, 3], datapoint[2]))) {
+      throw new Error(`body[${index}] (${element.name}) has the invalid data point ${JSON.stringify(datapoint)}, it ` +
+        'must be [timestamp, value] or [timestamp, value, quality]');
+    }
+  });
+  if (!_.isUndefined(element.attributes) && !_.isPlainObject(element.attributes)) {
+    throw new Error(`body[${index}].attributes must be an object`);
+  }
+};
+
+/**
+ * This class keeps the time series data points of the emulator.
+ */
+module.exports = class TimeSeriesStore {
+
+  /**
+   * Constructs a new instance of this class.
+   */
+  constructor() {
+    /**
+     * The tags of each zone, by zone id. The tags are by name, each one having its attributes and its data points
+     * by timestamp.
+     */
+    this.zones = new Map();
+  }
+
+  /**
+   * Ingests a payload sent on the time series web socket.
+   *
+   * @param {string} zoneId the id of the zone
+   * @param {Object} payload the payload, having a messageId and a body
+   * @returns {number} the number of data points ingested
+   * @throws {Error} if the payload is invalid, in which case none of its data points are ingested
+   */
+  ingest(zoneId, payload) {
+    if (!_.isArray(_.get(payload, 'body'))) {
+      throw new Error('The payload must have a body array');
+    }
+    _.forEach(payload.body, checkBodyElement);
+
+    if (!this.zones.has(zoneId)) {
+      this.zones.set(zoneId, new Map());
+    }
+    const tags = this.zones.get(zoneId);
+    _.forEach(payload.body, (element) => {
+      if (!tags.has(element.name)) {
+        tags.set(element.name, { attributes: {}, datapoints: new Map() });
+      }
+      const tag = tags.get(element.name);
+      _.assign(tag.attributes, element.attributes);
+      _.forEach(element.datapoints, ([timestamp, value, quality]) => {
+        tag.datapoints.set(timestamp, [timestamp, value, _.isUndefined(quality) ? GOOD_QUALITY : quality]);
+      });
+    });
+    return _.sumBy(payload.body, 'datapoints.length');
+  }
+
+  /**
+   * Gets the names of the tags of a zone.
+   *
+   * @param {string} zoneId the id of the zone
+   * @returns {Array} the names of the tags, sorted
+   */
+  getTags(zoneId) {
+    return _.sortBy(Array.from((this.zones.get(zoneId) || new Map()).keys()));
+  }
+
+  /**
+   * Queries the data points of a zone, like the time series query API does.
+   *
+   * @param {string} zoneId the id of the zone
+   * @param {Object} query the query, having a start, an optional end (defaults to now), and the tags to get, each
+   *   one having a name, and an optional order (asc or desc, defaults to asc) and limit
+   * @param {number} now the current time in ms, which the relative times are relative to
+   * @returns {Object} the result, having the start, the end, and the tags, each one having its name, its results
+   *   (the data points in their values) and its stats (the rawCount of data points)
+   * @throws {Error} if the query is invalid
+   */
+  queryDatapoints(zoneId, query, now = Date.now()) {
+    if (!_.isObject(query) || _.isUndefined(query.start) || !_.isArray(query.tags)) {
+      throw new Error('The query must have a start and tags');
+    }
+    const start = parseQueryTime(query.start, now);
+    const end = _.isUndefined(query.end) ? now : parseQueryTime(query.end, now);
+    const tags = this.zones.get(zoneId) || new Map();
+
+    return {
+      start,
+      end,
+      tags: _.map(query.tags, (queryTag) => {
+        if (!_.isString(_.get(queryTag, 'name'))) {
+          throw new Error('Each tag of the query must have a name');
+        }
+        const tag = tags.get(queryTag.name) || { attributes: {}, datapoints: new Map() };
+        let values = _.sortBy(_.filter(Array.from(tag.datapoints.values()),
+          ([timestamp]) => timestamp >= start && timestamp <= end), 0);
+        if (queryTag.order === 'desc') {
+          values.reverse();
+        }
+        if (queryTag.limit > 0) {
+          values = _.take(values, queryTag.limit);
+        }
+        return {
+          name: queryTag.name,
+          results: [{
+            groups: [{ name: 'type', type: 'number' }],
+            attributes: tag.attributes,
+            values,
+          }],
+          stats: { rawCount: values.length },
+        };
+      }),
+    };
+  }
+
+};
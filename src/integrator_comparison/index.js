@@ -0,0 +1,138 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the integrator comparison utility. It runs the simulator with each of
+ * the Movement integrators (and sub-stepping options) for the same simulation step, and compares
+ * their speed and distance with a reference run using fourth order Runge-Kutta with a tight
+ * adaptive tolerance. It shows how far DT can be raised for long runs before the results of an
+ * integrator drift or become unstable.
+ *
+ * It can be run using 'npm run compare-integrators', with these optional command line arguments:
+ * - '--dt <seconds>': the simulation step (defaults to DT)
+ * - '--duration <seconds>': the simulated time (defaults to one hour)
+ * - '--route <file>': the route the locomotive travels on (flat, straight track if omitted)
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const Helper = require('../common/helper');
+const constants = require('../../config/simulator_constants');
+const logger = require('../common/logger')(constants.INTEGRATOR_COMPARISON_LOGFILE_NAME, false);
+const Route = require('../simulator/route');
+const Simulator = require('../simulator/simulator');
+
+/**
+ * The default simulated time in seconds.
+ */
+const DEFAULT_DURATION = 3600;
+
+/**
+ * The Movement options of the reference run.
+ */
+const referenceConstants = {
+  MOVEMENT_INTEGRATOR: 'rk4',
+  MOVEMENT_ADAPTIVE_SUB_STEPPING: true,
+  MOVEMENT_ADAPTIVE_TOLERANCE: 1e-6,
+};
+
+/**
+ * The Movement options compared with the reference run.
+ */
+const configurations = [
+  { name: 'euler', constants: { MOVEMENT_INTEGRATOR: 'euler' } },
+  { name: 'semiImplicitEuler', constants: { MOVEMENT_INTEGRATOR: 'semiImplicitEuler' } },
+  { name: 'rk4', constants: { MOVEMENT_INTEGRATOR: 'rk4' } },
+  { name: 'euler, 10 sub-steps', constants: { MOVEMENT_INTEGRATOR: 'euler', MOVEMENT_SUB_STEPS: 10 } },
+  { name: 'rk4, 10 sub-steps', constants: { MOVEMENT_INTEGRATOR: 'rk4', MOVEMENT_SUB_STEPS: 10 } },
+  { name: 'euler, adaptive', constants: { MOVEMENT_INTEGRATOR: 'euler', MOVEMENT_ADAPTIVE_SUB_STEPPING: true } },
+  { name: 'rk4, adaptive', constants: { MOVEMENT_INTEGRATOR: 'rk4', MOVEMENT_ADAPTIVE_SUB_STEPPING: true } },
+];
+
+/**
+ * Logs a message and arguments.
+ *
+ * @param {string} msg the message to log
+ * @param {...Object} args the arguments to log
+ */
+const logMsg = (msg, ...args) => {
+  console.log(msg, ...args);    // eslint-disable-line
+  if (msg !== '') {
+    logger.logInfo(msg, ...args);
+  }
+};
+
+/**
+ * Runs the simulator and records the speed and distance after each iteration.
+ *
+ * @param {Object} movementConstants the Movement constants of the run
+ * @param {number} dt the simulation step in seconds
+ * @param {number} numIterations the number of iterations to run
+ * @param {Object} route the route the locomotive travels on, undefined for flat, straight track
+ * @returns {Object} a Promise which will resolve to the recorded speeds and distances, and the run time in ms
+ */
+const runSimulator = async (movementConstants, dt, numIterations, route) => {
+  const simulator = new Simulator({ constants: { ...movementConstants, DT: dt }, route, onStateChange: [] });
+  const speeds = [];
+  const distances = [];
+  simulator.on('step', (state) => {
+    speeds.push(state.speed);
+    distances.push(state.distance);
+  });
+  const startTime = Date.now();
+  await simulator.run(numIterations);
+  return { speeds, distances, runTime: Date.now() - startTime };
+};
+
+/**
+ * Runs the integrator comparison utility.
+ */
+const runComparison = async () => {
+  try {
+    const dtArg = Helper.getArgValue('--dt');
+    const durationArg = Helper.getArgValue('--duration');
+    const routeFile = Helper.getArgValue('--route');
+    const dt = _.isUndefined(dtArg) ? constants.DT : Number(dtArg);
+    const duration = _.isUndefined(durationArg) ? DEFAULT_DURATION : Number(durationArg);
+    if (!(dt > 0) || !(duration > 0)) {
+      logMsg('The --dt and --duration arguments must be positive numbers of seconds');
+      process.exit(1);
+      return;
+    }
+    const route = _.isUndefined(routeFile) ? undefined : Route.load(routeFile);
+    const numIterations = Math.round(duration / dt);
+
+    logMsg('');
+    logMsg('-------------------------------------------------------');
+    logMsg('             Integrator Comparison Utility             ');
+    logMsg('-------------------------------------------------------');
+    logMsg(`DT = ${dt} s, duration = ${numIterations * dt} s, route = ${routeFile || 'flat, straight track'}`);
+    logMsg('running the reference (rk4, adaptive with a tolerance of ' +
+      `${referenceConstants.MOVEMENT_ADAPTIVE_TOLERANCE} m/s)...`);
+    const reference = await runSimulator(referenceConstants, dt, numIterations, route);
+
+    logMsg('');
+    logMsg(`  ${_.repeat('-', 99)}`);
+    logMsg('  Integrator               Final distance (m)  Max speed error (m/s)  Max distance error (m)  Time (ms)');
+    logMsg(`  ${_.repeat('-', 99)}`);
+    for (let i = 0; i < configurations.length; ++i) {
+      const configuration = configurations[i];
+      const result = await runSimulator(configuration.constants, dt, numIterations, route); // eslint-disable-line
+      const speedErrors = result.speeds.map((speed, index) => Math.abs(speed - reference.speeds[index]));
+      const distanceErrors = result.distances.map((distance, index) => Math.abs(distance - reference.distances[index]));
+      const maxSpeedError = _.max(speedErrors);
+      const isUnstable = !_.every(result.speeds, _.isFinite) || maxSpeedError > constants.MAX_ALLOWED_SPEED;
+      logMsg(`  ${_.padEnd(configuration.name, 25)}${_.padEnd(_.last(result.distances).toFixed(1), 20)}` +
+        `${_.padEnd(isUnstable ? 'unstable' : maxSpeedError.toFixed(4), 23)}` +
+        `${_.padEnd(isUnstable ? 'unstable' : _.max(distanceErrors).toFixed(2), 24)}${result.runTime}`);
+    }
+    logMsg(`  ${_.padEnd('reference', 25)}${_.padEnd(_.last(reference.distances).toFixed(1), 20)}` +
+      `${_.padEnd('-', 23)}${_.padEnd('-', 24)}${reference.runTime}`);
+    logMsg('');
+  } catch (err) {
+    logMsg('Error when running integrator comparison utility! ', err);
+  }
+};
+
+runComparison();
@@ -0,0 +1,201 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the queue utility, which inspects or drains the queues of the data yet to be
+ * sent to the Predix time series and asset services. The queues are journaled to QUEUE_DIR (refer to
+ * durable_queue.js), so the data still queued when the simulator stops (ex: during a network outage)
+ * is kept until it has been sent.
+ *
+ * It can be run using 'npm run queue -- <command>', where the command is one of:
+ * - 'inspect' (the default): shows the number of nodes queued for each service, the time span of their
+ *   data, and the number of nodes of each locomotive
+ * - 'drain': sends the queued data to Predix, and exits once all of it has been sent. The optional
+ *   '--kpis <file>' argument gives the KPIs the data was sent with (defaults to config/kpis/default_kpis.yml),
+ *   so they are sent too
+ * - 'discard': removes the queued data without sending it, once confirmed
+ * - 'replay': puts the batches given up (refer to dead_letter_file.js) back in the queues, so they are sent by the
+ *   next drain or run
+ */
+
+'use strict';
+
+const fs = require('fs');
+const _ = require('lodash');
+const readlineSync = require('readline-sync');
+const Helper = require('../common/helper');
+const DurableQueue = require('../common/durable_queue');
+const DeadLetterFile = require('../common/dead_letter_file');
+const TokenManager = require('../common/token_manager');
+const constants = require('../../config/simulator_constants');
+const logger = require('../common/logger')(constants.QUEUE_LOGFILE_NAME, false);
+const Kpis = require('../simulator/kpis');
+const TimeSeriesService = require('../services/time_series_service');
+const AssetService = require('../services/asset_service');
+
+/**
+ * The names of the queues, by the name of the service they send the data to.
+ */
+const queueNames = {
+  'time series': 'time_series',
+  asset: 'asset',
+};
+
+/**
+ * The interval in ms at which the services are checked while draining the queues.
+ */
+const WAIT_INTERVAL_MS = 350;
+
+/**
+ * Logs a message and arguments.
+ *
+ * @param {string} msg the message to log
+ * @param {...Object} args the arguments to log
+ */
+const logMsg = (msg, ...args) => {
+  console.log(msg, ...args);    // eslint-disable-line
+  if (msg !== '') {
+    logger.logInfo(msg, ...args);
+  }
+};
+
+/**
+ * Shows the nodes queued for each service.
+ */
+const inspectQueues = () => {
+  _.forEach(queueNames, (name, service) => {
+    const nodes = new DurableQueue(name, logger).getAll();
+    const batches = new DeadLetterFile(name, logger).read();
+    logMsg(`${service} queue (${constants.QUEUE_DIR}/${name}.journal): ${nodes.length} node(s), ` +
+      `${_.sumBy(batches, 'nodes.length')} node(s) given up in ${batches.length} batch(es)`);
+    if (_.isEmpty(nodes)) {
+      return;
+    }
+
+    // the times are the simulated times in seconds of the data
+    const times = _.filter(_.map(nodes, 'data.time'), _.isFinite);
+    if (!_.isEmpty(times)) {
+      logMsg(`  simulated time from ${_.min(times)} s to ${_.max(times)} s`);
+    }
+    _.forEach(_.countBy(nodes, node => node.data.locomotiveId || constants.LOCOMOTIVE_ID), (count, locomotiveId) => {
+      logMsg(`  ${locomotiveId}: ${count} node(s)`);
+    });
+  });
+};
+
+/**
+ * Sends the queued data to Predix, and exits once all of it has been sent.
+ */
+const drainQueues = async () => {
+  if (!fs.existsSync('./config/predix_config.json')) {
+    logMsg('The ./config/predix_config.json file was not found. You must run "npm run setup" before draining ' +
+      'the queues');
+    process.exit(1);
+    return;
+  }
+  const predixConfig = require('../../config/predix_config.json'); // eslint-disable-line
+  const kpisFile = Helper.getArgValue('--kpis');
+  const kpis = _.isUndefined(kpisFile) ? Kpis.getDefault() : Kpis.load(kpisFile);
+
+  const tokenManager = new TokenManager(predixConfig, logger);
+  tokenManager.on('failure', (e) => {
+    logMsg(`Stopping: ${e.message}`);
+    process.exit(1);
+  });
+  logMsg('getting token to use with predix services...');
+  await tokenManager.getToken();
+
+  // the services send the data restored from their queue as soon as they are created
+  const services = [
+    new TimeSeriesService(tokenManager, logger, { predixConfig, extraTags: kpis.getTags() }),
+    new AssetService(tokenManager, logger, { predixConfig }),
+  ];
+  logMsg('sending the queued data to predix...');
+
+  const waitForServices = () => {
+    const failedService = _.find(services, service => !_.isUndefined(service.failure));
+    if (!_.isUndefined(failedService)) {
+      logMsg(`Stopping: ${failedService.failure.message}`);
+      process.exit(1);
+      return;
+    }
+    if (_.every(services, service => service.isFinished())) {
+      const [timeSeriesStatistics, assetStatistics] = _.map(services, service => service.getStatistics());
+      logMsg(`sent ${timeSeriesStatistics.acknowledged} time series node(s) and ${assetStatistics.acknowledged} ` +
+        'asset node(s)');
+      process.exit(0);
+      return;
+    }
+    setTimeout(waitForServices, WAIT_INTERVAL_MS);
+  };
+  waitForServices();
+};
+
+/**
+ * Removes the queued data without sending it, once confirmed.
+ */
+const discardQueues = () => {
+  const queues = _.map(queueNames, name => new DurableQueue(name, logger));
+  const numNodes = _.sumBy(queues, 'length');
+  if (numNodes === 0) {
+    logMsg('the queues are empty, there is nothing to discard');
+    return;
+  }
+  const answer = readlineSync.question(`Discard the ${numNodes} queued node(s) without sending them? (y/n) `);
+  if (answer.trim().toLowerCase() !== 'y') {
+    logMsg('nothing discarded');
+    return;
+  }
+  _.forEach(queues, queue => queue.clear());
+  logMsg(`discarded ${numNodes} node(s)`);
+};
+
+/**
+ * Puts the batches given up back in the queues, so they are sent by the next drain or run.
+ */
+const replayDeadLetters = () => {
+  _.forEach(queueNames, (name, service) => {
+    const deadLetterFile = new DeadLetterFile(name, logger);
+    const nodes = _.flatMap(deadLetterFile.read(), 'nodes');
+    if (_.isEmpty(nodes)) {
+      return;
+    }
+
+    // the nodes get new keys, as the journal drops the nodes queued again with the key of a node already removed
+    const queue = new DurableQueue(name, logger);
+    _.forEach(nodes, node => queue.push({ key: Helper.getId(), data: node.data }));
+    deadLetterFile.clear();
+    logMsg(`put ${nodes.length} node(s) back in the ${service} queue`);
+  });
+};
+
+/**
+ * Runs the queue utility.
+ */
+const runQueueUtility = async () => {
+  try {
+    const command = process.argv[2] && !process.argv[2].startsWith('--') ? process.argv[2] : 'inspect';
+
+    logMsg('');
+    logMsg('-------------------------------------------------------');
+    logMsg('                     Queue Utility                     ');
+    logMsg('-------------------------------------------------------');
+    if (command === 'inspect') {
+      inspectQueues();
+    } else if (command === 'drain') {
+      await drainQueues();
+    } else if (command === 'discard') {
+      discardQueues();
+    } else if (command === 'replay') {
+      replayDeadLetters();
+    } else {
+      logMsg(`Unknown command ${command}, it must be one of inspect, drain, discard or replay`);
+      process.exit(1);
+    }
+  } catch (err) {
+    logMsg('Error when running queue utility! ', err);
+    process.exitCode = 1;
+  }
+};
+
+runQueueUtility();
@@ -0,0 +1,150 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the AssetModel class, which builds the asset model of a locomotive: the asset
+ * definitions of the locomotive and of its components (boiler, tender and fire chamber), which are
+ * published to the asset service when the simulator starts. Each definition has:
+ * - uri: the uri of the asset, in the collection of its type (ex: /boiler/locomotive_topcoder)
+ * - name, type and locomotiveId
+ * - the uri of its parent for the components, and the uris of its components for the locomotive
+ * - properties: the design properties of the component, from the simulator constants
+ * - thresholds: the alert rules checking a value of the component, with their threshold
+ * - tags: the names of the time series tags of the component (including its KPIs), with their units and details
+ *
+ * Posting a definition with an existing uri updates it, so publishing the model on every run creates the
+ * assets the first time and keeps them up to date afterwards.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const Helper = require('../common/helper');
+const TimeSeriesService = require('./time_series_service');
+
+/**
+ * The components of the locomotive, with the simulator constants giving their properties.
+ * @private
+ */
+const components = {
+  locomotive: {
+    ownMass: 'LOCOMOTIVE_OWN_MASS',
+    maxBrakeForce: 'MAX_BRAKE_FORCE',
+  },
+  boiler: {
+    waterCapacity: 'BOILER_WATER_CAPACITY',
+    efficiency: 'BOILER_EFFICIENCY',
+    tubesCoveredLevel: 'BOILER_TUBES_COVERED_LEVEL',
+    safetyValveOpenPressure: 'SAFETY_VALVE_OPEN_PRESSURE',
+    safetyValveClosePressure: 'SAFETY_VALVE_CLOSE_PRESSURE',
+    safetyValveVentRate: 'SAFETY_VALVE_VENT_RATE',
+    injectorOnLevel: 'INJECTOR_ON_LEVEL',
+    injectorOffLevel: 'INJECTOR_OFF_LEVEL',
+    injectorFeedRate: 'INJECTOR_FEED_RATE',
+  },
+  tender: {
+    fuelCapacity: 'TENDER_FUEL_CAPACITY',
+    waterCapacity: 'TENDER_WATER_CAPACITY',
+  },
+  fireChamber: {
+    maxFuelMass: 'MAX_FUEL_MASS_IN_FIRE_CHAMBER',
+    fuelBurnAmount: 'FUEL_BURN_AMT',
+    heatOutputPerKgBurning: 'HEAT_OUTPUT_PER_KG_BURNING',
+  },
+};
+
+/**
+ * Gets the uri of a component of a locomotive.
+ *
+ * @param {string} type the type of the component (ex: boiler)
+ * @param {string} locomotiveId the id of the locomotive
+ * @returns {string} the uri
+ * @private
+ */
+const getUri = (type, locomotiveId) => `/${type}/${locomotiveId}`;
+
+/**
+ * Gets the thresholds of the alert rules, each one in the component of the value it checks. Rules
+ * checking an expression of several values (ex: speed - lineSpeedLimit) belong to the locomotive.
+ *
+ * @param {Object} sim the simulator
+ * @param {Array} tags the time series tags
+ * @returns {Object} the thresholds of each component by type
+ * @private
+ */
+const getThresholds = (sim, tags) => {
+  const resolve = name => sim.constants[name];
+  return _.groupBy(_.map(_.get(sim, 'alertRules.rules', []), (rule) => {
+    const tag = _.find(tags, { name: rule.expression.source.trim() });
+    const threshold = rule.threshold.evaluate(resolve);
+    return {
+      component: _.isUndefined(tag) ? 'locomotive' : tag.component,
+      name: rule.name,
+      value: _.isUndefined(tag) ? rule.expression.source : Helper.getNamespacedName(tag.name, sim.id),
+      operator: rule.operator,
+      // thresholds depending on the state (ex: lineSpeedLimit) are given as their expression
+      threshold: _.isFinite(threshold) ? threshold : rule.threshold.source,
+      hysteresis: rule.hysteresis,
+      minDuration: rule.minDuration,
+      severity: rule.severity,
+    };
+  }), 'component');
+};
+
+/**
+ * This class builds the asset model of a locomotive.
+ */
+module.exports = class AssetModel {
+
+  /**
+   * Gets the types of the components of a locomotive, starting with the locomotive itself.
+   *
+   * @returns {Array} the types of the components
+   */
+  static get types() {
+    return _.keys(components);
+  }
+
+  /**
+   * Builds the asset definitions of the locomotive of a simulator and of its components.
+   *
+   * @param {Object} sim the simulator
+   * @returns {Array} the asset definitions, starting with the locomotive
+   */
+  static build(sim) {
+    const tags = TimeSeriesService.getTags().concat(sim.kpis.getTags());
+    const thresholds = getThresholds(sim, tags);
+    const isGroundTruthSent = _.get(sim, 'sensors.isGroundTruthSent', false);
+
+    return _.map(components, (properties, type) => {
+      const definition = {
+        uri: getUri(type, sim.id),
+        name: type === 'locomotive' ? sim.id : `${sim.id}.${type}`,
+        type,
+        locomotiveId: sim.id,
+      };
+
+      // the locomotive links to its components, and each component to the locomotive
+      if (type === 'locomotive') {
+        _.forEach(_.without(AssetModel.types, type), (componentType) => {
+          definition[componentType] = getUri(componentType, sim.id);
+        });
+      } else {
+        definition.parent = getUri('locomotive', sim.id);
+      }
+
+      return _.assign(definition, {
+        properties: _.mapValues(properties, name => sim.constants[name]),
+        thresholds: _.map(thresholds[type], threshold => _.omit(threshold, 'component')),
+        tags: _.map(_.filter(tags, { component: type }), tag => _.omitBy({
+          name: Helper.getNamespacedName(tag.name, sim.id),
+          groundTruthName: isGroundTruthSent ?
+            Helper.getNamespacedName(sim.constants.GROUND_TRUTH_TAG_PREFIX + tag.name, sim.id) : undefined,
+          units: tag.attributes.units,
+          details: tag.attributes.details,
+        }, _.isUndefined)),
+      });
+    });
+  }
+
+};
@@ -7,7 +7,15 @@
  *
  * The data to be sent is queued and sent in batches, and if a failure occurs when
  * sending the data, it will be resent again after a period of time. This step ensures
- * that even in the event of a temporary network failure, no data will be lost.
+ * that even in the event of a temporary network failure, no data will be lost. The retries back
+ * off exponentially, and the data rejected by Predix, or which failed to be sent too many times,
+ * is written to a dead-letter file instead (refer to retry_policy.js and dead_letter_file.js).
+ * The queue is journaled to disk (refer to durable_queue.js), so the data still queued if the
+ * process dies is sent the next time the service is created.
+ *
+ * Each instance has its own queue and Predix configuration, so several instances can send to
+ * different Predix zones (or tenants) from the same process. The tokens are given by a TokenManager
+ * (refer to token_manager.js), which the services of the same tenant share.
  */
 
 'use strict';
@@ -15,6 +23,9 @@
 const Promise = require('bluebird');
 const _ = require('lodash');
 const Helper = require('../common/helper');
+const DurableQueue = require('../common/durable_queue');
+const DeadLetterFile = require('../common/dead_letter_file');
+const RetryPolicy = require('../common/retry_policy');
 const request = require('superagent');
 const constants = require('../../config/simulator_constants');
 
@@ -23,111 +34,116 @@ if (process.env.http_proxy) {
   require('superagent-proxy')(request);    // eslint-disable-line
 }
 
-/**
- * The logger object used to log messages.
- * @private
- */
-let logger;
-
-/**
- * The queue used to store data yet to be sent to Predix.
- * @private
- */
-let queue;
-
-/**
- * The flag indicating whether a send (to Predix) operation is already in progress.
- * @private
- */
-let isOperationInProgress;
-
-/**
- * The array of items that are currently being sent to Predix.
- * @private
- */
-let itemsInProgress;
-
-/**
- * An object containing the total number of sends for each asset key (speed, pressure, etc.)
- * @private
- */
-let totSent;
-
-/**
- * The Predix security token used to access Predix.
- * @private
- */
-let token;
-
-/**
- * The Predix configuration which contains the Predix service names, GUIDs, etc.
- * @private
- */
-let predixConfig;
-
 /**
  * Builds the request body for sending data to the Predix asset service.
  *
+ * @param {Object} service the asset service
+ * @param {Array} items the nodes to send
  * @returns {Array} an array containing the asset messages to send to Predix
  * @private
  */
-const buildBody = () => {
-  // process all itemsInProgress nodes and build json body to send to asset service
+const buildBody = (service, items) => {
+  // process all the nodes and build json body to send to asset service
 
   const body = [];
 
-  // loop over the itemsInProgress nodes and add the asset json object
-  _.forEach(itemsInProgress, (node) => {
+  // loop over the nodes and add the asset json object
+  _.forEach(items, (node) => {
     const timestamp = Math.round(node.data.time * 1000); // convert seconds to milliseconds and round
+    const locomotiveId = node.data.locomotiveId || constants.LOCOMOTIVE_ID;
     const obj = {
-      uri: '/locomotive/' + node.data.key + '.' + timestamp,
-      locomotiveId: constants.LOCOMOTIVE_ID,
+      // the uris of each locomotive in a fleet are namespaced with the locomotive id, and the id of the data keeps
+      // them unique (data sent with the same id, such as the updates of an alarm, updates the same asset)
+      uri: '/locomotive/' + Helper.getNamespacedName(node.data.key, locomotiveId) + '.' +
+        (node.data.id || timestamp),
+      locomotiveId,
       timestamp,
       name: node.data.key,
       val: node.data.val,
       msg: node.data.msg,
     };
 
+    // alarms have a severity and a lifecycle (raised, ongoing and cleared)
+    if (!_.isUndefined(node.data.status)) {
+      _.assign(obj, {
+        severity: node.data.severity,
+        status: node.data.status,
+        startTimestamp: Math.round(node.data.startTime * 1000),
+        endTimestamp: _.isUndefined(node.data.endTime) ? undefined : Math.round(node.data.endTime * 1000),
+        duration: node.data.duration,
+        peak: node.data.peakValue,
+      });
+    }
+
+    // anomalies have the detector which found them, their score and the baseline they were scored against
+    if (!_.isUndefined(node.data.score)) {
+      _.assign(obj, {
+        detector: node.data.detector,
+        variable: node.data.variable,
+        method: node.data.method,
+        severity: node.data.severity,
+        score: node.data.score,
+        baseline: node.data.baseline,
+        baselineStdDev: node.data.baselineStdDev,
+        faults: node.data.faults,
+      });
+    }
+
     body.push(obj);
   });
 
-  logger.logDebug(`in AssetService.buildBody, body = ${JSON.stringify(body)}`);
+  service.logger.logDebug(`in AssetService.buildBody, body = ${JSON.stringify(body)}`);
 
   return body;
 };
 
+/**
+ * Creates a post request to a collection of the Predix asset service, using the proxy if needed.
+ *
+ * @param {Object} service the asset service
+ * @param {string} collection the collection (ex: locomotive)
+ * @param {string} token the Predix security token
+ * @returns {Object} the post request
+ * @private
+ */
+const createPostRequest = (service, collection, token) => {
+  const { predixConfig } = service;
+  const postReq = request.post(predixConfig.asset_service_url + collection);
+  if (!_.isUndefined(postReq.proxy)) {
+    service.logger.logDebug(`using proxy: ${process.env.http_proxy}`);
+    postReq.proxy(process.env.http_proxy);
+  }
+  return postReq
+    .set('Authorization', 'Bearer ' + token)
+    .set('predix-zone-id', predixConfig.asset_service_instance_guid);
+};
+
 /**
  * Handles response from post request to send data to Predix asset service.
  *
+ * @param {Object} service the asset service
+ * @param {Object} batch the batch sent, having the nodes sent (items) and the number of attempts made to send them
  * @param {Object} err the error object
  * @param {Object} res the response object
  * @param {Object} body the body used in the post request
  */
-const handlePostResponse = (err, res, body) => {
+const handlePostResponse = (service, batch, err, res, body) => {
+  const { logger } = service;
   if (err || !res.ok) {
     // request failed!!
-    isOperationInProgress = false;
     logger.logError(`asset request FAILED when posting body ${JSON.stringify(body)}.`);
     logger.logError(`Error details for asset request failure: ${err}`, err);
+    service.isOperationInProgress = false;
 
-    // wait for some time, then try to send the data again
-    setTimeout(async () => {
-      logger.logDebug('asset request failed, so calling AssetService.processAssetData to try again');
-      isOperationInProgress = false;
-      logger.logDebug('AssetService.isOperationInProgress is now false');
-
-      // generate a new predix token
-      token = await Helper.getPredixToken(predixConfig.uaa_url, predixConfig.client_id,
-        predixConfig.client_secret);
-
-      // try to send the data again
-      processAssetData();   // eslint-disable-line
-    }, constants.WAIT_SECONDS_BETWEEN_FAILED_REQUESTS * 1000);
+    // try to send the data again later, or give it up if it was rejected (refer to retry_policy.js)
+    const status = _.get(res, 'status', _.get(err, 'status'));
+    Helper.handleFailedSend(service, [batch], `${err}`, status, processAssetData, 'AssetService'); // eslint-disable-line
   } else {
     // request was successful!
 
     // update total sent values for each asset
-    _.forEach(itemsInProgress, (node) => {
+    const { totSent } = service;
+    _.forEach(batch.items, (node) => {
       if (_.isUndefined(totSent[node.data.key])) {
         logger.logDebug(`node.data.key = ${node.data.key}`);
         totSent[node.data.key] = 0;
@@ -143,47 +159,64 @@ const handlePostResponse = (err, res, body) => {
     });
 
     // remove the items from the queue that were sent successfully
-    Helper.removeProcessedItemsFromQueue(queue, itemsInProgress, 'AssetService');
+    Helper.removeProcessedItemsFromQueue(service.queue, batch.items, 'AssetService');
 
-    isOperationInProgress = false;
+    service.isOperationInProgress = false;
     logger.logDebug('AssetService.isOperationInProgress is now false');
 
     // if there are still nodes in the queue, we need to process them
-    if (queue.length !== 0) {
-      logger.logDebug(`there are still nodes in the AssetService.queue, queue.length = ${queue.length}`);
-      processAssetData(); // eslint-disable-line
+    if (service.queue.length !== 0) {
+      logger.logDebug(`there are still nodes in the AssetService.queue, queue.length = ${service.queue.length}`);
+      processAssetData(service); // eslint-disable-line
     }
   }
 };
 
 /**
- * Processes all the asset data in the itemsInProgress array and sends it to Predix.
- * If a send operation is already in progress, it will not send the data (the data
- * will get sent once the other operation finishes).
+ * Sends the next batch of asset data to Predix: the batch which failed, if it is being retried, or else the
+ * next nodes of the queue. If a send operation is already in progress, or the service is waiting to retry a
+ * failed one, it will not send the data (the data will get sent once the other operation finishes).
  *
+ * @param {Object} service the asset service
  * @returns {Object} a Promise which will resolve once data has been queued to be sent to Predix
  * @private
  */
-const processAssetData = () => new Promise(async (resolve, reject) => {
+const processAssetData = service => new Promise(async (resolve, reject) => {
+  const { logger } = service;
   try {
     logger.logDebug('entered AssetService.processAssetData');
 
-    if (isOperationInProgress) {
+    if (service.isOperationInProgress) {
       // an existing post operation is in progress, so nothing to do
       logger.logDebug('in AssetService.processAssetData, post operation already in progress');
       resolve('operation already in progress');
       return;
     }
-    isOperationInProgress = true;
+    if (!_.isUndefined(service.failure)) {
+      // the service has stopped (refer to Helper.handleTokenFailure)
+      logger.logDebug('in AssetService.processAssetData, the service has stopped');
+      resolve('stopped');
+      return;
+    }
+    if (service.isWaitingToRetry) {
+      // the failed batch is sent again once the wait is over
+      logger.logDebug('in AssetService.processAssetData, waiting to retry a failed send');
+      resolve('waiting to retry');
+      return;
+    }
+    service.isOperationInProgress = true;
 
-    // get the nodes we are getting ready to send to predix
-    itemsInProgress = [];
-    Helper.setItemsInProgress(queue, itemsInProgress);
+    // get the nodes we are getting ready to send to predix, sending the failed batch again first
+    let batch = service.retryBatches.shift();
+    if (_.isUndefined(batch)) {
+      batch = { items: [], numAttempts: 0 };
+      Helper.setItemsInProgress(service.queue, batch.items);
+    }
 
     // make sure we still have work to do
-    if (itemsInProgress.length === 0) {
-      logger.logDebug('in AssetService.processAssetData, itemsInProgress is empty, so nothing to do.');
-      isOperationInProgress = false;
+    if (batch.items.length === 0) {
+      logger.logDebug('in AssetService.processAssetData, the batch is empty, so nothing to do.');
+      service.isOperationInProgress = false;
       logger.logDebug('AssetService.isOperationInProgress is now false');
       resolve('no more items to process');
       return;
@@ -192,21 +225,23 @@ const processAssetData = () => new Promise(async (resolve, reject) => {
     // resolve immediately so caller can continue; don't wait for data to be sent
     resolve('data queued');
 
-    const body = buildBody();
-    const url = predixConfig.asset_service_url + 'locomotive';
+    const body = buildBody(service, batch.items);
 
-    // build post request to post the asset data
-    const postReq = request.post(url);
-    if (!_.isUndefined(postReq.proxy)) {
-      logger.logDebug(`using proxy: ${process.env.http_proxy}`);
-      postReq.proxy(process.env.http_proxy);
+    // get a valid token, which fails if it can't be got (ex: UAA rejected the client credentials)
+    let token;
+    try {
+      token = await service.tokenManager.getToken();
+    } catch (e) {
+      service.isOperationInProgress = false;
+      Helper.handleTokenFailure(service, [batch], e, processAssetData, 'AssetService'); // eslint-disable-line
+      return;
     }
+
+    // build post request to post the asset data
     logger.logDebug('sending asset data via post request...');
-    postReq
-      .set('Authorization', 'Bearer ' + token)
-      .set('predix-zone-id', predixConfig.asset_service_instance_guid)
+    createPostRequest(service, 'locomotive', token)
       .send(body)
-      .end((err, res) => handlePostResponse(err, res, body));
+      .end((err, res) => handlePostResponse(service, batch, err, res, body));
   } catch (e) {
     const msg = `Error in AssetService.processAssetData: ${e}`;
     logger.logError(msg, e);
@@ -222,32 +257,141 @@ module.exports = class AssetService {
   /**
    * Constructs a new instance of this class.
    *
-   * @param {Object} tok the Predix security token
+   * @param {Object} tokenManager the TokenManager giving the Predix security tokens, which can be shared with other
+   *   services using the same Predix configuration
    * @param {Object} log the logger
+   * @param {Object} options the options of the instance
+   * @param {Object} options.predixConfig the Predix configuration: the asset zone id and url. Defaults to config/predix_config.json
+   * @param {string} options.queueName the name of the queue journal (defaults to asset), which must be different
+   *   for each instance of the process
+   * @param {Object} options.retryPolicy the RetryPolicy of the sends, defaults to the one of the simulator constants
    */
-  constructor(tok, log) {
-    queue = [];
-    isOperationInProgress = false;
-    totSent = {};
-    token = tok;
-    logger = log;
-    predixConfig = require('../../config/predix_config');    // eslint-disable-line
+  constructor(tokenManager, log, options = {}) {
+    /**
+     * The logger object used to log messages.
+     */
+    this.logger = log;
+
+    /**
+     * The manager of the Predix security tokens used to access Predix (a TokenManager).
+     */
+    this.tokenManager = tokenManager;
+
+    /**
+     * The Predix configuration which contains the Predix service names, GUIDs, etc.
+     */
+    this.predixConfig = options.predixConfig || require('../../config/predix_config');    // eslint-disable-line
+
+    /**
+     * The queue used to store data yet to be sent to Predix (a DurableQueue).
+     */
+    this.queue = new DurableQueue(options.queueName || 'asset', log);
+
+    /**
+     * The retry policy of the sends (a RetryPolicy).
+     */
+    this.retryPolicy = options.retryPolicy || new RetryPolicy();
+
+    /**
+     * The file of the batches given up (a DeadLetterFile).
+     */
+    this.deadLetterFile = new DeadLetterFile(this.queue.name, log);
+
+    /**
+     * The flag indicating whether a send (to Predix) operation is already in progress.
+     */
+    this.isOperationInProgress = false;
+
+    /**
+     * The batches which failed to be sent, and are sent again once the wait given by the retry policy is over.
+     */
+    this.retryBatches = [];
+
+    /**
+     * The flag indicating whether the service is waiting to retry the failed batches, so it sends nothing.
+     */
+    this.isWaitingToRetry = false;
+
+    /**
+     * The timer of the wait before retrying the failed batches.
+     */
+    this.retryTimer = undefined;
+
+    /**
+     * The error which stopped the service (ex: UAA rejected the client credentials), if any. Nothing is sent once
+     * it is set.
+     */
+    this.failure = undefined;
+
+    /**
+     * An object containing the total number of sends for each asset key (speed, pressure, etc.)
+     */
+    this.totSent = {};
+
+    /**
+     * The total number of asset data objects queued to be sent to Predix.
+     */
+    this.totQueued = 0;
+
+    /**
+     * The total number of asset data objects given up, and written to the dead-letter file.
+     */
+    this.totDeadLettered = 0;
+
+    // send the data restored from the journal, which was still queued when the previous process stopped
+    if (this.queue.length !== 0) {
+      this.logger.logInfo(`sending the ${this.queue.length} node(s) restored from the ${this.queue.name} queue`);
+      processAssetData(this);
+    }
   }
 
   /**
    * Sends the data to Predix asset service.
    *
    * @param {Object} data the data to send
-   * @returns {Object} a Promise which will resolve once data has been queued to be sent to Predix
+   * @returns {Object} a Promise which will resolve once data has been queued to be sent to Predix, or reject with the
+   *   failure of the service if it has stopped (the data is still queued, to be sent by the next run)
    */
   sendDataToPredix(data) {
-    logger.logDebug(`inside AssetService.sendDataToPredix, data = ${JSON.stringify(data)}`);
+    this.logger.logDebug(`inside AssetService.sendDataToPredix, data = ${JSON.stringify(data)}`);
 
     // add node to queue
-    queue.push({ key: Helper.getId(), data });
+    this.queue.push({ key: Helper.getId(), data });
+    ++this.totQueued;
+    if (!_.isUndefined(this.failure)) {
+      return Promise.reject(this.failure);
+    }
 
     // process the asset data and send it to predix
-    return processAssetData();
+    return processAssetData(this);
+  }
+
+  /**
+   * Publishes the asset model (refer to asset_model.js) to Predix asset service. The definitions are posted to the
+   * collection of their type (ex: boiler), which creates them, or updates them if they already exist. Unlike the
+   * asset data, the definitions are not queued: they are sent right away, and not sent again on failure.
+   *
+   * @param {Array} definitions the asset definitions
+   * @returns {Object} a Promise which will resolve once the definitions have been posted
+   */
+  publishAssetModel(definitions) {
+    const { logger } = this;
+    logger.logDebug(`inside AssetService.publishAssetModel, definitions = ${JSON.stringify(definitions)}`);
+
+    const collections = _.groupBy(definitions, definition => definition.uri.split('/')[1]);
+    return Promise.resolve(this.tokenManager.getToken()).then(token => Promise.all(_.map(collections,
+      (body, collection) => new Promise((resolve, reject) => {
+        createPostRequest(this, collection, token)
+          .send(body)
+          .end((err, res) => {
+            if (err || !res.ok) {
+              reject(new Error(`asset model request FAILED when posting to the ${collection} collection: ${err}`));
+              return;
+            }
+            logger.logDebug(`asset model posted to the ${collection} collection, res.statusCode = ${res.statusCode}`);
+            resolve(body.length);
+          });
+      }))));
   }
 
   /**
@@ -256,16 +400,30 @@ module.exports = class AssetService {
    * @returns {Object} an object containing the total number of sends for each asset key (speed, pressure, etc.)
    */
   getTotalRequestsSent() {
-    return JSON.stringify(totSent);
+    return JSON.stringify(this.totSent);
+  }
+
+  /**
+   * Gets the number of asset data objects queued to be sent to Predix, the number acknowledged by Predix, and the
+   * number given up.
+   *
+   * @returns {Object} the statistics, having the queued, acknowledged and deadLettered numbers
+   */
+  getStatistics() {
+    return {
+      queued: this.totQueued,
+      acknowledged: _.sum(_.values(this.totSent)),
+      deadLettered: this.totDeadLettered,
+    };
   }
 
   /**
-   * Determines whether the service has finished sending all queued data to Predix.
+   * Determines whether the service has finished sending all queued data to Predix, or has stopped (refer to failure).
    *
    * @returns {boolean} flag indicating whether service has finished
    */
   isFinished() {
-    return queue.length === 0 && !isOperationInProgress;
+    return !_.isUndefined(this.failure) || (this.queue.length === 0 && !this.isOperationInProgress);
   }
 
 };
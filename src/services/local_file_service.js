@@ -0,0 +1,182 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the local file service implementation. It can be used in place of
+ * the time series and asset services to write the simulator data to local files instead of
+ * sending it to Predix, so the simulator can be run without a Predix account or a network.
+ *
+ * Each data object is appended to a newline delimited JSON (NDJSON) file and to a CSV file. Data
+ * having a key (ex: asset alerts) is written to a CSV file for each key (ex: asset_speed.csv), so
+ * the rows of a file have the same shape. The CSV columns are all the properties of the data
+ * objects of the file: when an object has a property the previous ones didn't have (ex: the end
+ * time of a cleared alarm), the CSV file is written again from the NDJSON file with the new
+ * column. The asset model, if published, is written to a separate NDJSON file (ex: asset_model.ndjson).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const Promise = require('bluebird');
+const _ = require('lodash');
+const Helper = require('../common/helper');
+const constants = require('../../config/simulator_constants');
+
+/**
+ * This class is used to write the simulator data to local NDJSON and CSV files.
+ */
+module.exports = class LocalFileService {
+
+  /**
+   * Constructs a new instance of this class. Any existing output files with the same name
+   * are deleted.
+   *
+   * @param {string} name the name of the output files, without extension (ex: time_series)
+   * @param {Object} log the logger
+   * @param {string} outputDir the directory to write the files to, defaults to LOCAL_OUTPUT_DIR
+   */
+  constructor(name, log, outputDir = constants.LOCAL_OUTPUT_DIR) {
+    this.logger = log;
+    this.outputDir = outputDir;
+    this.name = name;
+    this.ndjsonFile = outputDir + '/' + name + '.ndjson';
+    this.csvFile = outputDir + '/' + name + '.csv';
+    this.assetModelFile = outputDir + '/' + name + '_model.ndjson';
+    this.csvFiles = {};
+    this.totSent = 0;
+    this.totSentByKey = {};
+
+    // create output directory if it doesn't exist
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir);
+    }
+
+    // delete existing output files if they exist
+    _.forEach([this.ndjsonFile, this.csvFile, this.assetModelFile], (file) => {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    });
+  }
+
+  /**
+   * Writes the data to the local files.
+   *
+   * @param {Object} data the data to write
+   * @returns {Object} a Promise which will resolve once data has been written
+   */
+  sendDataToPredix(data) {
+    return Promise.try(() => {
+      this.logger.logDebug(`inside LocalFileService.sendDataToPredix, writing data to ${this.ndjsonFile}`);
+      fs.appendFileSync(this.ndjsonFile, JSON.stringify(data) + '\n');
+
+      // a new property adds a column, so the CSV file is written again with it (the first time the file of a key
+      // is written, any file left by a previous run is replaced)
+      const csvFile = this.getCsvFile(data.key);
+      const newColumns = _.difference(_.keys(data), csvFile.columns);
+      if (_.isEmpty(newColumns)) {
+        fs.appendFileSync(csvFile.file, LocalFileService.toCsvRow(csvFile.columns, data));
+      } else {
+        csvFile.columns = csvFile.columns.concat(newColumns);
+        this.rewriteCsvFile(csvFile, data.key);
+      }
+
+      ++this.totSent;
+      if (!_.isUndefined(data.key)) {
+        this.totSentByKey[data.key] = (this.totSentByKey[data.key] || 0) + 1;
+      }
+      return 'data written';
+    });
+  }
+
+  /**
+   * Gets the CSV file of the data having a key, which is the file of the service for data without a key.
+   *
+   * @param {string} key the key of the data, or undefined
+   * @returns {Object} the CSV file, having the file name and its columns
+   * @private
+   */
+  getCsvFile(key) {
+    const csvKey = _.isUndefined(key) ? '' : String(key);
+    if (_.isUndefined(this.csvFiles[csvKey])) {
+      this.csvFiles[csvKey] = {
+        file: _.isUndefined(key) ? this.csvFile :
+          `${this.outputDir}/${this.name}_${csvKey.replace(/[^\w.-]/g, '_')}.csv`,
+        columns: [],
+      };
+    }
+    return this.csvFiles[csvKey];
+  }
+
+  /**
+   * Writes a CSV file again with its columns, from the data objects having its key in the NDJSON file.
+   *
+   * @param {Object} csvFile the CSV file, having the file name and its columns
+   * @param {string} key the key of the data in the file, or undefined
+   * @private
+   */
+  rewriteCsvFile(csvFile, key) {
+    const rows = _.filter(_.map(_.compact(fs.readFileSync(this.ndjsonFile, 'utf8').split('\n')), JSON.parse),
+      data => data.key === key);
+    fs.writeFileSync(csvFile.file, csvFile.columns.map(Helper.toCsvField).join(',') + '\n' +
+      rows.map(data => LocalFileService.toCsvRow(csvFile.columns, data)).join(''));
+  }
+
+  /**
+   * Converts a data object to a CSV row.
+   *
+   * @param {Array} columns the columns of the row
+   * @param {Object} data the data object
+   * @returns {string} the CSV row, ending with a newline
+   * @private
+   */
+  static toCsvRow(columns, data) {
+    return columns.map(column => Helper.toCsvField(data[column])).join(',') + '\n';
+  }
+
+  /**
+   * Writes the asset model (refer to asset_model.js) to the local asset model file, one definition per line.
+   *
+   * @param {Array} definitions the asset definitions
+   * @returns {Object} a Promise which will resolve once the definitions have been written
+   */
+  publishAssetModel(definitions) {
+    return Promise.try(() => {
+      this.logger.logDebug(`inside LocalFileService.publishAssetModel, writing definitions to ${this.assetModelFile}`);
+      const lines = _.map(definitions, definition => JSON.stringify(definition) + '\n');
+      fs.appendFileSync(this.assetModelFile, lines.join(''));
+      return 'asset model written';
+    });
+  }
+
+  /**
+   * Gets the total number of data objects written. For data having a key (ex: asset alerts), the
+   * total is given for each key.
+   *
+   * @returns {number|string} the total number of data objects written
+   */
+  getTotalRequestsSent() {
+    return _.isEmpty(this.totSentByKey) ? this.totSent : JSON.stringify(this.totSentByKey);
+  }
+
+  /**
+   * Gets the number of data objects queued to be written, and the number written. Data is written synchronously,
+   * so they are the same, and none is given up.
+   *
+   * @returns {Object} the statistics, having the queued, acknowledged and deadLettered numbers
+   */
+  getStatistics() {
+    return { queued: this.totSent, acknowledged: this.totSent, deadLettered: 0 };
+  }
+
+  /**
+   * Determines whether the service has finished writing all data. Data is written synchronously,
+   * so this is always true.
+   *
+   * @returns {boolean} flag indicating whether service has finished
+   */
+  isFinished() {
+    return true;
+  }
+
+};
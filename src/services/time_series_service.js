@@ -7,69 +7,51 @@
  *
  * The data to be sent is queued and sent in batches, and if a failure occurs when
  * sending the data, it will be resent again after a period of time. This step ensures
- * that even in the event of a temporary network failure, no data will be lost.
+ * that even in the event of a temporary network failure, no data will be lost. The retries back
+ * off exponentially, and the data rejected by Predix, or which failed to be sent too many times,
+ * is written to a dead-letter file instead (refer to retry_policy.js and dead_letter_file.js).
+ * The queue is journaled to disk (refer to durable_queue.js), so the data still queued if the
+ * process dies is sent the next time the service is created.
+ *
+ * Each payload sent on the web socket has a messageId, which Predix acknowledges along with a
+ * status code. The data stays queued until its acknowledgement has a success status, so a payload
+ * rejected by Predix (ex: a 400 status) is never counted as sent. Up to MAX_TIME_SERIES_MESSAGES_IN_FLIGHT
+ * payloads can be waiting for their acknowledgement on the same socket.
+ *
+ * The states queued are batched by size: a payload gets as many states as fit in its maximum size (refer to
+ * TIME_SERIES_MAX_PAYLOAD_BYTES), and a payload which is not full is only sent once its oldest state has waited
+ * for the linger time (refer to TIME_SERIES_LINGER_MS), so a slow simulation still sends its data regularly.
+ * The payloads can be compressed with gzip, and the number of data points sent per second can be limited (refer
+ * to rate_limiter.js), so a run stays within the quotas of the Predix plan.
+ *
+ * Each data point has the Predix quality of its value: good, unless the data has a quality object telling
+ * otherwise for the value (ex: { pressure: 'bad' } when the pressure sensor is stuck, refer to sensors.js).
+ *
+ * Each instance has its own queue, web socket and Predix configuration, so several instances can
+ * send to different Predix zones (or tenants) from the same process. The tokens are given by a
+ * TokenManager (refer to token_manager.js), which the services of the same tenant share.
  */
 
 'use strict';
 
+const zlib = require('zlib');
 const WebSocket = require('ws');
 const Promise = require('bluebird');
 const _ = require('lodash');
 const Helper = require('../common/helper');
+const DurableQueue = require('../common/durable_queue');
+const DeadLetterFile = require('../common/dead_letter_file');
+const RetryPolicy = require('../common/retry_policy');
+const RateLimiter = require('../common/rate_limiter');
 const HttpsProxyAgent = require('https-proxy-agent');
 const url = require('url');
 const constants = require('../../config/simulator_constants');
 
-/**
- * The logger object used to log messages.
- * @private
- */
-let logger;
-
-/**
- * The queue used to store data yet to be sent to Predix.
- * @private
- */
-let queue;
-
-/**
- * The flag indicating whether a send (to Predix) operation is already in progress.
- * @private
- */
-let isOperationInProgress;
-
-/**
- * The web socket object used to send the data points to Predix time series service.
- * @private
- */
-let ws;
-
-/**
- * The array of items that are currently being sent to Predix.
- * @private
- */
-let itemsInProgress;
-
-/**
- * The total number of send requests for time series data sent to Predix.
- */
-let totSent;
-
-/**
- * The Predix security token used to access Predix.
- * @private
- */
-let token;
-
-/**
- * The Predix configuration which contains the Predix service names, GUIDs, etc.
- * @private
- */
-let predixConfig;
-
 /**
  * Tags used when sending asset service messages to Predix. Each tag contains an attributes
- * object which is the attributes that will be sent along with the time series data points.
+ * object which is the attributes that will be sent along with the time series data points, and
+ * the component of the locomotive it belongs to (locomotive, boiler, tender or fireChamber), which
+ * links the tag to the asset model (refer to asset_model.js).
  *
  * Important Note:
  * Predix does not seem to allow spaces in attribute values, and you don't get any error back,
@@ -82,6 +64,7 @@ let predixConfig;
 const tags = [
   {
     name: 'distance',
+    component: 'locomotive',
     attributes: {
       units: 'meters',
       details: 'distance_travelled_by_the_locomotive',
@@ -89,6 +72,7 @@ const tags = [
   },
   {
     name: 'fuelMassBurning',
+    component: 'fireChamber',
     attributes: {
       units: 'kg',
       details: 'fuel_mass_currently_ignited_and_burning_inside_the_fire_chamber',
@@ -96,6 +80,7 @@ const tags = [
   },
   {
     name: 'fuelMassInTender',
+    component: 'tender',
     attributes: {
       units: 'kg',
       details: 'fuel_mass_currently_in_tender',
@@ -103,13 +88,63 @@ const tags = [
   },
   {
     name: 'fuelMassInFireChamber',
+    component: 'fireChamber',
     attributes: {
       units: 'kg',
       details: 'fuel_mass_currently_inside_the_fire_chamber_burning_and_non-burning',
     },
   },
+  {
+    name: 'waterMassInTender',
+    component: 'tender',
+    attributes: {
+      units: 'kg',
+      details: 'water_mass_currently_in_tender',
+    },
+  },
+  {
+    name: 'waterMassInBoiler',
+    component: 'boiler',
+    attributes: {
+      units: 'kg',
+      details: 'water_mass_currently_in_boiler',
+    },
+  },
+  {
+    name: 'waterLevel',
+    component: 'boiler',
+    attributes: {
+      units: 'percent',
+      details: 'water_level_in_boiler_as_percent_of_its_capacity',
+    },
+  },
+  {
+    name: 'steamTemperature',
+    component: 'boiler',
+    attributes: {
+      units: 'degrees_celsius',
+      details: 'temperature_of_the_water_and_steam_in_boiler',
+    },
+  },
+  {
+    name: 'safetyValveOpen',
+    component: 'boiler',
+    attributes: {
+      units: 'boolean',
+      details: 'one_when_the_safety_valve_is_venting_steam_otherwise_zero',
+    },
+  },
+  {
+    name: 'injectorOn',
+    component: 'boiler',
+    attributes: {
+      units: 'boolean',
+      details: 'one_when_the_injector_is_feeding_water_into_boiler_otherwise_zero',
+    },
+  },
   {
     name: 'pressure',
+    component: 'boiler',
     attributes: {
       units: 'bar',
       details: 'current_boiler_pressure_of_locomotive',
@@ -117,13 +152,111 @@ const tags = [
   },
   {
     name: 'speed',
+    component: 'locomotive',
     attributes: {
       units: 'meters_per_second',
       details: 'current_speed_of_the_locomotive',
     },
   },
+  {
+    name: 'regulator',
+    component: 'locomotive',
+    attributes: {
+      units: 'fraction',
+      details: 'opening_of_the_regulator_from_zero_closed_to_one_fully_open',
+    },
+  },
+  {
+    name: 'cutOff',
+    component: 'locomotive',
+    attributes: {
+      units: 'fraction',
+      details: 'fraction_of_the_piston_stroke_during_which_steam_is_admitted',
+    },
+  },
+  {
+    name: 'brake',
+    component: 'locomotive',
+    attributes: {
+      units: 'fraction',
+      details: 'brake_application_from_zero_released_to_one_fully_applied',
+    },
+  },
+  {
+    name: 'targetSpeed',
+    component: 'locomotive',
+    attributes: {
+      units: 'meters_per_second',
+      details: 'speed_held_by_the_driver_when_speed_control_is_enabled',
+    },
+  },
+  {
+    name: 'gradient',
+    component: 'locomotive',
+    attributes: {
+      units: 'percent',
+      details: 'gradient_of_the_track_positive_when_going_uphill',
+    },
+  },
+  {
+    name: 'curveRadius',
+    component: 'locomotive',
+    attributes: {
+      units: 'meters',
+      details: 'radius_of_the_curve_of_the_track_zero_when_straight',
+    },
+  },
+  {
+    name: 'lineSpeedLimit',
+    component: 'locomotive',
+    attributes: {
+      units: 'meters_per_second',
+      details: 'line_speed_limit_of_the_track',
+    },
+  },
+  {
+    name: 'faultBoilerTubeLeak',
+    component: 'boiler',
+    attributes: {
+      units: 'severity',
+      details: 'ground_truth_severity_of_the_boiler_tube_leak_fault_from_zero_to_one',
+    },
+  },
+  {
+    name: 'faultCloggedGrate',
+    component: 'fireChamber',
+    attributes: {
+      units: 'severity',
+      details: 'ground_truth_severity_of_the_clogged_grate_fault_from_zero_to_one',
+    },
+  },
+  {
+    name: 'faultStuckSafetyValve',
+    component: 'boiler',
+    attributes: {
+      units: 'severity',
+      details: 'ground_truth_severity_of_the_stuck_safety_valve_fault_from_zero_to_one',
+    },
+  },
+  {
+    name: 'faultWheelSlip',
+    component: 'locomotive',
+    attributes: {
+      units: 'severity',
+      details: 'ground_truth_severity_of_the_wheel_slip_fault_from_zero_to_one',
+    },
+  },
+  {
+    name: 'faultFiremanStopped',
+    component: 'fireChamber',
+    attributes: {
+      units: 'severity',
+      details: 'ground_truth_severity_of_the_fireman_stopped_fault_from_zero_to_one',
+    },
+  },
   {
     name: 'time',
+    component: 'locomotive',
     attributes: {
       units: 'seconds',
       details: 'time_that_has_passed_since_locomotive_began_traveling',
@@ -131,18 +264,43 @@ const tags = [
   },
 ];
 
+/**
+ * The Predix quality codes of the data points, by quality.
+ * @private
+ */
+const qualityCodes = {
+  bad: 0,
+  uncertain: 1,
+  notApplicable: 2,
+  good: 3,
+};
+
+/**
+ * The number of bytes kept in each payload for its messageId and the brackets around its body.
+ * @private
+ */
+const PAYLOAD_ENVELOPE_BYTES = 128;
+
+/**
+ * The smallest number of bytes a data point takes in a payload ([0,0,0] and the comma before it), which bounds the
+ * number of nodes a payload can hold.
+ * @private
+ */
+const MIN_DATAPOINT_BYTES = 8;
+
 /**
  * Sets up the web socket to use a proxy (if necessary).
  *
+ * @param {Object} service the time series service
  * @param {Object} options the web socket options object
  * @param {string} endpoint the web socket endpoint
  */
-const setupProxy = (options, endpoint) => {
+const setupProxy = (service, options, endpoint) => {
   // setup proxy if necessary
   const proxy = process.env.http_proxy || undefined;
   let agent;
   if (!_.isUndefined(proxy)) {
-    logger.logDebug(`using proxy server ${proxy}`);
+    service.logger.logDebug(`using proxy server ${proxy}`);
 
     // WebSocket endpoint for the proxy to connect to
     url.parse(endpoint);
@@ -156,46 +314,281 @@ const setupProxy = (options, endpoint) => {
   }
 };
 
+/**
+ * Gets the data points of a node, each one having the name and attributes of its tag.
+ *
+ * @param {Object} service the time series service
+ * @param {Object} node the node, whose data is a state
+ * @returns {Array} the data points
+ * @private
+ */
+const getDataPoints = (service, node) => {
+  const { data } = node;
+  const timestamp = Math.round(data.time * 1000); // convert seconds to milliseconds and round
+  const res = [];
+
+  /**
+   * Adds the data points of values of the state.
+   *
+   * @param {Object} values the values, by tag name
+   * @param {Object} quality the quality of the values which are not good (ex: { pressure: 'bad' }), if any
+   * @param {boolean} isGroundTruth true when the values are the ground truth (e.g. the true state of the locomotive)
+   */
+  const addDataPoints = (values, quality, isGroundTruth) => {
+    _.forEach(service.tags, (tag) => {
+      const dataVal = values[tag.name];
+      if (_.isNil(dataVal)) {
+        // the state doesn't have this value (ex: there is no route, the sensor was not sampled, or the KPI has no
+        // value yet), so there is nothing to send
+        return;
+      }
+
+      // the tags of each locomotive in a fleet are namespaced with the locomotive id, and the ground truth tags are
+      // prefixed so they are kept apart from the measured values
+      const tagName = isGroundTruth ? constants.GROUND_TRUTH_TAG_PREFIX + tag.name : tag.name;
+      const attributes = isGroundTruth ?
+        { ...tag.attributes, details: tag.attributes.details + '_ground_truth' } : tag.attributes;
+
+      // flags are sent as numbers
+      const qualityCode = _.defaultTo(qualityCodes[_.get(quality, tag.name)], qualityCodes.good);
+      res.push({
+        name: Helper.getNamespacedName(tagName, data.locomotiveId),
+        attributes,
+        datapoint: [timestamp, _.isBoolean(dataVal) ? Number(dataVal) : dataVal, qualityCode],
+      });
+    });
+  };
+
+  addDataPoints(data, data.quality, false);
+  if (!_.isUndefined(data.groundTruth)) {
+    addDataPoints(data.groundTruth, undefined, true);
+  }
+  return res;
+};
+
 /**
  * Builds the body for sending data to the Predix time series service.
  *
+ * @param {Object} service the time series service
+ * @param {Array} items the nodes to send
  * @returns {Array} an array containing the time series data points to send to Predix
  * @private
  */
-const buildBody = () => {
-  // process all itemsInProgress nodes and build body to send to time series websocket
-
+const buildBody = (service, items) => {
+  // process all the nodes and build body to send to time series websocket, with an element for each tag
   const body = [];
+  const bodyElements = new Map();
+  _.forEach(items, (node) => {
+    _.forEach(getDataPoints(service, node), ({ name, attributes, datapoint }) => {
+      let bodyElement = bodyElements.get(name);
+      if (_.isUndefined(bodyElement)) {
+        bodyElement = { name, datapoints: [], attributes };
+        bodyElements.set(name, bodyElement);
+        body.push(bodyElement);
+      }
+      bodyElement.datapoints.push(datapoint);
+    });
+  });
+  return body;
+};
 
-  _.forEach(tags, (tag) => {
-    // find the existing element in body for this tag
-    const matches = _.filter(body, { name: tag.name });
-    let bodyElement = matches.length === 0 ? undefined : matches[0];
-
-    if (_.isUndefined(bodyElement)) {
-      // didn't find the bodyElement, so let's create it
-      bodyElement = { name: tag.name, datapoints: [], attributes: tag.attributes };
-      body.push(bodyElement);
-    }
+/**
+ * Gets the size of the data points of a node in a payload: the bytes of its data points, and the bytes of the element
+ * of each of their tags, which the payload only has once. The size is kept, as the nodes stay queued while their
+ * payload fills.
+ *
+ * @param {Object} service the time series service
+ * @param {Object} node the node
+ * @returns {Object} the size, having the number of data points (numDataPoints), their bytes (numBytes) and the bytes
+ *   of the element of each tag, by tag name (tagBytes)
+ * @private
+ */
+const getNodeSize = (service, node) => {
+  if (!service.nodeSizes.has(node)) {
+    const size = { numDataPoints: 0, numBytes: 0, tagBytes: new Map() };
+    _.forEach(getDataPoints(service, node), ({ name, attributes, datapoint }) => {
+      // each element and data point is counted with the comma separating it from the previous one
+      if (!size.tagBytes.has(name)) {
+        size.tagBytes.set(name, Buffer.byteLength(JSON.stringify({ name, datapoints: [], attributes })) + 1);
+      }
+      size.numBytes += Buffer.byteLength(JSON.stringify(datapoint)) + 1;
+      size.numDataPoints += 1;
+    });
+    service.nodeSizes.set(node, size);
+  }
+  return service.nodeSizes.get(node);
+};
 
-    // loop over the itemsInProgress nodes and add the data points to the bodyElement for this tag
-    _.forEach(itemsInProgress, (node) => {
-      const timestamp = Math.round(node.data.time * 1000); // convert seconds to milliseconds and round
-      const dataVal = node.data[tag.name];
-      bodyElement.datapoints.push([timestamp, dataVal]);
+/**
+ * Gets the next batch of nodes of the queue: as many nodes as fit in a payload of the maximum size of the service,
+ * from the start of the queue. The size of the payload is counted without building it (a few bytes more than its
+ * actual size). A node which doesn't fit in a payload on its own (which Predix will reject) is sent alone. Only the
+ * nodes a payload can hold are read from the queue, so a long queue (ex: after an outage) isn't copied for each batch.
+ *
+ * @param {Object} service the time series service
+ * @param {Set} excludedKeys the keys of the nodes not to get (ex: the nodes in flight)
+ * @returns {Object} the batch, having its nodes (items), its number of data points (numDataPoints), the size of its
+ *   payload (numBytes), and a flag telling whether it is full (isFull), e.g. the next node doesn't fit in it
+ * @private
+ */
+const getNextBatch = (service, excludedKeys) => {
+  const batch = { items: [], numAttempts: 0, numDataPoints: 0, numBytes: PAYLOAD_ENVELOPE_BYTES, isFull: false };
+  const tagNames = new Set();
+  const payloadBytes = Math.max(service.maxPayloadBytes - PAYLOAD_ENVELOPE_BYTES, 0);
+  const maxNodes = Math.floor(payloadBytes / MIN_DATAPOINT_BYTES) + 1;
+  _.forEach(service.queue.peek(maxNodes, excludedKeys), (node) => {
+    const size = getNodeSize(service, node);
+    let nodeBytes = size.numBytes;
+    size.tagBytes.forEach((tagBytes, name) => {
+      nodeBytes += tagNames.has(name) ? 0 : tagBytes;
     });
+
+    if (!_.isEmpty(batch.items) && batch.numBytes + nodeBytes > service.maxPayloadBytes) {
+      batch.isFull = true;
+      return false;
+    }
+    batch.items.push(node);
+    batch.numDataPoints += size.numDataPoints;
+    batch.numBytes += nodeBytes;
+    size.tagBytes.forEach((tagBytes, name) => tagNames.add(name));
+    batch.isFull = batch.numBytes >= service.maxPayloadBytes;
+    return !batch.isFull;
   });
+  return batch;
+};
 
-  return body;
+/**
+ * Schedules the next send of the service, once a wait is over (ex: the linger time of a payload which is not full).
+ * An earlier send already scheduled is kept.
+ *
+ * @param {Object} service the time series service
+ * @param {number} waitMs the wait in ms
+ * @private
+ */
+const scheduleSend = (service, waitMs) => {
+  const sendTime = Date.now() + waitMs;
+  if (!_.isUndefined(service.sendTimer)) {
+    if (service.sendTime <= sendTime) {
+      return;
+    }
+    clearTimeout(service.sendTimer);
+  }
+  service.sendTime = sendTime;
+  service.sendTimer = setTimeout(() => {
+    service.sendTimer = undefined;
+    processTimeSeriesData(service);    // eslint-disable-line
+  }, waitMs);
+};
+
+/**
+ * Gets the HTTP status of a web socket error, which is only known when the socket could not be opened
+ * (ex: 'unexpected server response (401)').
+ *
+ * @param {string} reason the message of the error
+ * @returns {number} the status, undefined if there is none
+ * @private
+ */
+const getSocketErrorStatus = (reason) => {
+  const statusMatch = /unexpected server response \((\d+)\)/.exec(reason);
+  return statusMatch ? Number(statusMatch[1]) : undefined;
+};
+
+/**
+ * Removes all the batches in flight of the service, once their send has failed.
+ *
+ * @param {Object} service the time series service
+ * @returns {Array} the batches which were in flight
+ * @private
+ */
+const takeBatchesInFlight = (service) => {
+  const batches = Array.from(service.batchesInFlight.values());
+  service.batchesInFlight.clear();
+  return batches;
+};
+
+/**
+ * Handles the failure of the web socket of the service once opened (an error, or the socket closed by Predix).
+ * The batches in flight will never be acknowledged, so they are sent again later, or given up (refer to
+ * retry_policy.js).
+ *
+ * @param {Object} service the time series service
+ * @param {Object} ws the web socket which failed
+ * @param {string} reason why the web socket failed
+ * @private
+ */
+const handleSocketFailure = (service, ws, reason) => {
+  if (service.ws !== ws) {
+    // the socket was closed by the service, or its failure has already been handled
+    return;
+  }
+  service.ws = undefined;
+  const batches = takeBatchesInFlight(service);
+  if (!_.isEmpty(batches)) {
+    Helper.handleFailedSend(service, batches, reason, getSocketErrorStatus(reason),
+      processTimeSeriesData, 'TimeSeriesService');    // eslint-disable-line
+  }
+};
+
+/**
+ * Handles an acknowledgement of the Predix time series service, which has the messageId of the payload it
+ * acknowledges, and a statusCode telling whether its data points were accepted (ex: 202) or rejected (ex: 400).
+ * The nodes of an accepted payload are removed from the queue, while a rejected payload is sent again later, or
+ * given up (refer to retry_policy.js).
+ *
+ * @param {Object} service the time series service
+ * @param {string} data the acknowledgement received on the web socket
+ * @private
+ */
+const handleAcknowledgement = (service, data) => {
+  const { logger } = service;
+  let ack;
+  try {
+    ack = JSON.parse(data);
+  } catch (e) {
+    logger.logError(`ignoring the invalid acknowledgement received from the time series service: ${data}`);
+    return;
+  }
+
+  const messageId = String(_.get(ack, 'messageId'));
+  const batch = service.batchesInFlight.get(messageId);
+  if (_.isUndefined(batch)) {
+    // ex: the acknowledgement of a payload whose socket failed, and which has been sent again since
+    logger.logDebug(`ignoring the acknowledgement of unknown message ${messageId}: ${data}`);
+    return;
+  }
+  service.batchesInFlight.delete(messageId);
+
+  const status = Number(ack.statusCode);
+  if (!(status >= 200 && status < 300)) {
+    logger.logError(`the time series service rejected message ${messageId}: ${data}`);
+    Helper.handleFailedSend(service, [batch], `the time series service rejected the data (status ${ack.statusCode})`,
+      status, processTimeSeriesData, 'TimeSeriesService');    // eslint-disable-line
+    return;
+  }
+
+  service.totSent += batch.items.length;
+  logger.logDebug(
+    `time series data sent successfully, totSent is now ${service.totSent}, ` +
+    `message response from sending time series data over socket: ${data} `);
+
+  // remove the items from the queue that were sent successfully
+  Helper.removeProcessedItemsFromQueue(service.queue, batch.items, 'TimeSeriesService');
+
+  // send the next nodes of the queue, if any
+  processTimeSeriesData(service);    // eslint-disable-line
 };
 
 /**
  * Creates a web socket to use for sending the time series data points to Predix.
  *
- * @returns {Object} a Promise which will resolve once data has been queued to be sent to Predix
+ * @param {Object} service the time series service
+ * @param {string} token the Predix security token
+ * @returns {Object} a Promise which will resolve once the web socket is opened, or reject with the error which
+ *   prevented it from opening (ex: 'unexpected server response (401)')
  * @private
  */
-const createWebSocket = () => new Promise(async (resolve) => {
+const createWebSocket = (service, token) => new Promise((resolve, reject) => {
+  const { logger, predixConfig } = service;
   logger.logDebug(`inside TimeSeriesService.createWebSocket, setting options using token = ${token}`);
   const options = {
     headers: {
@@ -207,12 +600,13 @@ const createWebSocket = () => new Promise(async (resolve) => {
   const endpoint = predixConfig.time_series_websocket_url;
 
   // setup proxy if necessary
-  setupProxy(options, endpoint);
+  setupProxy(service, options, endpoint);
 
   logger.logDebug(`options = ${JSON.stringify(options)}`);
 
   logger.logDebug('creating WebSocket');
-  ws = new WebSocket(endpoint, null, options);
+  const ws = new WebSocket(endpoint, null, options);
+  let isOpen = false;
   logger.logDebug('WebSocket created');
 
   // wire up the websocket events
@@ -223,37 +617,18 @@ const createWebSocket = () => new Promise(async (resolve) => {
   ws.on('open', () => {
     const msg = 'socket opened!';
     logger.logDebug(msg);
+    isOpen = true;
+    service.ws = ws;
     resolve(msg);
   });
 
   /**
-   * Called once web socket message has been sent successfully to Predix.
+   * Called once Predix has acknowledged a message sent on the web socket.
    *
    * @param {Object} msg the message object returned from the web socket
    */
   ws.onmessage = function (msg) {
-    totSent += itemsInProgress.length;
-
-    logger.logDebug(
-      `time series data sent successfully, totSent is now ${totSent}, ` +
-      `message response from sending time series data over socket: ${msg.data} `);
-
-    // remove the items from the queue that were sent successfully
-    Helper.removeProcessedItemsFromQueue(queue, itemsInProgress, 'TimeSeriesService');
-
-    isOperationInProgress = false;
-    logger.logDebug('TimeSeriesService.isOperationInProgress is now false');
-
-    // if there are still nodes in the queue, we need to process them
-    if (queue.length !== 0) {
-      logger.logDebug(`there are still nodes in the TimeSeriesService.queue, queue.length = ${queue.length}`);
-      processTimeSeriesData();    // eslint-disable-line
-    } else {
-      // queue is empty, so let's close the socket
-      logger.logDebug('TimeSeriesService.queue is empty, so closing socket');
-      ws.close();
-      ws = undefined;
-    }
+    handleAcknowledgement(service, msg.data);
   };
 
   /**
@@ -261,6 +636,9 @@ const createWebSocket = () => new Promise(async (resolve) => {
    */
   ws.onclose = function () {
     logger.logDebug('socket closed');
+    if (isOpen) {
+      handleSocketFailure(service, ws, 'the socket was closed before all the data was acknowledged');
+    }
   };
 
   /**
@@ -270,77 +648,183 @@ const createWebSocket = () => new Promise(async (resolve) => {
    */
   ws.onerror = function (evt) {
     logger.logError(`socket error!!! ${evt}`, evt);
-    ws = undefined;
-    // try to send again after some period of time
-    setTimeout(async () => {
-      logger.logInfo('socket connection failed, so calling TimeSeriesService.processTimeSeriesData to try again');
-      isOperationInProgress = false;
-
-      // generate a new predix token
-      token = await Helper.getPredixToken(predixConfig.uaa_url, predixConfig.client_id, predixConfig.client_secret);
-
-      // try to send the data again
-      processTimeSeriesData();    // eslint-disable-line
-    }, constants.WAIT_SECONDS_BETWEEN_FAILED_REQUESTS * 1000);
+    if (isOpen) {
+      handleSocketFailure(service, ws, evt.message || `${evt}`);
+    } else {
+      reject(evt);
+    }
   };
 });
 
 /**
- * Processes all the time series data in the itemsInProgress array and sends it to Predix.
- * If a send operation is already in progress, it will not send the data (the data
- * will get sent once the other operation finishes).
+ * Opens the web socket of the service, getting a valid token first. If the socket can't be opened, the batches in
+ * flight are sent again later, or given up (refer to retry_policy.js).
+ *
+ * @param {Object} service the time series service
+ * @returns {Object} a Promise which will resolve once the web socket is opened, or reject if it can't be opened
+ * @private
+ */
+const openWebSocket = async (service) => {
+  const { logger } = service;
+  let token;
+  try {
+    // get a valid token, which fails if it can't be got (ex: UAA rejected the client credentials)
+    token = await service.tokenManager.getToken();
+
+    logger.logDebug('creating a new websocket');
+    await createWebSocket(service, token);
+    logger.logDebug('done creating a new websocket');
+  } catch (e) {
+    // the failure is handled once the next send can open a new socket
+    service.socketOpening = undefined;
+    if (_.isUndefined(token)) {
+      Helper.handleTokenFailure(service, takeBatchesInFlight(service), e,
+        processTimeSeriesData, 'TimeSeriesService');    // eslint-disable-line
+    } else {
+      const reason = e.message || `${e}`;
+      Helper.handleFailedSend(service, takeBatchesInFlight(service), reason, getSocketErrorStatus(reason),
+        processTimeSeriesData, 'TimeSeriesService');    // eslint-disable-line
+    }
+    throw e;
+  }
+  service.socketOpening = undefined;
+};
+
+/**
+ * Puts the next batches of the service in flight, up to MAX_TIME_SERIES_MESSAGES_IN_FLIGHT batches: the batches
+ * which failed, if they are being retried, and then the next nodes of the queue not in flight yet (refer to
+ * getNextBatch). A batch of the queue which is not full waits until its oldest node has waited for the linger time,
+ * and no batch is put in flight while the rate limit of the service is reached. Each batch gets a new messageId,
+ * which its acknowledgement is matched with.
+ *
+ * @param {Object} service the time series service
+ * @returns {Array} the batches put in flight
+ * @private
+ */
+const putNextBatchesInFlight = (service) => {
+  const batches = [];
+  while (service.batchesInFlight.size < constants.MAX_TIME_SERIES_MESSAGES_IN_FLIGHT) {
+    let batch = service.retryBatches.shift();
+    if (_.isUndefined(batch)) {
+      const excludedKeys = new Set(_.map(_.flatMap(Array.from(service.batchesInFlight.values()), 'items'), 'key'));
+      batch = getNextBatch(service, excludedKeys);
+      if (batch.items.length === 0) {
+        break;
+      }
+
+      // the nodes restored from the journal have waited long enough (or have no queuedAt), so they are sent right away
+      const lingerWaitMs = batch.isFull ? 0 : ((batch.items[0].queuedAt || 0) + service.lingerMs) - Date.now();
+      if (lingerWaitMs > 0) {
+        service.logger.logDebug(`waiting ${lingerWaitMs} ms for more time series data to fill the payload`);
+        scheduleSend(service, lingerWaitMs);
+        break;
+      }
+    }
+
+    const rateWaitMs = service.rateLimiter.tryTake(batch.numDataPoints);
+    if (rateWaitMs > 0) {
+      service.logger.logDebug(`time series rate limit reached, waiting ${rateWaitMs} ms`);
+      if (batch.numAttempts !== 0) {
+        service.retryBatches.unshift(batch);
+      }
+      scheduleSend(service, rateWaitMs);
+      break;
+    }
+    if (batch.numAttempts === 0 && batch.numBytes > service.maxPayloadBytes) {
+      service.logger.logError(`the time series state queued with key ${batch.items[0].key} takes ${batch.numBytes} ` +
+        `bytes, more than the maximum payload size of ${service.maxPayloadBytes} bytes, so it is sent alone`);
+    }
+    batch.messageId = Helper.getId();
+    service.batchesInFlight.set(batch.messageId, batch);
+    batches.push(batch);
+  }
+  return batches;
+};
+
+/**
+ * Sends the next batches of time series data to Predix, on the web socket of the service (which is opened if
+ * needed). Several batches can be in flight on the socket (refer to putNextBatchesInFlight), each one staying
+ * queued until Predix acknowledges it. If the service is waiting to retry the batches which failed, it will not
+ * send the data (the data will get sent once the wait is over).
  *
+ * @param {Object} service the time series service
  * @returns {Object} a Promise which will resolve once data has been queued to be sent to Predix
  * @private
  */
-const processTimeSeriesData = () => new Promise(async (resolve, reject) => {
+const processTimeSeriesData = service => new Promise(async (resolve, reject) => {
+  const { logger } = service;
   try {
     logger.logDebug('entered processTimeSeriesData');
 
-    if (isOperationInProgress) {
-      // an existing WebSocket operation is in progress, so nothing to do
-      logger.logDebug('WebSocket operation already in progress');
-      resolve('operation already in progress');
+    if (!_.isUndefined(service.failure)) {
+      // the service has stopped (refer to Helper.handleTokenFailure)
+      logger.logDebug('in TimeSeriesService.processTimeSeriesData, the service has stopped');
+      resolve('stopped');
+      return;
+    }
+    if (service.isWaitingToRetry) {
+      // the failed batches are sent again once the wait is over
+      logger.logDebug('in TimeSeriesService.processTimeSeriesData, waiting to retry a failed send');
+      resolve('waiting to retry');
       return;
     }
-    isOperationInProgress = true;
 
-    // get the nodes we are getting ready to send to predix
-    itemsInProgress = [];
-    Helper.setItemsInProgress(queue, itemsInProgress);
+    // get the batches we are getting ready to send to predix
+    const batches = putNextBatchesInFlight(service);
 
     // make sure we still have work to do
-    if (itemsInProgress.length === 0) {
-      logger.logDebug('in TimeSeriesService.processAssetData, itemsInProgress is empty, so nothing to do.');
-      isOperationInProgress = false;
-      logger.logDebug('TimeSeriesService.isOperationInProgress is now false');
+    if (batches.length === 0) {
+      if (service.batchesInFlight.size !== 0) {
+        logger.logDebug('in TimeSeriesService.processTimeSeriesData, waiting for the batches in flight');
+        resolve('operation already in progress');
+        return;
+      }
+      if (service.queue.length !== 0 || !_.isEmpty(service.retryBatches)) {
+        // the next send has been scheduled (refer to putNextBatchesInFlight)
+        logger.logDebug('in TimeSeriesService.processTimeSeriesData, waiting for the linger time or the rate limit');
+        resolve('waiting to send');
+        return;
+      }
+      logger.logDebug('in TimeSeriesService.processTimeSeriesData, the queue is empty, so nothing to do.');
+      if (!_.isUndefined(service.ws)) {
+        // nothing left to send, so let's close the socket
+        logger.logDebug('TimeSeriesService.queue is empty, so closing socket');
+        const { ws } = service;
+        service.ws = undefined;
+        ws.close();
+      }
       resolve('no more items to process');
       return;
     }
 
-    // build the body we will send to the predix websocket
-    const body = buildBody();
-
-    const payload = {
-      messageId: (new Date()).getTime(),
-      body,
-    };
-    logger.logDebug(`time series payload =  ${JSON.stringify(payload)}`);
-
     // resolve immediately so caller can continue; don't wait for data to be sent
     resolve('data queued');
 
-    // create a new websocket if needed
-    if (_.isUndefined(ws)) {
-      logger.logDebug('creating a new websocket');
-      await createWebSocket();
-      logger.logDebug('done creating a new websocket');
+    // open a new websocket if needed, which the batches put in flight meanwhile share
+    if (_.isUndefined(service.ws)) {
+      if (_.isUndefined(service.socketOpening)) {
+        service.socketOpening = openWebSocket(service);
+      }
+      try {
+        await service.socketOpening;
+      } catch (e) {
+        // the batches have been handled by openWebSocket
+        return;
+      }
     }
 
-    // send the data to predix!
-    const readyState = _.isUndefined(ws) ? 'undefined' : ws.readyState;
-    logger.logDebug(`preparing to send data to predix, ws.readyState = ${readyState}`);
-    ws.send(JSON.stringify(payload));
+    // send the data to predix, unless the socket failed meanwhile (which failed the batches)
+    _.forEach(batches, (batch) => {
+      if (_.isUndefined(service.ws) || service.batchesInFlight.get(batch.messageId) !== batch) {
+        return;
+      }
+      const payload = JSON.stringify({
+        messageId: batch.messageId,
+        body: buildBody(service, batch.items),
+      });
+      logger.logDebug(`time series payload =  ${payload}`);
+      service.ws.send(service.isCompressed ? zlib.gzipSync(payload) : payload);
+    });
   } catch (e) {
     const msg = `Error in TimeSeriesService.processTimeSeriesData: ${e}`;
     logger.logError(msg, e);
@@ -356,33 +840,193 @@ module.exports = class TimeSeriesService {
   /**
    * Constructs a new instance of this class.
    *
-   * @param {Object} tok the Predix security token
+   * @param {Object} tokenManager the TokenManager giving the Predix security tokens, which can be shared with other
+   *   services using the same Predix configuration
    * @param {Object} log the logger
+   * @param {Object} options the options of the instance
+   * @param {Array} options.extraTags the tags of the data points sent in addition to the state values (ex: the
+   *   KPIs), in the same form as the tags returned by getTags()
+   * @param {Object} options.predixConfig the Predix configuration: the time series zone id and websocket url.
+   *   Defaults to config/predix_config.json
+   * @param {string} options.queueName the name of the queue journal (defaults to time_series), which must be
+   *   different for each instance of the process
+   * @param {Object} options.retryPolicy the RetryPolicy of the sends, defaults to the one of the simulator constants
+   * @param {number} options.maxPayloadBytes the maximum size in bytes of the payloads, defaults to
+   *   TIME_SERIES_MAX_PAYLOAD_BYTES
+   * @param {number} options.lingerMs how long in ms a state can wait for more states to fill its payload, defaults to
+   *   TIME_SERIES_LINGER_MS
+   * @param {boolean} options.compress whether the payloads are compressed with gzip, defaults to
+   *   TIME_SERIES_COMPRESSION
+   * @param {number} options.maxDataPointsPerSecond the maximum number of data points sent per second (0 for no
+   *   limit), defaults to TIME_SERIES_MAX_DATAPOINTS_PER_SECOND
+   * @throws {Error} if an option is invalid (ex: a maximum payload size of 0)
    */
-  constructor(tok, log) {
-    queue = [];
-    isOperationInProgress = false;
-    ws = undefined;
-    totSent = 0;
-    token = tok;
-    logger = log;
-    predixConfig = require('../../config/predix_config');    // eslint-disable-line
+  constructor(tokenManager, log, options = {}) {
+    /**
+     * The logger object used to log messages.
+     */
+    this.logger = log;
+
+    /**
+     * The manager of the Predix security tokens used to access Predix (a TokenManager).
+     */
+    this.tokenManager = tokenManager;
+
+    /**
+     * The Predix configuration which contains the Predix service names, GUIDs, etc.
+     */
+    this.predixConfig = options.predixConfig || require('../../config/predix_config');    // eslint-disable-line
+
+    /**
+     * The tags of the data points sent to Predix: the tags of the state values, followed by the extra tags.
+     */
+    this.tags = tags.concat(options.extraTags || []);
+
+    /**
+     * The queue used to store data yet to be sent to Predix (a DurableQueue).
+     */
+    this.queue = new DurableQueue(options.queueName || 'time_series', log);
+
+    /**
+     * The retry policy of the sends (a RetryPolicy).
+     */
+    this.retryPolicy = options.retryPolicy || new RetryPolicy();
+
+    /**
+     * The maximum size in bytes of the payloads.
+     */
+    this.maxPayloadBytes = _.isUndefined(options.maxPayloadBytes) ? constants.TIME_SERIES_MAX_PAYLOAD_BYTES :
+      options.maxPayloadBytes;
+
+    /**
+     * How long in ms a state can wait in the queue for more states to fill its payload.
+     */
+    this.lingerMs = _.isUndefined(options.lingerMs) ? constants.TIME_SERIES_LINGER_MS : options.lingerMs;
+
+    if (!(this.maxPayloadBytes > PAYLOAD_ENVELOPE_BYTES) || !(this.lingerMs >= 0)) {
+      throw new Error('The time series service must have a maximum payload size greater than ' +
+        `${PAYLOAD_ENVELOPE_BYTES} bytes, and a linger time of 0 or more`);
+    }
+
+    /**
+     * The flag indicating whether the payloads are compressed with gzip.
+     */
+    this.isCompressed = _.isUndefined(options.compress) ? constants.TIME_SERIES_COMPRESSION : options.compress;
+
+    /**
+     * The limiter of the number of data points sent per second (a RateLimiter).
+     */
+    this.rateLimiter = new RateLimiter({
+      ratePerSecond: _.isUndefined(options.maxDataPointsPerSecond) ? constants.TIME_SERIES_MAX_DATAPOINTS_PER_SECOND :
+        options.maxDataPointsPerSecond,
+    });
+
+    /**
+     * The sizes of the queued nodes in a payload, by node (refer to getNodeSize).
+     */
+    this.nodeSizes = new WeakMap();
+
+    /**
+     * The timer of the next send, once the linger time of a payload or the wait for the rate limit is over.
+     */
+    this.sendTimer = undefined;
+
+    /**
+     * The time in ms of the next send scheduled by sendTimer.
+     */
+    this.sendTime = undefined;
+
+    /**
+     * The file of the batches given up (a DeadLetterFile).
+     */
+    this.deadLetterFile = new DeadLetterFile(this.queue.name, log);
+
+    /**
+     * The web socket object used to send the data points to Predix time series service.
+     */
+    this.ws = undefined;
+
+    /**
+     * The Promise of the opening of the web socket, shared by the sends made while it is opened.
+     */
+    this.socketOpening = undefined;
+
+    /**
+     * The batches sent to Predix (or about to be) and not acknowledged yet, by messageId.
+     */
+    this.batchesInFlight = new Map();
+
+    /**
+     * The batches which failed to be sent, and are sent again once the wait given by the retry policy is over.
+     */
+    this.retryBatches = [];
+
+    /**
+     * The flag indicating whether the service is waiting to retry the failed batches, so it sends nothing.
+     */
+    this.isWaitingToRetry = false;
+
+    /**
+     * The timer of the wait before retrying the failed batches.
+     */
+    this.retryTimer = undefined;
+
+    /**
+     * The error which stopped the service (ex: UAA rejected the client credentials), if any. Nothing is sent once
+     * it is set.
+     */
+    this.failure = undefined;
+
+    /**
+     * The total number of time series data objects sent to Predix.
+     */
+    this.totSent = 0;
+
+    /**
+     * The total number of time series data objects queued to be sent to Predix.
+     */
+    this.totQueued = 0;
+
+    /**
+     * The total number of time series data objects given up, and written to the dead-letter file.
+     */
+    this.totDeadLettered = 0;
+
+    // send the data restored from the journal, which was still queued when the previous process stopped
+    if (this.queue.length !== 0) {
+      this.logger.logInfo(`sending the ${this.queue.length} node(s) restored from the ${this.queue.name} queue`);
+      processTimeSeriesData(this);
+    }
+  }
+
+  /**
+   * Gets the tags of the time series data points, each one having its name, component and attributes.
+   *
+   * @returns {Array} a copy of the tags
+   */
+  static getTags() {
+    return _.cloneDeep(tags);
   }
 
   /**
    * Sends the data to Predix time series service.
    *
    * @param {Object} data the data to send
-   * @returns {Object} a Promise which will resolve once data has been queued to be sent to Predix
+   * @returns {Object} a Promise which will resolve once data has been queued to be sent to Predix, or reject with the
+   *   failure of the service if it has stopped (the data is still queued, to be sent by the next run)
    */
   sendDataToPredix(data) {
-    logger.logDebug('inside TimeSeriesService.sendDataToPredix');
+    this.logger.logDebug('inside TimeSeriesService.sendDataToPredix');
 
-    // add node to queue
-    queue.push({ key: Helper.getId(), data });
+    // add node to queue, with the time it was queued at, which tells how long it has waited for its payload to fill
+    this.queue.push({ key: Helper.getId(), data, queuedAt: Date.now() });
+    ++this.totQueued;
+    if (!_.isUndefined(this.failure)) {
+      return Promise.reject(this.failure);
+    }
 
     // process the time series data and send it to predix
-    return processTimeSeriesData();
+    return processTimeSeriesData(this);
   }
 
   /**
@@ -391,17 +1035,26 @@ module.exports = class TimeSeriesService {
    * @returns {number} total number of send requests
    */
   getTotalRequestsSent() {
-    return totSent;
+    return this.totSent;
+  }
+
+  /**
+   * Gets the number of time series data objects queued to be sent to Predix, the number acknowledged by Predix, and
+   * the number given up.
+   *
+   * @returns {Object} the statistics, having the queued, acknowledged and deadLettered numbers
+   */
+  getStatistics() {
+    return { queued: this.totQueued, acknowledged: this.totSent, deadLettered: this.totDeadLettered };
   }
 
   /**
-   * Determines whether the service has finished sending all queued data to Predix.
+   * Determines whether the service has finished sending all queued data to Predix, or has stopped (refer to failure).
    *
    * @returns {boolean} flag indicating whether service has finished
    */
   isFinished() {
-    return queue.length === 0 && !isOperationInProgress;
+    return !_.isUndefined(this.failure) || (this.queue.length === 0 && this.batchesInFlight.size === 0);
   }
 
 };
-
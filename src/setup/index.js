@@ -24,6 +24,7 @@ const { exec } = require('child_process');
 const predixConfig = require('../../config/templates/predix_config_template.json');
 const _ = require('lodash');
 const Helper = require('../common/helper');
+const TokenManager = require('../common/token_manager');
 const jsonfile = require('jsonfile');
 const request = require('superagent');
 const constants = require('../../config/simulator_constants');
@@ -150,7 +151,12 @@ const createPredixClient = async () => {
   logMsg('creating predix client...');
 
   // get an admin token which we'll need to create the client
-  const token = await Helper.getPredixToken(predixConfig.uaa_url, 'admin', predixConfig.uaa_admin_client_secret);
+  const adminTokenManager = new TokenManager({
+    uaa_url: predixConfig.uaa_url,
+    client_id: 'admin',
+    client_secret: predixConfig.uaa_admin_client_secret,
+  }, logger);
+  const token = await adminTokenManager.getToken();
 
   // get client template to use for creating client
   let clientTemplate = fs.readFileSync('./config/templates/client_template.json', 'utf8');
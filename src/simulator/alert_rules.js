@@ -0,0 +1,267 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the AlertRules class, which checks the state of the locomotive against
+ * alert rules loaded from a JSON or YAML file, and sends the alerts to the asset sink. The file
+ * has a list of rules, each one having:
+ * - name: the name of the rule, used as the asset key of its alerts (ex: pressure)
+ * - expression: the value checked, any state value or expression of them (ex: speed - lineSpeedLimit)
+ * - operator: the comparison of the value with the threshold: >, >=, <, <=, == or !=
+ * - threshold: the threshold, a number or an expression (ex: MAX_ALLOWED_PRESSURE)
+ * - hysteresis: how far the value must come back past the threshold for the alert to clear (defaults to 0)
+ * - minDuration: the time in seconds the condition must hold before the alert is raised (defaults to 0)
+ * - severity: the severity of the alerts: info, warning or critical (defaults to warning)
+ * - message: the message template of the alerts, where the placeholders {{value}}, {{threshold}},
+ *   {{severity}}, {{status}} (of the alarm) and {{name}} (of the rule) are replaced, as well as any state
+ *   value or constant (ex: {{speed}}). The message is built again every time the alarm is sent, so it
+ *   has the current values.
+ * - maxSends: the maximum number of times the alarms of the rule are sent (defaults to MAX_NUM_SENDS_PER_KEY)
+ *
+ * Expressions are described in expression.js. Their identifiers are the state values and the
+ * simulator constants, so the rules follow the constants of each locomotive.
+ *
+ * The rules themselves don't change while checking: the status of each rule (ex: whether its alert
+ * is active) is kept by the simulator, so the same rules can be used by all the locomotives of a fleet.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Promise = require('bluebird');
+const _ = require('lodash');
+const yaml = require('js-yaml');
+const Expression = require('./expression');
+
+/**
+ * The file of the default alert rules.
+ * @private
+ */
+const DEFAULT_RULES_FILE = path.join(__dirname, '../../config/alerts/default_alert_rules.yml');
+
+/**
+ * The comparison operators, and the direction in which the hysteresis moves the threshold to check
+ * whether an active alert has cleared.
+ * @private
+ */
+const operators = {
+  '>': { compare: (a, b) => a > b, hysteresisSign: -1 },
+  '>=': { compare: (a, b) => a >= b, hysteresisSign: -1 },
+  '<': { compare: (a, b) => a < b, hysteresisSign: 1 },
+  '<=': { compare: (a, b) => a <= b, hysteresisSign: 1 },
+  '==': { compare: (a, b) => a === b, hysteresisSign: 0 },
+  '!=': { compare: (a, b) => a !== b, hysteresisSign: 0 },
+};
+
+/**
+ * The severities of the alerts.
+ * @private
+ */
+const severities = ['info', 'warning', 'critical'];
+
+/**
+ * Determines whether a value can be compared (e.g. it is a number or a flag, but not undefined or NaN).
+ *
+ * @param {*} value the value
+ * @returns {boolean} true if the value can be compared
+ * @private
+ */
+const isComparable = value => _.isBoolean(value) || _.isFinite(value);
+
+/**
+ * Formats a value for the alert messages.
+ *
+ * @param {*} value the value
+ * @returns {string} the formatted value
+ * @private
+ */
+const formatValue = value => String(_.isNumber(value) ? _.round(value, 2) : value);
+
+/**
+ * Builds the message of an alarm from the message template of its rule.
+ *
+ * @param {Object} rule the alert rule
+ * @param {Object} templateValues the values of the placeholders of the rule (ex: value, threshold)
+ * @param {Function} resolve the function resolving the other placeholders (state values and constants)
+ * @returns {string} the message
+ * @private
+ */
+const buildMessage = (rule, templateValues, resolve) => rule.message.replace(/{{\s*(\w+)\s*}}/g, (match, name) =>
+  formatValue(_.has(templateValues, name) ? templateValues[name] : resolve(name)));
+
+/**
+ * This class checks the alert rules.
+ */
+module.exports = class AlertRules {
+
+  /**
+   * Constructs a new instance of this class.
+   *
+   * @param {Object} config the alert rules configuration
+   * @param {Array} config.rules the alert rules
+   * @throws {Error} if a rule is invalid (ex: no name, unknown operator, invalid expression)
+   */
+  constructor(config) {
+    this.rules = _.map(config.rules, (rule, index) => {
+      if (!_.isString(rule.name) || _.isEmpty(rule.name)) {
+        throw new Error(`Alert rule ${index} must have a name`);
+      }
+      if (_.isUndefined(operators[rule.operator])) {
+        throw new Error(`Alert rule ${rule.name} must have an operator, one of ${_.keys(operators)}`);
+      }
+      if (_.isUndefined(rule.expression) || _.isUndefined(rule.threshold)) {
+        throw new Error(`Alert rule ${rule.name} must have an expression and a threshold`);
+      }
+      const res = {
+        hysteresis: 0.0,
+        minDuration: 0.0,
+        severity: 'warning',
+        message: `${rule.name} alert`,
+        ...rule,
+        expression: new Expression(rule.expression),
+        threshold: new Expression(rule.threshold),
+      };
+      if (severities.indexOf(res.severity) === -1) {
+        throw new Error(`Alert rule ${rule.name} must have a severity, one of ${severities}`);
+      }
+      if (!(res.hysteresis >= 0) || !(res.minDuration >= 0)) {
+        throw new Error(`Alert rule ${rule.name} must have a hysteresis and a minimum duration of 0 or more`);
+      }
+      if (!_.isUndefined(res.maxSends) && !(_.isInteger(res.maxSends) && res.maxSends >= 0)) {
+        throw new Error(`Alert rule ${rule.name} must have a maximum number of sends of 0 or more`);
+      }
+      return res;
+    });
+
+    const duplicateNames = _.filter(_.map(this.rules, 'name'), (name, index, names) => names.indexOf(name) !== index);
+    if (!_.isEmpty(duplicateNames)) {
+      throw new Error(`Alert rule names must be unique, duplicates: ${_.uniq(duplicateNames)}`);
+    }
+  }
+
+  /**
+   * Loads alert rules from a JSON or YAML file (files ending with .yml or .yaml are read as YAML).
+   *
+   * @param {string} file the alert rules file
+   * @returns {Object} the alert rules
+   */
+  static load(file) {
+    const content = fs.readFileSync(file, 'utf8');
+    const isYaml = /\.ya?ml$/i.test(file);
+    return new AlertRules(isYaml ? yaml.safeLoad(content) : JSON.parse(content));
+  }
+
+  /**
+   * Gets the default alert rules, from config/alerts/default_alert_rules.yml.
+   *
+   * @returns {Object} the default alert rules
+   */
+  static getDefault() {
+    return AlertRules.load(DEFAULT_RULES_FILE);
+  }
+
+  /**
+   * Checks the state against the rules, and manages the alarm of each rule, which is sent to the asset sink:
+   * - when the rule becomes active, a new alarm is raised (status 'raised');
+   * - while the rule stays active, the alarm is updated every SEND_INTERVAL seconds (status 'ongoing');
+   * - when the rule clears, the alarm is cleared (status 'cleared'), with its end time and duration.
+   * The alarm keeps the same id (and so the same asset uri) through its lifecycle, along with its start time
+   * (when the condition started to hold) and its peak value, and its message is built with the current values
+   * every time it is sent. Once the alarms of a rule have been sent maxSends times, no alarm is raised or updated
+   * any more, but an alarm which was raised is still cleared, so it doesn't stay active. The status of each rule
+   * (along with the number of sends) is kept in
+   * simulator.alertStatus, along with whether the value is beyond the threshold, and the simulator emits an 'alarm'
+   * event with the alarm (and the name and severity of the rule) every time it is sent.
+   *
+   * @param {Object} state the state
+   * @param {Object} sim the simulator
+   * @returns {Object} a Promise which will resolve once the alarms have been queued to be sent
+   */
+  check(state, sim) {
+    const { constants } = sim;
+    const resolve = name => (_.has(state, name) ? state[name] : constants[name]);
+
+    return Promise.all(_.map(this.rules, (rule) => {
+      const status = sim.alertStatus[rule.name] ||
+        { isActive: false, pendingSince: undefined, alarm: undefined, numSends: 0 };
+      const maxSends = _.isUndefined(rule.maxSends) ? constants.MAX_NUM_SENDS_PER_KEY : rule.maxSends;
+      const canSend = status.numSends < maxSends;
+      const value = rule.expression.evaluate(resolve);
+      const threshold = rule.threshold.evaluate(resolve);
+      const operator = operators[rule.operator];
+      const isComparing = isComparable(value) && isComparable(threshold);
+      const isBreached = isComparing && operator.compare(value, threshold);
+
+      let { isActive, pendingSince } = status;
+      if (!isActive) {
+        // the condition must hold for the minimum duration before the alert is raised
+        if (isBreached) {
+          pendingSince = _.isUndefined(pendingSince) ? state.time : pendingSince;
+          isActive = (state.time - pendingSince) + constants.EPS >= rule.minDuration;
+        } else {
+          pendingSince = undefined;
+        }
+      } else if (!isComparing || !operator.compare(value, operator.hysteresisSign === 0 ? threshold :
+        threshold + (operator.hysteresisSign * rule.hysteresis))) {
+        // the value has come back past the threshold (and the hysteresis)
+        isActive = false;
+        pendingSince = undefined;
+      }
+
+      let alarm = status.alarm;
+      let isAlarmSent = false;
+      if (isActive && _.isUndefined(alarm)) {
+        if (canSend) {
+          alarm = {
+            id: sim.createAssetId(pendingSince),
+            status: 'raised',
+            startTime: pendingSince,
+            peakValue: value,
+          };
+          isAlarmSent = true;
+        }
+      } else if (!_.isUndefined(alarm)) {
+        // the peak is the highest value for the > and >= operators, and the lowest one for < and <=
+        let peakValue = isComparing && operator.hysteresisSign === 0 ? value : alarm.peakValue;
+        if (isComparing && operator.hysteresisSign !== 0) {
+          peakValue = operator.hysteresisSign < 0 ? Math.max(alarm.peakValue, value) : Math.min(alarm.peakValue, value);
+        }
+        alarm = { ...alarm, status: isActive ? 'ongoing' : 'cleared', peakValue };
+        if (!isActive) {
+          alarm.endTime = state.time;
+        }
+        isAlarmSent = !isActive ||
+          (canSend && (state.time - alarm.sentTime) + constants.EPS >= constants.SEND_INTERVAL);
+      }
+      if (isAlarmSent) {
+        alarm.sentTime = state.time;
+        const templateValues = { value, threshold, severity: rule.severity, status: alarm.status, name: rule.name };
+        alarm.msg = buildMessage(rule, templateValues, resolve);
+      }
+      sim.alertStatus[rule.name] = {
+        isActive,
+        isBreached,
+        pendingSince,
+        alarm: isActive ? alarm : undefined,
+        numSends: status.numSends + (isAlarmSent ? 1 : 0),
+      };
+
+      if (!isAlarmSent) {
+        return undefined;
+      }
+      sim.emit('alarm', { ...alarm, name: rule.name, severity: rule.severity });
+      return sim.toAsset(rule.name, value, alarm.msg, {
+        isThrottled: false,
+        id: alarm.id,
+        severity: rule.severity,
+        status: alarm.status,
+        startTime: alarm.startTime,
+        endTime: alarm.endTime,
+        duration: (_.isUndefined(alarm.endTime) ? state.time : alarm.endTime) - alarm.startTime,
+        peakValue: alarm.peakValue,
+      });
+    }));
+  }
+
+};
@@ -0,0 +1,263 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the AnomalyDetectors class, which detects anomalies in the state of the
+ * locomotive with statistical detectors, and sends anomaly records to the asset sink. Unlike the alert
+ * rules, the detectors have no fixed thresholds: each one learns the baseline of a state value while
+ * the simulator runs, and scores how far each new value is from it. The detectors are loaded from a
+ * JSON or YAML file, which has a list of detectors, each one having:
+ * - name: the name of the detector (ex: pressureEwma)
+ * - variable: the state value checked (ex: pressure)
+ * - method: how the baseline is learnt and the value scored:
+ *   - ewma: the baseline is the exponentially weighted moving average (and standard deviation) of the value
+ *   - zscore: the baseline is the mean (and standard deviation) of the value over a rolling window
+ *   - rateOfChange: the baseline is the exponentially weighted moving average of the rate of change (per
+ *     second) of the value, which is scored instead of the value
+ * - alpha: the smoothing factor of the moving averages, from 0 to 1 (defaults to 0.01)
+ * - window: the time in seconds of the rolling window of the zscore method (defaults to 60)
+ * - threshold: the score above which the value is an anomaly (defaults to 4)
+ * - hysteresis: how far the score must come back below the threshold for the anomaly to end (defaults to 0), so
+ *   a score hovering around the threshold doesn't send a record every time it crosses it
+ * - warmUp: the time in seconds during which the baseline is learnt before scoring (defaults to 60)
+ * - minStdDev: the lowest standard deviation the score is computed with, so a value which barely changes
+ *   doesn't make every small change an anomaly (defaults to 0.01)
+ * - severity: the severity of the anomalies: info, warning or critical (defaults to warning)
+ * - maxSends: the maximum number of anomaly records of the detector which are sent (defaults to the
+ *   MAX_NUM_SENDS_PER_KEY constant), like the alarms of the alert rules
+ *
+ * The score is the distance between the value and its baseline, in standard deviations. An anomaly record
+ * is sent when the score of a detector rises above its threshold, with the score and the baseline, along
+ * with the faults injected at that time, so the records can be checked against what really happened.
+ *
+ * Like the alert rules, the detectors don't change while checking: the baseline of each detector is kept by
+ * the simulator, so the same detectors can be used by all the locomotives of a fleet.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const Promise = require('bluebird');
+const _ = require('lodash');
+const yaml = require('js-yaml');
+const FaultScenario = require('./fault_scenario');
+
+/**
+ * The methods of the detectors.
+ * @private
+ */
+const methods = ['ewma', 'zscore', 'rateOfChange'];
+
+/**
+ * The severities of the anomalies.
+ * @private
+ */
+const severities = ['info', 'warning', 'critical'];
+
+/**
+ * Gets the baseline of a detector from the values seen so far.
+ *
+ * @param {Object} detector the detector
+ * @param {Object} status the status of the detector
+ * @returns {Object} the baseline, having a mean and a standard deviation, or undefined if there is no baseline yet
+ * @private
+ */
+const getBaseline = (detector, status) => {
+  if (detector.method === 'zscore') {
+    const count = status.samples.length;
+    if (count < 2) {
+      return undefined;
+    }
+    const mean = status.sum / count;
+    return { mean, stdDev: Math.sqrt(Math.max(0, (status.sumOfSquares / count) - (mean * mean))) };
+  }
+  return _.isUndefined(status.mean) ? undefined : { mean: status.mean, stdDev: Math.sqrt(status.variance) };
+};
+
+/**
+ * Adds a value to the baseline of a detector.
+ *
+ * @param {Object} detector the detector
+ * @param {Object} status the status of the detector, which gets the value
+ * @param {number} value the value
+ * @param {number} time the time in seconds of the value
+ * @param {Object} constants the simulator constants
+ * @private
+ */
+const addValue = (detector, status, value, time, constants) => {
+  if (detector.method === 'zscore') {
+    status.samples.push({ time, value });
+    status.sum += value;
+    status.sumOfSquares += value * value;
+    while (status.samples[0].time < time - detector.window - constants.EPS) {
+      const sample = status.samples.shift();
+      status.sum -= sample.value;
+      status.sumOfSquares -= sample.value * sample.value;
+    }
+  } else if (_.isUndefined(status.mean)) {
+    status.mean = value;
+    status.variance = 0.0;
+  } else {
+    // exponentially weighted moving average and variance
+    const diff = value - status.mean;
+    status.mean += detector.alpha * diff;
+    status.variance = (1 - detector.alpha) * (status.variance + (detector.alpha * diff * diff));
+  }
+};
+
+/**
+ * This class checks the anomaly detectors.
+ */
+module.exports = class AnomalyDetectors {
+
+  /**
+   * Constructs a new instance of this class.
+   *
+   * @param {Object} config the anomaly detectors configuration
+   * @param {Array} config.detectors the anomaly detectors
+   * @throws {Error} if a detector is invalid (ex: no name, unknown method, alpha outside 0 to 1)
+   */
+  constructor(config) {
+    this.detectors = _.map(config.detectors, (detector, index) => {
+      if (!_.isString(detector.name) || _.isEmpty(detector.name)) {
+        throw new Error(`Anomaly detector ${index} must have a name`);
+      }
+      if (!_.isString(detector.variable) || _.isEmpty(detector.variable)) {
+        throw new Error(`Anomaly detector ${detector.name} must have a variable`);
+      }
+      const res = {
+        method: 'ewma',
+        alpha: 0.01,
+        window: 60,
+        threshold: 4,
+        hysteresis: 0,
+        warmUp: 60,
+        minStdDev: 0.01,
+        severity: 'warning',
+        ...detector,
+      };
+      if (methods.indexOf(res.method) === -1) {
+        throw new Error(`Anomaly detector ${detector.name} must have a method, one of ${methods}`);
+      }
+      if (severities.indexOf(res.severity) === -1) {
+        throw new Error(`Anomaly detector ${detector.name} must have a severity, one of ${severities}`);
+      }
+      if (!(res.alpha > 0 && res.alpha <= 1) || !(res.window > 0) || !(res.threshold > 0) || !(res.minStdDev > 0) ||
+        !(res.warmUp >= 0)) {
+        throw new Error(`Anomaly detector ${detector.name} must have an alpha from 0 to 1, a window, a threshold ` +
+          'and a minimum standard deviation greater than 0, and a warm up of 0 or more');
+      }
+      if (!(res.hysteresis >= 0 && res.hysteresis < res.threshold)) {
+        throw new Error(`Anomaly detector ${detector.name} must have a hysteresis of 0 or more, less than its ` +
+          'threshold');
+      }
+      if (!_.isUndefined(res.maxSends) && !(res.maxSends >= 0)) {
+        throw new Error(`Anomaly detector ${detector.name} must have a maximum number of sends of 0 or more`);
+      }
+      return res;
+    });
+
+    const duplicateNames = _.filter(_.map(this.detectors, 'name'),
+      (name, index, names) => names.indexOf(name) !== index);
+    if (!_.isEmpty(duplicateNames)) {
+      throw new Error(`Anomaly detector names must be unique, duplicates: ${_.uniq(duplicateNames)}`);
+    }
+  }
+
+  /**
+   * Loads anomaly detectors from a JSON or YAML file (files ending with .yml or .yaml are read as YAML).
+   *
+   * @param {string} file the anomaly detectors file
+   * @returns {Object} the anomaly detectors
+   */
+  static load(file) {
+    const content = fs.readFileSync(file, 'utf8');
+    const isYaml = /\.ya?ml$/i.test(file);
+    return new AnomalyDetectors(isYaml ? yaml.safeLoad(content) : JSON.parse(content));
+  }
+
+  /**
+   * Scores the state with the detectors, and sends an anomaly record to the asset sink when the score of a
+   * detector rises above its threshold. The anomaly ends once the score has come back below the threshold minus the
+   * hysteresis, and no record is sent once the records of the detector have been sent maxSends times. The record has the value (val), the detector, the variable, the method,
+   * the score, the baseline and its standard deviation, and the severity of the faults injected at that time
+   * (by fault type). The baseline of each detector (along with the number of sends) is kept in
+   * simulator.anomalyStatus.
+   *
+   * @param {Object} state the state
+   * @param {Object} sim the simulator
+   * @returns {Object} a Promise which will resolve once the anomaly records have been queued to be sent
+   */
+  check(state, sim) {
+    const { constants } = sim;
+
+    return Promise.all(_.map(this.detectors, (detector) => {
+      const status = sim.anomalyStatus[detector.name] || {
+        startTime: state.time,
+        samples: [],
+        sum: 0.0,
+        sumOfSquares: 0.0,
+        isAnomalous: false,
+        numSends: 0,
+      };
+      sim.anomalyStatus[detector.name] = status;
+
+      const rawValue = state[detector.variable];
+      const value = _.isBoolean(rawValue) ? Number(rawValue) : rawValue;
+      if (!_.isFinite(value)) {
+        // the state doesn't have this value (ex: a KPI with no value yet)
+        return undefined;
+      }
+
+      // the rate of change detectors score the rate of change of the value
+      let input = value;
+      if (detector.method === 'rateOfChange') {
+        const { lastValue, lastTime } = status;
+        status.lastValue = value;
+        status.lastTime = state.time;
+        if (_.isUndefined(lastValue) || state.time <= lastTime) {
+          return undefined;
+        }
+        input = (value - lastValue) / (state.time - lastTime);
+      }
+
+      // the value is scored against the baseline of the previous values, then added to it
+      const baseline = getBaseline(detector, status);
+      addValue(detector, status, input, state.time, constants);
+      if (_.isUndefined(baseline) || state.time - status.startTime < detector.warmUp - constants.EPS) {
+        return undefined;
+      }
+      const stdDev = Math.max(baseline.stdDev, detector.minStdDev);
+      const score = Math.abs(input - baseline.mean) / stdDev;
+
+      // a record is sent when the score rises above the threshold, and not again until it has come back below it
+      // (and the hysteresis)
+      const wasAnomalous = status.isAnomalous;
+      status.isAnomalous = wasAnomalous ? score >= detector.threshold - detector.hysteresis :
+        score > detector.threshold;
+      const maxSends = _.isUndefined(detector.maxSends) ? constants.MAX_NUM_SENDS_PER_KEY : detector.maxSends;
+      if (!status.isAnomalous || wasAnomalous || status.numSends >= maxSends) {
+        return undefined;
+      }
+      status.numSends += 1;
+
+      const faults = _.pickBy(_.fromPairs(FaultScenario.types.map(type =>
+        [type, state[FaultScenario.getStateKey(type)]])), severity => severity > 0);
+      const measure = detector.method === 'rateOfChange' ? `${detector.variable} rate of change` : detector.variable;
+      return sim.toAsset('anomaly', input,
+        `Anomaly in ${measure}: ${_.round(input, 3)} against a baseline of ${_.round(baseline.mean, 3)} ` +
+        `(score ${_.round(score, 2)})`, {
+          isThrottled: false,
+          detector: detector.name,
+          variable: detector.variable,
+          method: detector.method,
+          severity: detector.severity,
+          score,
+          baseline: baseline.mean,
+          baselineStdDev: stdDev,
+          faults,
+        });
+    }));
+  }
+
+};
@@ -0,0 +1,206 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the Expression class, which parses and evaluates the expressions of the
+ * alert rules and the KPIs (ex: 'speed - lineSpeedLimit > 2'). Expressions have:
+ * - numbers, true and false;
+ * - identifiers, which are resolved when evaluating (ex: state values and constants);
+ * - the arithmetic operators + - * / %, the comparison operators < <= > >= == != and the logical
+ *   operators && || !, with the same precedence as in JavaScript, and parentheses;
+ * - calls to the functions abs, min, max, sqrt, pow, round, floor and ceil (from Math).
+ *
+ * Expressions are parsed once, into functions which are fast to evaluate at every iteration.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * The functions which can be called in expressions.
+ * @private
+ */
+const functions = _.pick(Math, ['abs', 'min', 'max', 'sqrt', 'pow', 'round', 'floor', 'ceil']);
+
+/**
+ * The binary operators, by precedence (lowest first).
+ * @private
+ */
+const binaryOperators = [
+  { '||': (a, b) => a || b },
+  { '&&': (a, b) => a && b },
+  { '==': (a, b) => a === b, '!=': (a, b) => a !== b },
+  { '<': (a, b) => a < b, '<=': (a, b) => a <= b, '>': (a, b) => a > b, '>=': (a, b) => a >= b },
+  { '+': (a, b) => a + b, '-': (a, b) => a - b },
+  { '*': (a, b) => a * b, '/': (a, b) => a / b, '%': (a, b) => a % b },
+];
+
+/**
+ * The regular expression matching the tokens of an expression.
+ * @private
+ */
+const tokenRegExp = new RegExp([
+  '\\s*(?:',
+  '(\\d+\\.?\\d*(?:[eE][-+]?\\d+)?|\\.\\d+(?:[eE][-+]?\\d+)?)', // numbers
+  '|([A-Za-z_]\\w*)', // identifiers
+  '|(&&|\\|\\||[<>!=]=|[-+*/%()<>!,])', // operators
+  ')',
+].join(''), 'g');
+
+/**
+ * Splits an expression into tokens.
+ *
+ * @param {string} source the expression
+ * @returns {Array} the tokens, each one having a type (number, identifier or operator) and a value
+ * @throws {Error} if the expression has an invalid character
+ * @private
+ */
+const tokenize = (source) => {
+  const tokens = [];
+  let index = 0;
+  while (index < source.length && source.slice(index).trim() !== '') {
+    tokenRegExp.lastIndex = index;
+    const match = tokenRegExp.exec(source);
+    if (match === null || match.index !== index) {
+      throw new Error(`Invalid expression "${source}": unexpected character at position ${index}`);
+    }
+    if (!_.isUndefined(match[1])) {
+      tokens.push({ type: 'number', value: Number(match[1]) });
+    } else if (!_.isUndefined(match[2])) {
+      tokens.push({ type: 'identifier', value: match[2] });
+    } else {
+      tokens.push({ type: 'operator', value: match[3] });
+    }
+    index = tokenRegExp.lastIndex;
+  }
+  return tokens;
+};
+
+/**
+ * Parses an expression into a function which evaluates it with a resolver of the identifiers.
+ *
+ * @param {string} source the expression
+ * @returns {Function} the function, called with the resolver (name => value)
+ * @throws {Error} if the expression is invalid
+ * @private
+ */
+const parse = (source) => {
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const fail = (msg) => {
+    throw new Error(`Invalid expression "${source}": ${msg}`);
+  };
+  const peek = () => tokens[position];
+  const isOperator = (value, token = peek()) => !_.isUndefined(token) && token.type === 'operator' &&
+    token.value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      fail(`expected "${value}"`);
+    }
+    ++position;
+  };
+
+  let parseBinary;
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (_.isUndefined(token)) {
+      return fail('unexpected end');
+    }
+    ++position;
+    if (token.type === 'number') {
+      return () => token.value;
+    }
+    if (token.type === 'identifier') {
+      if (token.value === 'true' || token.value === 'false') {
+        const value = token.value === 'true';
+        return () => value;
+      }
+      if (!isOperator('(')) {
+        return resolve => resolve(token.value);
+      }
+
+      // function call
+      const func = functions[token.value];
+      if (_.isUndefined(func)) {
+        fail(`unknown function ${token.value}, must be one of ${_.keys(functions)}`);
+      }
+      ++position;
+      const args = [];
+      if (!isOperator(')')) {
+        args.push(parseBinary(0));
+        while (isOperator(',')) {
+          ++position;
+          args.push(parseBinary(0));
+        }
+      }
+      expect(')');
+      return resolve => func(...args.map(arg => arg(resolve)));
+    }
+    if (token.value === '(') {
+      const inner = parseBinary(0);
+      expect(')');
+      return inner;
+    }
+    if (token.value === '-' || token.value === '!') {
+      const operand = parsePrimary();
+      return token.value === '-' ? resolve => -operand(resolve) : resolve => !operand(resolve);
+    }
+    return fail(`unexpected "${token.value}"`);
+  };
+
+  parseBinary = (level) => {
+    if (level === binaryOperators.length) {
+      return parsePrimary();
+    }
+    let left = parseBinary(level + 1);
+    for (;;) {
+      const token = peek();
+      const operator = _.isUndefined(token) || token.type !== 'operator' ? undefined :
+        binaryOperators[level][token.value];
+      if (_.isUndefined(operator)) {
+        return left;
+      }
+      ++position;
+      const right = parseBinary(level + 1);
+      const leftOperand = left;
+      left = resolve => operator(leftOperand(resolve), right(resolve));
+    }
+  };
+
+  const res = parseBinary(0);
+  if (position < tokens.length) {
+    fail(`unexpected "${tokens[position].value}"`);
+  }
+  return res;
+};
+
+/**
+ * This class describes an expression of the alert rules and the KPIs.
+ */
+module.exports = class Expression {
+
+  /**
+   * Constructs a new instance of this class.
+   *
+   * @param {string|number} source the expression, or a number
+   * @throws {Error} if the expression is invalid
+   */
+  constructor(source) {
+    this.source = String(source);
+    this.evaluator = _.isNumber(source) ? () => source : parse(this.source);
+  }
+
+  /**
+   * Evaluates the expression.
+   *
+   * @param {Function} resolve the function giving the value of an identifier (ex: from the state)
+   * @returns {*} the value of the expression
+   */
+  evaluate(resolve) {
+    return this.evaluator(resolve);
+  }
+
+};
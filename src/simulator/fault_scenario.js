@@ -0,0 +1,122 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the FaultScenario class, which schedules the faults injected into the
+ * locomotive model. A scenario has a name and a list of faults, each one having:
+ * - type: the type of the fault (one of FaultScenario.types)
+ * - start: the time in seconds at which the fault starts
+ * - rampIn: the time in seconds the fault takes to reach its full severity (defaults to 0)
+ * - severity: the full severity of the fault, from 0 (no effect) to 1 (defaults to 1)
+ * - end: the time in seconds at which the fault is cleared (the fault lasts until the end of the
+ *   simulation if omitted)
+ * - locomotiveId: the id of the locomotive the fault is injected into (all the locomotives of a
+ *   fleet if omitted)
+ *
+ * The fault types are:
+ * - boilerTubeLeak: a leaking boiler tube, which loses steam from the boiler
+ * - cloggedGrate: a clogged grate, which lowers the burn rate of the fuel in the fire chamber
+ * - stuckSafetyValve: a safety valve stuck closed, which vents less steam when it should open
+ * - wheelSlip: the driving wheels slipping, which lowers the tractive effort and wastes steam
+ * - firemanStopped: the fireman stopping work, so less fuel is moved into the fire chamber
+ *
+ * Refer to config/scenarios/sample_fault_scenario.json for an example of a scenario file.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const jsonfile = require('jsonfile');
+
+/**
+ * The fault types.
+ * @private
+ */
+const faultTypes = ['boilerTubeLeak', 'cloggedGrate', 'stuckSafetyValve', 'wheelSlip', 'firemanStopped'];
+
+/**
+ * This class describes the faults injected into the locomotive model.
+ */
+module.exports = class FaultScenario {
+
+  /**
+   * Constructs a new instance of this class.
+   *
+   * @param {Object} scenario the scenario
+   * @param {string} scenario.name the name of the scenario
+   * @param {Array} scenario.faults the faults of the scenario
+   * @throws {Error} if a fault has an unknown type, no start time or a severity outside 0 to 1
+   */
+  constructor(scenario) {
+    this.name = scenario.name;
+    this.faults = (scenario.faults || []).map((fault, index) => {
+      if (faultTypes.indexOf(fault.type) === -1) {
+        throw new Error(`Fault ${index} of scenario ${scenario.name} must have a type, one of ${faultTypes}`);
+      }
+      if (!_.isNumber(fault.start)) {
+        throw new Error(`Fault ${index} of scenario ${scenario.name} must have a start time`);
+      }
+      const res = {
+        rampIn: 0.0,
+        severity: 1.0,
+        ...fault,
+      };
+      if (res.severity < 0 || res.severity > 1) {
+        throw new Error(`Fault ${index} of scenario ${scenario.name} must have a severity from 0 to 1`);
+      }
+      return res;
+    });
+  }
+
+  /**
+   * Loads a scenario from a JSON file.
+   *
+   * @param {string} file the scenario file
+   * @returns {Object} the scenario
+   */
+  static load(file) {
+    return new FaultScenario(jsonfile.readFileSync(file));
+  }
+
+  /**
+   * Gets the fault types.
+   *
+   * @returns {Array} the fault types
+   */
+  static get types() {
+    return faultTypes;
+  }
+
+  /**
+   * Gets the name of the state value holding the severity of a fault type.
+   *
+   * @param {string} type the fault type (ex: boilerTubeLeak)
+   * @returns {string} the name of the state value (ex: faultBoilerTubeLeak)
+   */
+  static getStateKey(type) {
+    return `fault${_.upperFirst(type)}`;
+  }
+
+  /**
+   * Gets the severity of every fault type at the given time. The severity of a fault ramps in
+   * linearly from its start, and is the highest one when several faults of the same type overlap.
+   *
+   * @param {number} time the time in seconds
+   * @param {string} locomotiveId the id of the locomotive
+   * @returns {Object} the severity (from 0 to 1) of each fault type, by state value name (ex: faultBoilerTubeLeak)
+   */
+  getSeverities(time, locomotiveId) {
+    const res = _.fromPairs(faultTypes.map(type => [FaultScenario.getStateKey(type), 0.0]));
+    this.faults.forEach((fault) => {
+      if (time < fault.start || (_.isNumber(fault.end) && time >= fault.end) ||
+        (!_.isUndefined(fault.locomotiveId) && fault.locomotiveId !== locomotiveId)) {
+        return;
+      }
+      const rampIn = fault.rampIn > 0 ? Math.min(1, (time - fault.start) / fault.rampIn) : 1.0;
+      const key = FaultScenario.getStateKey(fault.type);
+      res[key] = Math.max(res[key], fault.severity * rampIn);
+    });
+    return res;
+  }
+
+};
@@ -0,0 +1,124 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the Fleet class, which simulates several locomotives in one run.
+ * Each locomotive is a Simulator with its own id, initial state, constants and send
+ * history, and all of them are stepped together and share the same sinks.
+ *
+ * The fleet emits the following events:
+ * - 'step' (states, numIterations): after every locomotive has performed an iteration,
+ *   where states is an object containing the state of each locomotive by id.
+ * - 'finish' (states, numIterations): once run() has completed all its iterations.
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const Promise = require('bluebird');
+const _ = require('lodash');
+const defaultConstants = require('../../config/simulator_constants');
+const Simulator = require('./simulator');
+
+/**
+ * This class simulates a fleet of steam locomotives.
+ */
+module.exports = class Fleet extends EventEmitter {
+
+  /**
+   * Constructs a new instance of this class.
+   *
+   * @param {Object} options the fleet options
+   * @param {Array} options.locomotives the locomotives of the fleet, each one having an optional id, initialState
+   *   and constants (overriding options.constants). Ids default to LOCOMOTIVE_ID suffixed with the position.
+   * @param {Object} options.constants the constants overriding the values in config/simulator_constants for all
+   *   the locomotives
+   * @param {*} options.* any other option is passed to the Simulator of every locomotive (ex: sinks, logger)
+   * @throws {Error} if the fleet has no locomotives or two locomotives have the same id
+   */
+  constructor(options = {}) {
+    super();
+    const { locomotives, constants, ...simulatorOptions } = options;
+    if (_.isEmpty(locomotives)) {
+      throw new Error('A fleet must have at least one locomotive');
+    }
+
+    this.simulators = locomotives.map((locomotive, index) => {
+      const mergedConstants = { ...constants, ...locomotive.constants };
+      const baseId = mergedConstants.LOCOMOTIVE_ID || defaultConstants.LOCOMOTIVE_ID;
+      return new Simulator({
+        ...simulatorOptions,
+        id: locomotive.id || Fleet.getDefaultId(baseId, index),
+        initialState: locomotive.initialState,
+        constants: mergedConstants,
+      });
+    });
+
+    const duplicateIds = _.filter(_.map(this.simulators, 'id'), (id, index, ids) => ids.indexOf(id) !== index);
+    if (!_.isEmpty(duplicateIds)) {
+      throw new Error(`Locomotive ids must be unique within a fleet, duplicates: ${_.uniq(duplicateIds)}`);
+    }
+
+    // the number of fleet iterations completed so far
+    this.numIterations = 0;
+  }
+
+  /**
+   * Gets the default id of a locomotive in the fleet.
+   *
+   * @param {string} baseId the base id (ex: LOCOMOTIVE_ID)
+   * @param {number} index the position of the locomotive in the fleet
+   * @returns {string} the id of the locomotive
+   */
+  static getDefaultId(baseId, index) {
+    return `${baseId}_${index + 1}`;
+  }
+
+  /**
+   * Gets the simulator of a locomotive.
+   *
+   * @param {string} id the id of the locomotive
+   * @returns {Object} the simulator, or undefined if there is no locomotive with that id
+   */
+  getSimulator(id) {
+    return _.find(this.simulators, { id });
+  }
+
+  /**
+   * Gets a copy of the current state of every locomotive.
+   *
+   * @returns {Object} an object containing the state of each locomotive by id
+   */
+  getState() {
+    return _.fromPairs(this.simulators.map(sim => [sim.id, sim.getState()]));
+  }
+
+  /**
+   * Performs one iteration for every locomotive of the fleet.
+   *
+   * @returns {Object} a Promise which will resolve to the states of the locomotives once they have all been stepped
+   */
+  async step() {
+    ++this.numIterations;
+    await Promise.all(this.simulators.map(sim => sim.step()));
+    const states = this.getState();
+    this.emit('step', states, this.numIterations);
+    return states;
+  }
+
+  /**
+   * Runs the given number of iterations for every locomotive of the fleet.
+   *
+   * @param {number} numIterations the number of iterations to run, defaults to NUM_ITERATIONS
+   * @returns {Object} a Promise which will resolve to the final states of the locomotives
+   */
+  async run(numIterations = this.simulators[0].constants.NUM_ITERATIONS) {
+    for (let i = 0; i < numIterations; ++i) {
+      await this.step(); // eslint-disable-line
+    }
+    const states = this.getState();
+    this.emit('finish', states, this.numIterations);
+    return states;
+  }
+
+};
@@ -0,0 +1,168 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the numerical integrators used by the Movement process to advance the
+ * position and the velocity of the locomotive over a simulation step:
+ * - euler: explicit Euler, e.g. the position and the velocity are advanced with the velocity and
+ *   the acceleration at the start of the step. It is first order and becomes unstable when the
+ *   step is longer than twice the time constant of the friction;
+ * - semiImplicitEuler: the velocity is advanced first, and the position is advanced with the new
+ *   velocity. It is first order, but follows the motion better than explicit Euler;
+ * - rk4: the classical fourth order Runge-Kutta method.
+ *
+ * A step can be divided into a fixed number of sub-steps, or into sub-steps whose length adapts
+ * to the acceleration, by comparing a full sub-step with two half sub-steps (step doubling).
+ */
+
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Advances the motion with the explicit Euler method.
+ *
+ * @param {Object} motion the position and velocity at the start of the step
+ * @param {number} dt the length of the step in seconds
+ * @param {Function} getAcceleration the function giving the acceleration for (position, velocity)
+ * @returns {Object} the position and velocity at the end of the step
+ * @private
+ */
+const euler = (motion, dt, getAcceleration) => ({
+  position: motion.position + (dt * motion.velocity),
+  velocity: motion.velocity + (dt * getAcceleration(motion.position, motion.velocity)),
+});
+
+/**
+ * Advances the motion with the semi-implicit (symplectic) Euler method.
+ *
+ * @param {Object} motion the position and velocity at the start of the step
+ * @param {number} dt the length of the step in seconds
+ * @param {Function} getAcceleration the function giving the acceleration for (position, velocity)
+ * @returns {Object} the position and velocity at the end of the step
+ * @private
+ */
+const semiImplicitEuler = (motion, dt, getAcceleration) => {
+  const velocity = motion.velocity + (dt * getAcceleration(motion.position, motion.velocity));
+  return {
+    position: motion.position + (dt * velocity),
+    velocity,
+  };
+};
+
+/**
+ * Advances the motion with the classical fourth order Runge-Kutta method.
+ *
+ * @param {Object} motion the position and velocity at the start of the step
+ * @param {number} dt the length of the step in seconds
+ * @param {Function} getAcceleration the function giving the acceleration for (position, velocity)
+ * @returns {Object} the position and velocity at the end of the step
+ * @private
+ */
+const rk4 = (motion, dt, getAcceleration) => {
+  const { position, velocity } = motion;
+  const v1 = velocity;
+  const a1 = getAcceleration(position, v1);
+  const v2 = velocity + ((dt / 2) * a1);
+  const a2 = getAcceleration(position + ((dt / 2) * v1), v2);
+  const v3 = velocity + ((dt / 2) * a2);
+  const a3 = getAcceleration(position + ((dt / 2) * v2), v3);
+  const v4 = velocity + (dt * a3);
+  const a4 = getAcceleration(position + (dt * v3), v4);
+  return {
+    position: position + ((dt / 6) * (v1 + (2 * v2) + (2 * v3) + v4)),
+    velocity: velocity + ((dt / 6) * (a1 + (2 * a2) + (2 * a3) + a4)),
+  };
+};
+
+/**
+ * The integration methods by name.
+ * @private
+ */
+const methods = { euler, semiImplicitEuler, rk4 };
+
+/**
+ * This class integrates the motion of the locomotive.
+ */
+module.exports = class Integrator {
+
+  /**
+   * Gets the names of the available integration methods.
+   *
+   * @returns {Array} the names of the integration methods
+   */
+  static get methods() {
+    return _.keys(methods);
+  }
+
+  /**
+   * Advances the motion over a single sub-step with the given method.
+   *
+   * @param {string} method the name of the integration method (euler, semiImplicitEuler or rk4)
+   * @param {Object} motion the position and velocity at the start of the sub-step
+   * @param {number} dt the length of the sub-step in seconds
+   * @param {Function} getAcceleration the function giving the acceleration for (position, velocity)
+   * @returns {Object} the position and velocity at the end of the sub-step
+   * @throws {Error} if the method is unknown
+   */
+  static step(method, motion, dt, getAcceleration) {
+    if (!_.has(methods, method)) {
+      throw new Error(`Unknown integration method ${method}, must be one of ${Integrator.methods}`);
+    }
+    return methods[method](motion, dt, getAcceleration);
+  }
+
+  /**
+   * Advances the motion over a step, divided into sub-steps.
+   *
+   * @param {Object} motion the position and velocity at the start of the step
+   * @param {number} dt the length of the step in seconds
+   * @param {Function} getAcceleration the function giving the acceleration for (position, velocity)
+   * @param {Object} options the integration options
+   * @param {string} options.method the name of the integration method (euler, semiImplicitEuler or rk4)
+   * @param {number} options.subSteps the number of sub-steps, or the initial number of sub-steps when adaptive
+   * @param {boolean} options.adaptive true to adapt the length of the sub-steps to keep the velocity error
+   *   of each sub-step within options.tolerance
+   * @param {number} options.tolerance the velocity error (in meters per second) allowed for each adaptive sub-step
+   * @param {number} options.maxSubSteps the number of sub-steps which gives the shortest adaptive sub-step
+   * @param {Function} options.constrain the function called with (previous motion, next motion) after each
+   *   sub-step, which returns the next motion, possibly corrected (ex: to stop at zero velocity)
+   * @returns {Object} the position and velocity at the end of the step, and the number of sub-steps taken
+   */
+  static integrate(motion, dt, getAcceleration, options) {
+    const constrain = options.constrain || ((previous, next) => next);
+    const minSubStep = dt / options.maxSubSteps;
+    let subStep = dt / options.subSteps;
+    let current = { position: motion.position, velocity: motion.velocity };
+    let elapsed = 0.0;
+    let numSubSteps = 0;
+
+    while (dt - elapsed > minSubStep * 1e-6) {
+      subStep = Math.min(subStep, dt - elapsed);
+      if (options.adaptive) {
+        // compare a full sub-step with two half sub-steps to estimate the error
+        const full = Integrator.step(options.method, current, subStep, getAcceleration);
+        const half = Integrator.step(options.method, current, subStep / 2, getAcceleration);
+        const next = Integrator.step(options.method, half, subStep / 2, getAcceleration);
+        const error = Math.abs(next.velocity - full.velocity);
+        if (error > options.tolerance && subStep / 2 >= minSubStep) {
+          // too inaccurate, try again with a shorter sub-step
+          subStep /= 2;
+        } else {
+          current = constrain(current, next);
+          elapsed += subStep;
+          ++numSubSteps;
+          if (error < options.tolerance / 4) {
+            subStep *= 2;
+          }
+        }
+      } else {
+        current = constrain(current, Integrator.step(options.method, current, subStep, getAcceleration));
+        elapsed += subStep;
+        ++numSubSteps;
+      }
+    }
+    return { ...current, numSubSteps };
+  }
+
+};
@@ -0,0 +1,268 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the Kpis class, which derives key performance indicators (KPIs) from the
+ * state of the locomotive after each iteration, such as the fuel burned per km or the average speed.
+ * The KPIs are loaded from a JSON or YAML file, which has a list of KPIs, each one having:
+ * - name: the name of the KPI, which is its state value and its time series tag (ex: averageSpeed)
+ * - expression: the value the KPI is derived from, any state value or expression of them (ex: speed)
+ * - aggregate: how the values are aggregated (defaults to value):
+ *   - value: the value itself, with no aggregation (ex: fuelBurned / (distance / 1000))
+ *   - sum: the integral of the value over time (ex: the time spent with a flag set)
+ *   - mean: the average of the value over time
+ *   - min and max: the lowest and highest value
+ *   - change: the change of the value
+ *   - rate: the change of the value per second (ex: the acceleration for the speed)
+ * - window: the time in seconds of the rolling window the values are aggregated over. The values are
+ *   aggregated since the start of the run (e.g. cumulatively) if omitted.
+ * - component: the component of the locomotive the KPI belongs to in the asset model: locomotive, boiler,
+ *   tender or fireChamber (defaults to locomotive)
+ * - units and details: the attributes of the time series tag. Like the other tags, they must not have spaces.
+ *
+ * The KPIs aggregated over a rolling window have an uncertain quality until the window is full (ex: the
+ * rolling average speed over the first 60 seconds of the run), refer to getQuality.
+ *
+ * Expressions are described in expression.js. Their identifiers are the state values, the simulator
+ * constants and the KPIs defined before them. Flags count as 1 when set and 0 otherwise. KPIs with no
+ * value (ex: the fuel burned per km before the locomotive has moved) are null.
+ *
+ * Like the alert rules, the KPIs don't change while being derived: the values aggregated for each KPI are
+ * kept by the simulator, so the same KPIs can be used by all the locomotives of a fleet.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const yaml = require('js-yaml');
+const Expression = require('./expression');
+
+/**
+ * The file of the default KPIs.
+ * @private
+ */
+const DEFAULT_KPIS_FILE = path.join(__dirname, '../../config/kpis/default_kpis.yml');
+
+/**
+ * The aggregates of the values, each one computing the KPI from the statistics of the values: their count,
+ * their sum, their lowest and highest value, and the first and last sample (each one having a time and a value).
+ * @private
+ */
+const aggregates = {
+  value: stats => stats.last.value,
+  sum: (stats, constants) => stats.sum * constants.DT,
+  mean: stats => stats.sum / stats.count,
+  min: stats => stats.min,
+  max: stats => stats.max,
+  change: stats => stats.last.value - stats.first.value,
+  rate: stats => (stats.last.value - stats.first.value) / (stats.last.time - stats.first.time),
+};
+
+/**
+ * Adds a sample to the statistics of the values of a KPI aggregated since the start of the run.
+ *
+ * @param {Object} status the status of the KPI, which gets the sample
+ * @param {Object} sample the sample, having a time and a value
+ * @returns {Object} the statistics of the values
+ * @private
+ */
+const addCumulativeSample = (status, sample) => {
+  status.count += 1;
+  status.sum += sample.value;
+  status.min = Math.min(_.defaultTo(status.min, sample.value), sample.value);
+  status.max = Math.max(_.defaultTo(status.max, sample.value), sample.value);
+  status.first = status.first || sample;
+  status.last = sample;
+  return status;
+};
+
+/**
+ * Adds a sample to the values of a KPI aggregated over a rolling window, and removes the samples which have
+ * left the window. The sum is updated with each sample, and computed again from the samples once they have all
+ * been replaced, so the rounding errors don't add up over the run. The lowest and highest values are only
+ * computed when the aggregate asks for them, so the statistics must be used before the next sample is added.
+ *
+ * @param {Object} status the status of the KPI, which gets the sample
+ * @param {Object} sample the sample, having a time and a value
+ * @param {number} window the time in seconds of the rolling window
+ * @param {Object} constants the simulator constants
+ * @returns {Object} the statistics of the values in the window
+ * @private
+ */
+const addWindowSample = (status, sample, window, constants) => {
+  const { samples } = status;
+  samples.push(sample);
+  status.sum += sample.value;
+  status.numSamplesSinceSum += 1;
+  while (samples[0].time < sample.time - window - constants.EPS) {
+    status.sum -= samples.shift().value;
+  }
+  if (status.numSamplesSinceSum >= samples.length) {
+    status.sum = _.sumBy(samples, 'value');
+    status.numSamplesSinceSum = 0;
+  }
+  return {
+    count: samples.length,
+    sum: status.sum,
+    get min() {
+      return _.minBy(samples, 'value').value;
+    },
+    get max() {
+      return _.maxBy(samples, 'value').value;
+    },
+    first: _.first(samples),
+    last: sample,
+  };
+};
+
+/**
+ * This class derives the KPIs.
+ */
+module.exports = class Kpis {
+
+  /**
+   * Constructs a new instance of this class.
+   *
+   * @param {Object} config the KPIs configuration
+   * @param {Array} config.kpis the KPIs
+   * @throws {Error} if a KPI is invalid (ex: no name, unknown aggregate, invalid expression)
+   */
+  constructor(config) {
+    this.metrics = _.map(config.kpis, (kpi, index) => {
+      if (!_.isString(kpi.name) || _.isEmpty(kpi.name)) {
+        throw new Error(`KPI ${index} must have a name`);
+      }
+      if (_.isUndefined(kpi.expression)) {
+        throw new Error(`KPI ${kpi.name} must have an expression`);
+      }
+      const res = {
+        aggregate: 'value',
+        component: 'locomotive',
+        units: 'none',
+        details: kpi.name,
+        ...kpi,
+        expression: new Expression(kpi.expression),
+      };
+      if (_.isUndefined(aggregates[res.aggregate])) {
+        throw new Error(`KPI ${kpi.name} must have an aggregate, one of ${_.keys(aggregates)}`);
+      }
+      if (!_.isUndefined(res.window) && (!(res.window > 0) || res.aggregate === 'value')) {
+        throw new Error(`KPI ${kpi.name} must have a window greater than 0, and an aggregate other than value`);
+      }
+      if (/\s/.test(res.units) || /\s/.test(res.details)) {
+        throw new Error(`KPI ${kpi.name} must not have spaces in its units and details (use underscores)`);
+      }
+      return res;
+    });
+
+    const duplicateNames = _.filter(_.map(this.metrics, 'name'), (name, index, names) => names.indexOf(name) !== index);
+    if (!_.isEmpty(duplicateNames)) {
+      throw new Error(`KPI names must be unique, duplicates: ${_.uniq(duplicateNames)}`);
+    }
+  }
+
+  /**
+   * Loads KPIs from a JSON or YAML file (files ending with .yml or .yaml are read as YAML).
+   *
+   * @param {string} file the KPIs file
+   * @returns {Object} the KPIs
+   */
+  static load(file) {
+    const content = fs.readFileSync(file, 'utf8');
+    const isYaml = /\.ya?ml$/i.test(file);
+    return new Kpis(isYaml ? yaml.safeLoad(content) : JSON.parse(content));
+  }
+
+  /**
+   * Gets the default KPIs, from config/kpis/default_kpis.yml.
+   *
+   * @returns {Object} the default KPIs
+   */
+  static getDefault() {
+    return Kpis.load(DEFAULT_KPIS_FILE);
+  }
+
+  /**
+   * Gets the time series tags of the KPIs, in the same form as the tags of TimeSeriesService.
+   *
+   * @returns {Array} the tags, each one having a name, a component and attributes (units and details)
+   */
+  getTags() {
+    return _.map(this.metrics, kpi => ({
+      name: kpi.name,
+      component: kpi.component,
+      attributes: {
+        units: kpi.units,
+        details: kpi.details,
+      },
+    }));
+  }
+
+  /**
+   * Gets the quality of the KPIs of the state, like the quality of the Predix data points: the KPIs aggregated over
+   * a rolling window are uncertain until the window is full, and the other KPIs are good.
+   *
+   * @param {Object} state the state, having the KPIs
+   * @param {Object} sim the simulator, whose kpiStatus has the values aggregated for each KPI
+   * @returns {Object} the quality of the KPIs which are not good, by name (ex: { rollingAverageSpeed: 'uncertain' })
+   */
+  getQuality(state, sim) {
+    const res = {};
+    _.forEach(this.metrics, (kpi) => {
+      const status = sim.kpiStatus[kpi.name];
+      if (!_.isUndefined(kpi.window) && !_.isUndefined(status) &&
+        state.time - status.startTime < kpi.window - sim.constants.EPS) {
+        res[kpi.name] = 'uncertain';
+      }
+    });
+    return res;
+  }
+
+  /**
+   * Derives the KPIs from the state. The values aggregated for each KPI are kept in simulator.kpiStatus.
+   *
+   * @param {Object} state the state
+   * @param {Object} sim the simulator
+   * @returns {Object} the state with the KPIs
+   */
+  apply(state, sim) {
+    const { constants } = sim;
+    const res = { ...state };
+    const resolve = name => (_.has(res, name) ? res[name] : constants[name]);
+
+    _.forEach(this.metrics, (kpi) => {
+      const rawValue = kpi.expression.evaluate(resolve);
+      const value = _.isBoolean(rawValue) ? Number(rawValue) : rawValue;
+      if (!_.isFinite(value)) {
+        // values which are not numbers (ex: the line speed limit with no route) are left out of the aggregates,
+        // so the KPI keeps its last value
+        res[kpi.name] = kpi.aggregate === 'value' ? null : _.defaultTo(state[kpi.name], null);
+        return;
+      }
+      if (kpi.aggregate === 'value') {
+        res[kpi.name] = value;
+        return;
+      }
+
+      const sample = { time: state.time, value };
+      let stats;
+      if (_.isUndefined(kpi.window)) {
+        const status = sim.kpiStatus[kpi.name] || { count: 0, sum: 0.0 };
+        stats = addCumulativeSample(status, sample);
+        sim.kpiStatus[kpi.name] = status;
+      } else {
+        const status = sim.kpiStatus[kpi.name] || {
+          samples: [], sum: 0.0, numSamplesSinceSum: 0, startTime: state.time,
+        };
+        stats = addWindowSample(status, sample, kpi.window, constants);
+        sim.kpiStatus[kpi.name] = status;
+      }
+      const kpiValue = aggregates[kpi.aggregate](stats, constants);
+      res[kpi.name] = _.isFinite(kpiValue) ? kpiValue : null;
+    });
+    return res;
+  }
+
+};
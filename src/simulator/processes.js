@@ -0,0 +1,410 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the default set of processes used by the simulator. Each process
+ * has a name and a transferFunction which transfers the current state of the locomotive
+ * to its next state.
+ *
+ * A transferFunction is called with the current state and the simulator instance, so it
+ * can use the simulator's constants, logger and iteration count. It must return the
+ * updated state and must not modify the state it was given.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const Integrator = require('./integrator');
+const Steam = require('./steam');
+
+/**
+ * Calculates the forces (in newtons) resisting the movement of the locomotive due to the gradient
+ * and the curvature of the track segment it is on.
+ *
+ * @param {Object} segment the route segment, undefined if there is no route (e.g. flat, straight track)
+ * @param {number} mass the mass of the locomotive in kg
+ * @param {Object} constants the simulator constants
+ * @returns {Object} the gradeResistance, negative when going downhill, and the curveResistance, which
+ *   opposes the movement whichever way the locomotive goes
+ * @private
+ */
+const getTrackResistance = (segment, mass, constants) => {
+  if (_.isUndefined(segment)) {
+    return { gradeResistance: 0.0, curveResistance: 0.0 };
+  }
+  const weight = mass * constants.GRAVITY;
+
+  // grade resistance, using the small angle approximation sin(angle) = tan(angle) = gradient
+  const gradeResistance = weight * (segment.gradient / 100);
+
+  // curve resistance using Rockl's formula, which gives the resistance in N per kN of weight
+  let curveResistance = 0.0;
+  if (segment.curveRadius > constants.CURVE_RESISTANCE_RADIUS_OFFSET) {
+    const resistancePerKiloNewton = constants.CURVE_RESISTANCE_COEFFICIENT /
+      (segment.curveRadius - constants.CURVE_RESISTANCE_RADIUS_OFFSET);
+    curveResistance = (weight / 1000) * resistancePerKiloNewton;
+  }
+  return { gradeResistance, curveResistance };
+};
+
+/**
+ * Gets the line speed limit of a route segment.
+ *
+ * @param {Object} segment the route segment
+ * @param {Object} constants the simulator constants
+ * @returns {number} the line speed limit in meters per second
+ * @private
+ */
+const getSpeedLimit = (segment, constants) =>
+  (_.isUndefined(segment.speedLimit) ? constants.MAX_ALLOWED_SPEED : segment.speedLimit);
+
+/**
+ * The default array of processes used for the simulation.
+ * Transition functions define the simulated process for the locomotive.
+ */
+module.exports = [
+  {
+    /**
+     * Injects the faults of the fault scenario (if any): sets the severity of each fault type at
+     * the current time, which the other processes use to change the behaviour of the locomotive.
+     * The severities are the ground truth of the faults.
+     */
+    name: 'Faults',
+    transferFunction: (state, sim) => {
+      if (_.isUndefined(sim.faultScenario)) {
+        return state;
+      }
+      return { ...state, ...sim.faultScenario.getSeverities(state.time, sim.id) };
+    },
+  },
+  {
+    /**
+     * Emulates the driver, who operates the regulator, the reverser (cut-off) and the
+     * brake. When DRIVER_SPEED_CONTROL_ENABLED is set, the driver holds the target speed
+     * with a proportional-integral controller:
+     * - The target speed is kept below the line speed limits of the route, both here and
+     *   ahead within braking distance;
+     * - A positive controller output opens the regulator, a negative one applies the brake;
+     * - The reverser is notched up from DRIVER_START_CUTOFF to DRIVER_RUNNING_CUTOFF as
+     *   the locomotive gets up to speed.
+     */
+    name: 'Driver',
+    transferFunction: (state, sim) => {
+      const { constants, route } = sim;
+      if (!constants.DRIVER_SPEED_CONTROL_ENABLED) {
+        return state;
+      }
+
+      let targetSpeed = Math.min(state.targetSpeed, constants.MAX_ALLOWED_SPEED);
+      if (!_.isUndefined(route)) {
+        const brakingDistance = (state.speed * state.speed) / (2 * constants.DRIVER_BRAKING_DECELERATION);
+        const segments = route.getSegments(state.distance, state.distance + brakingDistance);
+        const speedLimit = _.min(segments.map(segment => getSpeedLimit(segment, constants)));
+        targetSpeed = Math.min(targetSpeed, speedLimit - constants.DRIVER_SPEED_LIMIT_MARGIN);
+      }
+
+      // proportional-integral controller, which stops integrating while its output is saturated (anti-windup)
+      const error = targetSpeed - state.speed;
+      let integral = state.speedControlIntegral + (error * constants.DT);
+      let output = (constants.DRIVER_PROPORTIONAL_GAIN * error) + (constants.DRIVER_INTEGRAL_GAIN * integral);
+      if (Math.abs(output) > 1) {
+        integral = state.speedControlIntegral;
+        output = (constants.DRIVER_PROPORTIONAL_GAIN * error) + (constants.DRIVER_INTEGRAL_GAIN * integral);
+      }
+      output = _.clamp(output, -1, 1);
+
+      // return the updated state
+      const notchUp = Math.min(1, Math.max(0, state.speed) / constants.DRIVER_NOTCH_UP_SPEED);
+      return {
+        ...state,
+        regulator: Math.max(0, output),
+        brake: output < -constants.DRIVER_BRAKE_THRESHOLD ? -output : 0.0,
+        cutOff: constants.DRIVER_START_CUTOFF -
+          ((constants.DRIVER_START_CUTOFF - constants.DRIVER_RUNNING_CUTOFF) * notchUp),
+        speedControlIntegral: integral,
+      };
+    },
+  },
+  {
+    /**
+     * Emulates the stops at the service points (if any), where the tender is refilled:
+     * - The locomotive approaches the next service point along a braking curve for
+     *   SERVICE_STOP_DECELERATION: above the curve the regulator is closed and the brake is
+     *   applied. A service point given by time is approached as soon as its time has come;
+     * - Once stopped at the point, the brake is held while the tender is refilled with fuel
+     *   and water, for at least the dwell time of the point;
+     * - The locomotive then departs with the regulator it had before the stop.
+     * The service status is 'running', 'approaching', 'dwelling' or 'departing' (for the
+     * iteration in which the locomotive leaves the point).
+     */
+    name: 'Service Stop',
+    transferFunction: (state, sim) => {
+      const { constants, servicePoints } = sim;
+      const point = _.isUndefined(servicePoints) ? undefined : servicePoints.getPoint(state.servicePointIndex);
+      if (_.isUndefined(point)) {
+        return state.serviceStatus === 'running' ? state : { ...state, serviceStatus: 'running' };
+      }
+      const res = { ...state };
+      const remaining = _.isUndefined(point.distance) ? 0.0 : point.distance - state.distance;
+
+      if (state.serviceStatus === 'dwelling') {
+        const fuel = point.refillFuel ? _.clamp(constants.SERVICE_FUEL_RATE * constants.DT, 0,
+          constants.TENDER_FUEL_CAPACITY - state.fuelMassInTender) : 0.0;
+        const water = point.refillWater ? _.clamp(constants.SERVICE_WATER_RATE * constants.DT, 0,
+          constants.TENDER_WATER_CAPACITY - state.waterMassInTender) : 0.0;
+        res.fuelMassInTender = state.fuelMassInTender + fuel;
+        res.waterMassInTender = state.waterMassInTender + water;
+        res.serviceFuelTaken = state.serviceFuelTaken + fuel;
+        res.serviceWaterTaken = state.serviceWaterTaken + water;
+
+        if ((state.time - state.serviceStopStart) + constants.EPS >= point.dwellTime &&
+          fuel < constants.EPS && water < constants.EPS) {
+          res.serviceStatus = 'departing';
+          res.servicePointIndex = state.servicePointIndex + 1;
+          res.regulator = state.regulatorBeforeStop;
+          res.brake = 0.0;
+        } else {
+          res.regulator = 0.0;
+          res.brake = 1.0;
+        }
+        return res;
+      }
+
+      if (state.serviceStatus !== 'approaching') {
+        // a service point given by distance which was passed before the journey reached it is skipped
+        if (remaining < -constants.SERVICE_STOP_DISTANCE_TOLERANCE) {
+          return { ...res, serviceStatus: 'running', servicePointIndex: state.servicePointIndex + 1 };
+        }
+        const brakingDistance = (state.speed * state.speed) / (2 * constants.SERVICE_STOP_DECELERATION);
+        const isDue = _.isUndefined(point.distance) ? state.time + constants.EPS >= point.time :
+          remaining <= brakingDistance + constants.SERVICE_STOP_DISTANCE_TOLERANCE;
+        if (!isDue) {
+          return state.serviceStatus === 'running' ? state : { ...res, serviceStatus: 'running' };
+        }
+        res.serviceStatus = 'approaching';
+        res.regulatorBeforeStop = state.regulator;
+      }
+
+      // stopped at the point, start refilling the tender
+      const isAtPoint = remaining <= constants.SERVICE_STOP_DISTANCE_TOLERANCE;
+      if (isAtPoint && state.speed <= constants.EPS) {
+        return {
+          ...res,
+          serviceStatus: 'dwelling',
+          serviceStopStart: state.time,
+          serviceFuelTaken: 0.0,
+          serviceWaterTaken: 0.0,
+          regulator: 0.0,
+          brake: 1.0,
+        };
+      }
+
+      // follow the braking curve down to the point
+      const plannedSpeed = isAtPoint ? 0.0 : Math.sqrt(2 * constants.SERVICE_STOP_DECELERATION * remaining);
+      if (state.speed > plannedSpeed) {
+        res.regulator = 0.0;
+        res.brake = Math.min(1, Math.max(constants.DRIVER_BRAKE_THRESHOLD,
+          (state.speed - plannedSpeed) * constants.SERVICE_STOP_BRAKE_GAIN));
+      } else {
+        res.regulator = constants.DRIVER_SPEED_CONTROL_ENABLED ? state.regulator : res.regulatorBeforeStop;
+        res.brake = 0.0;
+      }
+      return res;
+    },
+  },
+  {
+    /**
+     * Emulates the fireman. In our simple model he just moves
+     * the fuel from tender into the fire chamber, less of it
+     * when he stops work (firemanStopped fault).
+     */
+    name: 'Fireman',
+    transferFunction: (state, sim) => {
+      const { constants } = sim;
+      if (state.fuelMassInTender < 0.0 || state.fuelMassInFireChamber > constants.MAX_FUEL_MASS_IN_FIRE_CHAMBER) {
+        return state;
+      }
+      const fuelAdded = constants.FUEL_ADD_AMT * (1 - state.faultFiremanStopped);
+      // return the updated state
+      return {
+        ...state,
+        fuelMassInTender: state.fuelMassInTender - fuelAdded,
+        fuelMassInFireChamber: state.fuelMassInFireChamber + fuelAdded,
+      };
+    },
+  },
+  {
+    /**
+     * A simple model of the fire chamber:
+     * - Fuel added into fire chamber slowly becomes burning;
+     * - Burning fuel is consumed (disappears) slowly;
+     * - A clogged grate (cloggedGrate fault) starves the fire of air, so less of the
+     *   fuel burns and it is consumed more slowly.
+     */
+    name: 'Fire Chamber',
+    transferFunction: (state, sim) => {
+      const { constants } = sim;
+      const res = { ...state };
+      const burnRate = 1 - state.faultCloggedGrate;
+      const maxFuelMassBurning = res.fuelMassInFireChamber * burnRate;
+      if (res.fuelMassBurning < maxFuelMassBurning) {
+        res.fuelMassBurning = Math.min(maxFuelMassBurning, constants.FUEL_ADD_AMT + res.fuelMassBurning);
+      }
+      // calculate the new state values
+      res.fuelMassBurning = Math.max(0, res.fuelMassBurning - (constants.FUEL_BURN_AMT * burnRate));
+      const fuelMassBurned = Math.min(res.fuelMassInFireChamber, constants.FUEL_BURN_AMT * burnRate);
+      res.fuelMassInFireChamber -= fuelMassBurned;
+      res.fuelBurnRate = fuelMassBurned / constants.DT;
+      return res;
+    },
+  },
+  {
+    /**
+     * A lumped model of the boiler, where the water and the steam above it are at the
+     * saturation temperature, so the pressure is given by the temperature:
+     * - The burning fuel heats the water (less heat is transferred once the water level
+     *   drops below the tubes);
+     * - Steam is drawn by the cylinders in proportion to pressure and speed, and by the
+     *   safety valve, which opens above SAFETY_VALVE_OPEN_PRESSURE. The latent heat of the
+     *   steam drawn is taken from the water;
+     * - The injector feeds cold water from the tender when the water level is low, which
+     *   also cools the water;
+     * - A leaking boiler tube (boilerTubeLeak fault) loses steam, a safety valve stuck
+     *   closed (stuckSafetyValve fault) vents less steam, and slipping driving wheels
+     *   (wheelSlip fault) draw more steam into the cylinders.
+     */
+    name: 'Boiler',
+    transferFunction: (state, sim) => {
+      const { constants } = sim;
+      const res = { ...state };
+
+      // heat transferred from the burning fuel to the water
+      const tubesCovered = Math.min(1, state.waterLevel / constants.BOILER_TUBES_COVERED_LEVEL);
+      const heatIn = state.fuelMassBurning * constants.HEAT_OUTPUT_PER_KG_BURNING * constants.BOILER_EFFICIENCY *
+        tubesCovered * constants.DT;
+
+      // the safety valve opens and closes at different pressures so it doesn't chatter
+      if (state.pressure >= constants.SAFETY_VALVE_OPEN_PRESSURE) {
+        res.safetyValveOpen = true;
+      } else if (state.pressure <= constants.SAFETY_VALVE_CLOSE_PRESSURE) {
+        res.safetyValveOpen = false;
+      }
+
+      // the injector starts and stops at different water levels for the same reason
+      if (state.waterLevel <= constants.INJECTOR_ON_LEVEL) {
+        res.injectorOn = true;
+      } else if (state.waterLevel >= constants.INJECTOR_OFF_LEVEL) {
+        res.injectorOn = false;
+      }
+
+      // steam drawn by the cylinders (through the regulator, for the cut-off part of each stroke, as the driving
+      // wheels turn), the safety valve and any leak, and water fed by the injector
+      const wheelSpeed = Math.abs(state.speed) * (1 + (constants.FAULT_WHEEL_SLIP_SPIN_RATIO * state.faultWheelSlip));
+      const steamToCylinders = constants.STEAM_CONSUMPTION_COEFFICIENT * state.pressure * wheelSpeed *
+        state.regulator * state.cutOff * constants.DT;
+      const steamVented = res.safetyValveOpen ?
+        constants.SAFETY_VALVE_VENT_RATE * (1 - state.faultStuckSafetyValve) * constants.DT : 0.0;
+      const steamLeaked = constants.FAULT_BOILER_TUBE_LEAK_RATE * state.faultBoilerTubeLeak * constants.DT;
+      const steamOut = Math.min(steamToCylinders + steamVented + steamLeaked, state.waterMassInBoiler);
+      const waterIn = res.injectorOn ?
+        Math.min(constants.INJECTOR_FEED_RATE * constants.DT, state.waterMassInTender) : 0.0;
+
+      // energy balance of the water in the boiler
+      const heatOut = (steamOut * constants.LATENT_HEAT_OF_STEAM) +
+        (waterIn * constants.WATER_SPECIFIC_HEAT * (state.steamTemperature - constants.FEEDWATER_TEMPERATURE));
+      res.waterMassInBoiler = (state.waterMassInBoiler - steamOut) + waterIn;
+      res.waterMassInTender = state.waterMassInTender - waterIn;
+      if (res.waterMassInBoiler > constants.EPS) {
+        res.steamTemperature = state.steamTemperature +
+          ((heatIn - heatOut) / (res.waterMassInBoiler * constants.WATER_SPECIFIC_HEAT));
+      }
+
+      // calculate the new state values
+      res.waterLevel = (100 * res.waterMassInBoiler) / constants.BOILER_WATER_CAPACITY;
+      res.pressure = Steam.getSaturationPressure(res.steamTemperature, constants);
+      return res;
+    },
+  },
+  {
+    /**
+     * The rest of the model. Assumes that locomotive acceleration
+     * is proportional to the pressure in boiler (as admitted by the
+     * regulator and the cut-off), less the friction, the brake force
+     * and the grade and curve resistance of the route (if any).
+     * The position and speed are integrated over the step with the
+     * MOVEMENT_INTEGRATOR method and sub-steps. The locomotive at rest
+     * only starts moving when the forces overcome the brake, the curve
+     * resistance and the starting resistance (X3), and these forces
+     * stop it rather than make it go backwards. Slipping driving wheels
+     * (wheelSlip fault) lose part of the tractive effort. It also updates the
+     * world time, and the gradient, curve radius and line speed limit
+     * of the track it is on.
+     */
+    name: 'Movement',
+    transferFunction: (state, sim) => {
+      const { constants, route } = sim;
+      const mass = state.locomotiveOwnMass + state.fuelMassInTender + state.fuelMassInFireChamber +
+        state.waterMassInTender + state.waterMassInBoiler;
+      const tractiveForce = constants.X1 * state.pressure * state.regulator *
+        Steam.getMeanEffectivePressureRatio(state.cutOff) * (1 - state.faultWheelSlip);
+      const brakeForce = constants.MAX_BRAKE_FORCE * state.brake;
+
+      // the acceleration, calculated as the difference between the force created by engine and the gravity on the
+      // gradient (which can make the locomotive go either way), less the friction, the brake and the curve
+      // resistance (which oppose the movement)
+      const getAcceleration = (position, speed) => {
+        const segment = _.isUndefined(route) ? undefined : route.getSegment(position);
+        const { gradeResistance, curveResistance } = getTrackResistance(segment, mass, constants);
+        const drivingForce = tractiveForce - gradeResistance;
+        const opposingForce = brakeForce + curveResistance;
+        if (Math.abs(speed) < constants.EPS) {
+          if (Math.abs(drivingForce) <= opposingForce + (constants.X3 * mass)) {
+            return 0.0;
+          }
+          return (drivingForce - (Math.sign(drivingForce) * opposingForce)) / mass;
+        }
+        return (drivingForce - (constants.X2 * speed) - (Math.sign(speed) * opposingForce)) / mass;
+      };
+
+      // the brake, the friction and the curve resistance stop the locomotive, they don't make it go backwards
+      const constrain = (previous, next) => {
+        if (Math.sign(next.velocity) === -Math.sign(previous.velocity) &&
+          getAcceleration(next.position, 0.0) === 0.0) {
+          return { ...next, velocity: 0.0 };
+        }
+        return next;
+      };
+
+      const motion = Integrator.integrate({ position: state.distance, velocity: state.speed }, constants.DT,
+        getAcceleration, {
+          method: constants.MOVEMENT_INTEGRATOR,
+          subSteps: constants.MOVEMENT_SUB_STEPS,
+          adaptive: constants.MOVEMENT_ADAPTIVE_SUB_STEPPING,
+          tolerance: constants.MOVEMENT_ADAPTIVE_TOLERANCE,
+          maxSubSteps: constants.MOVEMENT_MAX_SUB_STEPS,
+          constrain,
+        });
+      if (sim.numIterations % constants.LOG_INTERVAL === 0) {
+        sim.logger.logDebug(`in transferFunction, a = ${(motion.velocity - state.speed) / constants.DT}, ` +
+          `mass = ${mass}, brakeForce = ${brakeForce}, numSubSteps = ${motion.numSubSteps}`);
+      }
+
+      // calculate the updated state
+      const res = {
+        ...state,
+        speed: motion.velocity,
+        distance: motion.position,
+        time: state.time + constants.DT,
+      };
+
+      // describe the track at the new position
+      if (!_.isUndefined(route)) {
+        const newSegment = route.getSegment(res.distance);
+        res.gradient = newSegment.gradient;
+        res.curveRadius = newSegment.curveRadius;
+        res.lineSpeedLimit = getSpeedLimit(newSegment, constants);
+      }
+      return res;
+    },
+  },
+];
@@ -0,0 +1,86 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the Route class, which describes the track the locomotive travels on.
+ * A route is a list of segments, each one starting at a distance (in meters) from the start of
+ * the route and lasting until the start of the next segment. The last segment lasts until the
+ * end of the simulation. Each segment has:
+ * - gradient: the gradient of the track in percent, positive when going uphill (defaults to 0)
+ * - curveRadius: the radius of the curve in meters, 0 for straight track (defaults to 0)
+ * - speedLimit: the line speed limit in meters per second (defaults to MAX_ALLOWED_SPEED)
+ *
+ * Refer to config/routes/sample_route.json for an example of a route file.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const jsonfile = require('jsonfile');
+
+/**
+ * This class describes a route with gradients, curves and speed limits against distance.
+ */
+module.exports = class Route {
+
+  /**
+   * Constructs a new instance of this class.
+   *
+   * @param {Object} route the route
+   * @param {string} route.name the name of the route
+   * @param {Array} route.segments the segments of the route
+   * @throws {Error} if the route has no segments or the segments are not sorted by start distance
+   */
+  constructor(route) {
+    if (_.isEmpty(route.segments)) {
+      throw new Error('A route must have at least one segment');
+    }
+    this.name = route.name;
+    this.segments = route.segments.map((segment, index) => {
+      if (!_.isNumber(segment.start) || (index > 0 && segment.start <= route.segments[index - 1].start)) {
+        throw new Error(`Segment ${index} of route ${route.name} must start after the previous segment`);
+      }
+      return {
+        gradient: 0.0,
+        curveRadius: 0.0,
+        ...segment,
+      };
+    });
+  }
+
+  /**
+   * Loads a route from a JSON file.
+   *
+   * @param {string} file the route file
+   * @returns {Object} the route
+   */
+  static load(file) {
+    return new Route(jsonfile.readFileSync(file));
+  }
+
+  /**
+   * Gets the segment of the route at the given distance. The first segment is used for distances
+   * before its start.
+   *
+   * @param {number} distance the distance in meters from the start of the route
+   * @returns {Object} the segment
+   */
+  getSegment(distance) {
+    const index = _.sortedLastIndexBy(this.segments, { start: distance }, 'start');
+    return this.segments[Math.max(0, index - 1)];
+  }
+
+  /**
+   * Gets the segments of the route between the given distances.
+   *
+   * @param {number} startDistance the distance in meters from the start of the route where to start
+   * @param {number} endDistance the distance in meters from the start of the route where to end
+   * @returns {Array} the segments, starting with the segment at startDistance
+   */
+  getSegments(startDistance, endDistance) {
+    const startIndex = Math.max(0, _.sortedLastIndexBy(this.segments, { start: startDistance }, 'start') - 1);
+    const endIndex = _.sortedLastIndexBy(this.segments, { start: endDistance }, 'start');
+    return this.segments.slice(startIndex, Math.max(startIndex + 1, endIndex));
+  }
+
+};
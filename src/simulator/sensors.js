@@ -0,0 +1,180 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the Sensors class, which models the sensors measuring the state of the
+ * locomotive, so the published telemetry looks like real sensor feeds rather than the exact
+ * state of the model. The sensor configuration has:
+ * - seed: the seed of the random numbers, so runs can be repeated (random if omitted)
+ * - sendGroundTruth: whether the true state is also sent to time series, as a separate tag set
+ * - sensors: the sensor of each state value (ex: pressure), values without a sensor are published
+ *   exactly. Each sensor has (all optional):
+ *   - noise: the standard deviation of the Gaussian noise added to each reading
+ *   - bias: the initial bias added to the readings
+ *   - biasDrift: the standard deviation of the change of the bias over one second (the bias drifts
+ *     as a random walk)
+ *   - quantisation: the resolution of the readings, which are rounded to a multiple of it
+ *   - sampleInterval: the time in seconds between samples, there is no reading in between
+ *   - dropoutProbability: the probability (from 0 to 1) that a sample is lost
+ *   - stuckAt: the failure of the sensor, which gets stuck from stuckAt.start (in seconds) until
+ *     stuckAt.end (if any), reporting stuckAt.value or the last reading before it got stuck
+ *   - range: the lowest and highest readings of the sensor ([min, max]), the readings beyond it are
+ *     clamped to it, as the sensor is saturated
+ *
+ * Each reading has a quality, like the Predix data points: bad when the sensor is stuck (its failure
+ * is detected), uncertain when it is saturated, and good otherwise.
+ *
+ * Noise, bias, quantisation and range apply to numeric values only. Readings are only taken when the
+ * data is sent to time series, so there is no cost for the iterations in between.
+ *
+ * Refer to config/sensors/sample_sensors.json for an example of a sensor configuration file.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const seedrandom = require('seedrandom');
+
+/**
+ * Gets a hash of a string, used to give each locomotive of a fleet its own random numbers.
+ *
+ * @param {string} str the string
+ * @returns {number} the hash
+ * @private
+ */
+const getHash = str => _.reduce(str, (hash, c) => ((hash * 31) + c.charCodeAt(0)) % 4294967296, 0);
+
+/**
+ * Gets a normally distributed random number (Box-Muller transform).
+ *
+ * @param {Function} random the generator of uniformly distributed random numbers
+ * @param {number} standardDeviation the standard deviation
+ * @returns {number} the random number, with a mean of 0
+ * @private
+ */
+const getGaussian = (random, standardDeviation) => {
+  if (!standardDeviation) {
+    return 0.0;
+  }
+  const u = 1 - random();
+  const v = random();
+  return standardDeviation * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * This class models the sensors of a locomotive.
+ */
+module.exports = class Sensors {
+
+  /**
+   * Constructs a new instance of this class.
+   *
+   * @param {Object} config the sensor configuration
+   * @param {string} locomotiveId the id of the locomotive the sensors belong to
+   * @throws {Error} if a sensor has a negative noise, bias drift, quantisation or sample interval, a
+   *   dropout probability outside 0 to 1, or an invalid range
+   */
+  constructor(config, locomotiveId) {
+    const seed = _.isNumber(config.seed) ? config.seed : Math.floor(Math.random() * 4294967296);
+    this.random = seedrandom(String(seed + getHash(locomotiveId || '')));
+    this.isGroundTruthSent = Boolean(config.sendGroundTruth);
+
+    this.sensors = _.mapValues(config.sensors, (sensor, name) => {
+      _.forEach(['noise', 'biasDrift', 'quantisation', 'sampleInterval'], (key) => {
+        if (!_.isUndefined(sensor[key]) && !(sensor[key] >= 0)) {
+          throw new Error(`The ${key} of the ${name} sensor must be a number greater than or equal to 0`);
+        }
+      });
+      if (!_.isUndefined(sensor.dropoutProbability) &&
+        !(sensor.dropoutProbability >= 0 && sensor.dropoutProbability <= 1)) {
+        throw new Error(`The dropoutProbability of the ${name} sensor must be from 0 to 1`);
+      }
+      if (!_.isUndefined(sensor.range) && !(_.isArray(sensor.range) && sensor.range.length === 2 &&
+        sensor.range[0] < sensor.range[1])) {
+        throw new Error(`The range of the ${name} sensor must be [min, max], with min less than max`);
+      }
+      return {
+        config: sensor,
+        bias: sensor.bias || 0.0,
+        lastTime: undefined,
+        lastSampleTime: undefined,
+        lastReading: undefined,
+      };
+    });
+  }
+
+  /**
+   * Reads the sensors.
+   *
+   * @param {Object} state the true state of the locomotive
+   * @returns {Object} the state as measured by the sensors. Values without a sensor are exact, and values
+   *   which were not sampled or were lost are undefined.
+   */
+  read(state) {
+    return this.measure(state).values;
+  }
+
+  /**
+   * Reads the sensors, along with the quality of the readings.
+   *
+   * @param {Object} state the true state of the locomotive
+   * @returns {Object} the measure, having the state as measured by the sensors (values, refer to read), and the
+   *   quality of the readings which are not good, by name (ex: { pressure: 'bad' })
+   */
+  measure(state) {
+    const res = { ...state };
+    const quality = {};
+    const { time } = state;
+    _.forEach(_.keys(this.sensors), (name) => {
+      const sensor = this.sensors[name];
+      const { config } = sensor;
+      const trueValue = state[name];
+
+      // the bias drifts as a random walk
+      if (!_.isUndefined(sensor.lastTime) && config.biasDrift) {
+        sensor.bias += getGaussian(this.random, config.biasDrift * Math.sqrt(time - sensor.lastTime));
+      }
+      sensor.lastTime = time;
+
+      // only sample at the sample rate of the sensor
+      if (!_.isUndefined(sensor.lastSampleTime) && config.sampleInterval &&
+        time - sensor.lastSampleTime < config.sampleInterval - 1e-9) {
+        res[name] = undefined;
+        return;
+      }
+      sensor.lastSampleTime = time;
+
+      let reading = trueValue;
+      const isStuck = !_.isUndefined(config.stuckAt) && time >= config.stuckAt.start &&
+        (_.isUndefined(config.stuckAt.end) || time < config.stuckAt.end);
+      if (isStuck) {
+        if (_.isUndefined(sensor.stuckValue)) {
+          sensor.stuckValue = _.isUndefined(config.stuckAt.value) ?
+            _.defaultTo(sensor.lastReading, trueValue) : config.stuckAt.value;
+        }
+        reading = sensor.stuckValue;
+      } else if (_.isNumber(trueValue)) {
+        reading = trueValue + sensor.bias + getGaussian(this.random, config.noise);
+        if (config.quantisation) {
+          // round again to get rid of the floating point error of the multiplication (ex: 19.500000000000004)
+          reading = _.round(Math.round(reading / config.quantisation) * config.quantisation, 10);
+        }
+        if (!_.isUndefined(config.range) && (reading < config.range[0] || reading > config.range[1])) {
+          reading = _.clamp(reading, config.range[0], config.range[1]);
+          quality[name] = 'uncertain';
+        }
+      }
+      if (isStuck) {
+        quality[name] = 'bad';
+      } else {
+        sensor.stuckValue = undefined;
+        sensor.lastReading = reading;
+      }
+
+      // the sample can be lost
+      res[name] = config.dropoutProbability && this.random() < config.dropoutProbability ? undefined : reading;
+    });
+    return { values: res, quality };
+  }
+
+};
@@ -0,0 +1,69 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the ServicePoints class, which describes where the locomotive stops
+ * to take on fuel and water. The locomotive stops at each service point in turn, either at a
+ * distance (in meters) from the start of the route or at a time (in seconds) from the start of
+ * the journey, wherever it is then. Each service point has:
+ * - name: the name of the service point, sent with the refuelling events
+ * - distance or time: where or when the locomotive stops
+ * - dwellTime: the minimum time in seconds the locomotive stays at the point (defaults to 0)
+ * - refillFuel: whether the tender is refilled with fuel (defaults to true)
+ * - refillWater: whether the tender is refilled with water (defaults to true)
+ *
+ * Refer to config/routes/sample_service_points.json for an example of a service points file.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const jsonfile = require('jsonfile');
+
+/**
+ * This class describes the service points the locomotive stops at during the journey.
+ */
+module.exports = class ServicePoints {
+
+  /**
+   * Constructs a new instance of this class.
+   *
+   * @param {Array} points the service points, in the order the locomotive reaches them
+   * @throws {Error} if a service point has neither a distance nor a time, or has both
+   */
+  constructor(points) {
+    this.points = points.map((point, index) => {
+      if (_.isNumber(point.distance) === _.isNumber(point.time)) {
+        throw new Error(`Service point ${index} must have either a distance or a time`);
+      }
+      return {
+        name: `service point ${index + 1}`,
+        dwellTime: 0.0,
+        refillFuel: true,
+        refillWater: true,
+        ...point,
+      };
+    });
+  }
+
+  /**
+   * Loads the service points from a JSON file.
+   *
+   * @param {string} file the service points file
+   * @returns {Object} the service points
+   */
+  static load(file) {
+    return new ServicePoints(jsonfile.readFileSync(file));
+  }
+
+  /**
+   * Gets a service point.
+   *
+   * @param {number} index the position of the service point
+   * @returns {Object} the service point, or undefined if there is no service point at that position
+   */
+  getPoint(index) {
+    return this.points[index];
+  }
+
+};
@@ -0,0 +1,422 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the Simulator class, which runs the steam locomotive model. It is
+ * independent of Predix: the processes, the state change handlers and the sinks that
+ * receive the data are all supplied by the caller, so the model can be embedded, driven
+ * step by step and tested without a Predix session.
+ *
+ * The simulator emits the following events:
+ * - 'step' (state, numIterations): after the processes have produced a new state, the KPIs
+ *   have been derived from it and the onStateChange handlers have completed.
+ * - 'finish' (state, numIterations): once run() has completed all its iterations.
+ * - 'alarm' (alarm): when an alarm of the alert rules is raised, updated or cleared (refer to
+ *   AlertRules.check).
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const Promise = require('bluebird');
+const _ = require('lodash');
+const defaultConstants = require('../../config/simulator_constants');
+const defaultProcesses = require('./processes');
+const AlertRules = require('./alert_rules');
+const Kpis = require('./kpis');
+const Sensors = require('./sensors');
+const Steam = require('./steam');
+
+/**
+ * The logger used when the caller does not supply one.
+ * @private
+ */
+const silentLogger = {
+  logDebug: _.noop,
+  logError: _.noop,
+  logInfo: _.noop,
+};
+
+/**
+ * The default state change handlers. They send the state to the time series sink, send alerts to
+ * the asset sink when the state breaks the alert rules, send anomalies when there are anomaly
+ * detectors, and send the refuelling events.
+ * @private
+ */
+const defaultOnStateChange = [
+  // send the state to Predix time series
+  (state, sim) => sim.toTimeSeries(state),
+
+  // send alerts to Predix asset service for the alert rules the state breaks
+  (state, sim) => sim.alertRules.check(state, sim),
+
+  // send anomalies to Predix asset service for the state values the anomaly detectors find anomalous
+  (state, sim) => (_.isUndefined(sim.anomalyDetectors) ? undefined : sim.anomalyDetectors.check(state, sim)),
+
+  // send refuelling event to Predix asset service when the locomotive leaves a service point
+  (state, sim) => (state.serviceStatus === 'departing' ?
+    sim.toAsset('refuel', state.serviceFuelTaken,
+      `Refuelled at ${sim.servicePoints.getPoint(state.servicePointIndex - 1).name}: ` +
+      `${_.round(state.serviceFuelTaken)} kg of fuel and ${_.round(state.serviceWaterTaken)} kg of water taken on`,
+      { isThrottled: false }) : undefined),
+];
+
+/**
+ * This class simulates a steam locomotive by running a set of processes over its state.
+ */
+module.exports = class Simulator extends EventEmitter {
+
+  /**
+   * Constructs a new instance of this class.
+   *
+   * @param {Object} options the simulator options
+   * @param {string} options.id the id of the locomotive, defaults to LOCOMOTIVE_ID
+   * @param {Array} options.processes the processes to run in each iteration (defaults to Faults, Driver,
+   *   Service Stop, Fireman, Fire Chamber, Boiler and Movement)
+   * @param {Array} options.onStateChange the functions called with (state, simulator) after each iteration
+   * @param {Object} options.sinks the objects which receive the data, 'timeSeries' and 'asset', each being a sink
+   *   or an array of sinks having a sendDataToPredix(data) method (refer to src/sinks/telemetry_sink.js)
+   * @param {Object} options.constants the constants overriding the values in config/simulator_constants
+   * @param {Object} options.initialState the state values overriding the initial state
+   * @param {Object} options.route the route the locomotive travels on (flat, straight track if omitted)
+   * @param {Object} options.servicePoints the service points where the locomotive stops to refill the tender
+   * @param {Object} options.faultScenario the fault scenario scheduling the faults injected into the model
+   * @param {Object} options.alertRules the alert rules checked by the default state change handlers (defaults to
+   *   the rules in config/alerts/default_alert_rules.yml)
+   * @param {Object} options.anomalyDetectors the anomaly detectors checked by the default state change handlers
+   *   (no anomalies are detected if omitted)
+   * @param {Object} options.kpis the KPIs derived from the state after the processes have run (defaults to the KPIs
+   *   in config/kpis/default_kpis.yml)
+   * @param {Object} options.sensors the sensor configuration (refer to Sensors), the exact state is sent to time
+   *   series if omitted
+   * @param {Object} options.logger the logger
+   * @throws {Error} if a KPI has the name of a state value
+   */
+  constructor(options = {}) {
+    super();
+    this.constants = Object.freeze({ ...defaultConstants, ...options.constants });
+    this.id = options.id || this.constants.LOCOMOTIVE_ID;
+    this.processes = options.processes || defaultProcesses;
+    this.onStateChange = options.onStateChange || defaultOnStateChange;
+    this.sinks = options.sinks || {};
+    this.route = options.route;
+    this.servicePoints = options.servicePoints;
+    this.faultScenario = options.faultScenario;
+    this.alertRules = options.alertRules || AlertRules.getDefault();
+    this.anomalyDetectors = options.anomalyDetectors;
+    this.kpis = options.kpis || Kpis.getDefault();
+    this.sensors = _.isUndefined(options.sensors) ? undefined : new Sensors(options.sensors, this.id);
+    this.logger = options.logger || silentLogger;
+
+    // use to keep track of last time data was sent to predix time series, asset service, etc.
+    this.history = {};
+
+    // the status of each alert rule (ex: whether its alert is active), by rule name
+    this.alertStatus = {};
+
+    // the baseline of each anomaly detector, by detector name
+    this.anomalyStatus = {};
+
+    // the values aggregated for each KPI (ex: the samples in its rolling window), by KPI name
+    this.kpiStatus = {};
+
+    // the number of simulator iterations completed so far
+    this.numIterations = 0;
+
+    this.state = { ...Simulator.getInitialState(this.constants), ...options.initialState };
+
+    const clashingNames = _.intersection(_.map(this.kpis.metrics, 'name'), _.keys(this.state));
+    if (!_.isEmpty(clashingNames)) {
+      throw new Error(`KPI names must differ from the names of the state values, clashes: ${clashingNames}`);
+    }
+  }
+
+  /**
+   * Gets the default processes (Faults, Driver, Service Stop, Fireman, Fire Chamber, Boiler and Movement).
+   *
+   * @returns {Array} the default processes
+   */
+  static get defaultProcesses() {
+    return defaultProcesses;
+  }
+
+  /**
+   * Gets the default state change handlers.
+   *
+   * @returns {Array} the default state change handlers
+   */
+  static get defaultOnStateChange() {
+    return defaultOnStateChange;
+  }
+
+  /**
+   * Specifies both the set of variables describing the state of
+   * the system, and their initial values.
+   *
+   * @param {Object} constants the constants to use
+   * @returns {Object} the initial state
+   */
+  static getInitialState(constants) {
+    return {
+      // the distance in meters the locomotive has travelled
+      distance: 0.0,
+
+      // the mass in kg of fuel current burning
+      fuelMassBurning: 0.0,
+
+      // the mass in kg of fuel in the tender
+      fuelMassInTender: constants.INITIAL_FUEL_MASS_IN_TENDER,
+
+      // the mass in kg of fuel in the fire chamber
+      fuelMassInFireChamber: 0.0,
+
+      // the mass in kg of fuel burned per second in the fire chamber
+      fuelBurnRate: 0.0,
+
+      // the mass in kg of the locomotive
+      locomotiveOwnMass: constants.LOCOMOTIVE_OWN_MASS,
+
+      // the mass in kg of water in the tender
+      waterMassInTender: constants.INITIAL_WATER_MASS_IN_TENDER,
+
+      // the mass in kg of water in the boiler
+      waterMassInBoiler: constants.INITIAL_WATER_MASS_IN_BOILER,
+
+      // the water level in the boiler (percent of its capacity)
+      waterLevel: (100 * constants.INITIAL_WATER_MASS_IN_BOILER) / constants.BOILER_WATER_CAPACITY,
+
+      // the temperature in degrees Celsius of the water and steam in the boiler
+      steamTemperature: constants.INITIAL_STEAM_TEMPERATURE,
+
+      // the locomotive pressure (measured in bar)
+      pressure: Steam.getSaturationPressure(constants.INITIAL_STEAM_TEMPERATURE, constants),
+
+      // flag indicating whether the safety valve is venting steam
+      safetyValveOpen: false,
+
+      // flag indicating whether the injector is feeding water from the tender into the boiler
+      injectorOn: false,
+
+      // the speed of the locomotive in meters per second
+      speed: 0.0,
+
+      // the opening of the regulator, from 0 (closed) to 1 (fully open)
+      regulator: 1.0,
+
+      // the cut-off set with the reverser, e.g. the fraction of the piston stroke during which steam is admitted
+      cutOff: constants.DRIVER_START_CUTOFF,
+
+      // the brake application, from 0 (released) to 1 (fully applied)
+      brake: 0.0,
+
+      // the speed in meters per second the driver holds when DRIVER_SPEED_CONTROL_ENABLED is set
+      targetSpeed: constants.DRIVER_TARGET_SPEED,
+
+      // the accumulated speed error (in meters) of the driver's speed controller
+      speedControlIntegral: 0.0,
+
+      // the service stop status: running, approaching, dwelling or departing
+      serviceStatus: 'running',
+
+      // the position of the next service point the locomotive stops at
+      servicePointIndex: 0,
+
+      // the time in seconds at which the locomotive stopped at the current service point
+      serviceStopStart: 0.0,
+
+      // the mass in kg of fuel and water taken on at the current (or last) service point
+      serviceFuelTaken: 0.0,
+      serviceWaterTaken: 0.0,
+
+      // the opening of the regulator before approaching the current service point
+      regulatorBeforeStop: 1.0,
+
+      // the ground truth severity, from 0 (none) to 1, of each fault injected by the fault scenario
+      faultBoilerTubeLeak: 0.0,
+      faultCloggedGrate: 0.0,
+      faultStuckSafetyValve: 0.0,
+      faultWheelSlip: 0.0,
+      faultFiremanStopped: 0.0,
+
+      // the time in seconds that the locomotive has been travelling
+      time: 0.0,
+    };
+  }
+
+  /**
+   * Gets a copy of the current state.
+   *
+   * @returns {Object} the current state
+   */
+  getState() {
+    return { ...this.state };
+  }
+
+  /**
+   * Performs one simulator iteration: runs the transfer functions to transfer the current state
+   * to the next state, derives the KPIs from it, then calls the onStateChange functions.
+   *
+   * @returns {Object} a Promise which will resolve to the new state once the onStateChange functions complete
+   */
+  async step() {
+    ++this.numIterations;
+
+    // run the transfer functions to transfer current state to next state
+    this.processes.forEach((process) => {
+      this.state = process.transferFunction(this.state, this);
+    });
+
+    // derive the KPIs from the new state
+    this.state = this.kpis.apply(this.state, this);
+
+    // log the state every LOG_INTERVAL iterations
+    if (this.numIterations % this.constants.LOG_INTERVAL === 0) {
+      this.logger.logDebug(`state = ${JSON.stringify(this.state)}`);
+    }
+
+    // wait for the state change functions to complete
+    const state = this.state;
+    await Promise.all(this.onStateChange.map(func => func(state, this)));
+
+    this.emit('step', state, this.numIterations);
+    return state;
+  }
+
+  /**
+   * Runs the given number of simulator iterations.
+   *
+   * @param {number} numIterations the number of iterations to run, defaults to NUM_ITERATIONS
+   * @returns {Object} a Promise which will resolve to the final state
+   */
+  async run(numIterations = this.constants.NUM_ITERATIONS) {
+    for (let i = 0; i < numIterations; ++i) {
+      // log if needed
+      if (this.numIterations % this.constants.LOG_INTERVAL === 0) {
+        this.logger.logDebug('------------------------------------');
+        this.logger.logDebug(`running simulator iteration, numIterations = ${this.numIterations}`);
+      }
+      await this.step(); // eslint-disable-line
+    }
+    this.emit('finish', this.state, this.numIterations);
+    return this.state;
+  }
+
+  /**
+   * Sends data to the time series sink. The id of the locomotive is sent along with the state. When there are
+   * sensors, the state as measured by the sensors is sent instead, along with the true state as groundTruth if
+   * the sensors are configured to send it. The quality of the values which are not good (ex: the readings of a
+   * stuck sensor, or the KPIs whose window is not full yet) is sent as the quality object of the data
+   * (ex: { pressure: 'bad' }).
+   *
+   * @param {Object} state the state to send to the time series sink
+   * @returns {Object} a Promise which will resolve once data has been queued to be sent
+   */
+  toTimeSeries(state) {
+    return this.sendDataToPredix('timeSeries', () => {
+      let data;
+      let quality = this.kpis.getQuality(state, this);
+      if (_.isUndefined(this.sensors)) {
+        data = { ...state, locomotiveId: this.id };
+      } else {
+        const measure = this.sensors.measure(state);
+        data = { ...measure.values, locomotiveId: this.id };
+        quality = { ...quality, ...measure.quality };
+        if (this.sensors.isGroundTruthSent) {
+          data.groundTruth = { ...state };
+        }
+      }
+      if (!_.isEmpty(quality)) {
+        data.quality = quality;
+      }
+      return data;
+    }, 'timeSeries', 'time series');
+  }
+
+  /**
+   * Creates a unique id for the data sent to the asset sink, which gives its asset uri. It is made of the time
+   * and a random part, so data sent at the same time (ex: two alerts in the same millisecond) gets different ids.
+   *
+   * @param {number} time the time in seconds (defaults to the time of the current state)
+   * @returns {string} the id
+   */
+  createAssetId(time = this.state.time) {
+    return `${Math.round(time * 1000)}.${crypto.randomBytes(6).toString('hex')}`;
+  }
+
+  /**
+   * Sends data to the asset sink.
+   *
+   * @param {string} key the key of the data to send to asset service
+   * @param {Object} val the asset value (ex: speed)
+   * @param {string} msg the alert message to send to the asset service (ex: "Maximum speed has been exceeded!")
+   * @param {Object} options the options
+   * @param {boolean} options.isThrottled false to send the data every time (ex: events and alarm updates),
+   *   regardless of the send history (defaults to true)
+   * @param {string} options.id the id of the data, which gives its asset uri, so data sent with the same id updates
+   *   the same asset (ex: an alarm). A new id is created if omitted.
+   * @param {*} options.* any other option is sent along with the data (ex: the severity of an alarm)
+   * @returns {Object} a Promise which will resolve once data has been queued to be sent
+   */
+  toAsset(key, val, msg, options = {}) {
+    const { isThrottled, id, ...fields } = options;
+    const data = { key, val, time: this.state.time, msg, locomotiveId: this.id, ...fields };
+    return this.sendDataToPredix(key, () => ({ ...data, id: id || this.createAssetId() }), 'asset', 'asset',
+      isThrottled !== false);
+  }
+
+  /**
+   * Sends data to the sinks of a stream (time series or asset).
+   *
+   * @param {string} key the key of the data to send
+   * @param {Object|Function} data the data to send, or a function returning it, which is only called when the
+   *   data is actually sent (ex: to read the sensors)
+   * @param {string} sinkName the name of the sink to which data is sent (ex: timeSeries)
+   * @param {string} typeOfService the type of Predix service to which data is being set
+   * @param {boolean} isThrottled false to send the data regardless of MAX_NUM_SENDS_PER_KEY and SEND_INTERVAL
+   * @returns {Object} a Promise which will resolve once data has been queued to be sent
+   */
+  sendDataToPredix(key, data, sinkName, typeOfService, isThrottled = true) {
+    return Promise.try(() => {
+      const sinks = _.castArray(this.sinks[sinkName] || []);
+      if (_.isEmpty(sinks)) {
+        return 'no sink';
+      }
+
+      // determine if we need to send the data to predix service - we send it if these conditions are met:
+      // 1) we haven't sent data MAX_NUM_SENDS_PER_KEY times or more
+      // 2) the time difference between state.time and the last send is >= SEND_INTERVAL
+      const history = this.history[key];
+      const numSends = _.isUndefined(history) ? 0 : history.numSends;
+      const timeDiff = _.isUndefined(history) ? -1 : this.state.time - history.prevTimeSent;
+
+      if (!isThrottled || (numSends < this.constants.MAX_NUM_SENDS_PER_KEY &&
+        (timeDiff === -1 || timeDiff + this.constants.EPS >= this.constants.SEND_INTERVAL))) {
+        const dataToSend = _.isFunction(data) ? data() : data;
+        this.logger.logDebug(`sending data to predix: timeDiff = ${timeDiff}, numSends = ${numSends}, ` +
+          `key = ${key}, data = ${JSON.stringify(dataToSend)}`);
+
+        // send the data to predix (and the other sinks)! a failing sink doesn't keep the data from the others
+        this.logger.logDebug(`calling ${sinkName}.sendDataToPredix`);
+        _.forEach(sinks, (sink) => {
+          Promise.try(() => sink.sendDataToPredix(dataToSend)).catch((e) => {
+            this.logger.logError('Error sending data to sink %s of %s: %j', sink.name || sinkName, typeOfService,
+              e.message || e);
+          });
+        });
+        this.logger.logDebug(`back from call to ${sinkName}.sendDataToPredix`);
+
+        // update history for sent data so we can determine when this type of data needs to be sent again
+        this.history[key] = {
+          prevTimeSent: this.state.time,
+          numSends: numSends + 1,
+        };
+      }
+      // everything worked!
+      return 'success';
+    }).catch((e) => {
+      this.logger.logError('Error sending data to predix %s: %j', typeOfService, e);
+    });
+  }
+
+};
@@ -0,0 +1,59 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the saturated steam properties used by the boiler model.
+ *
+ * The saturation temperature is approximated by T = 100 * p^(1/4), where T is in degrees
+ * Celsius and p is the absolute pressure in bar. The approximation is within a couple of
+ * degrees of the steam tables between 1 and 30 bar, which covers the locomotive boiler.
+ */
+
+'use strict';
+
+/**
+ * This class contains the saturated steam properties.
+ */
+module.exports = class Steam {
+
+  /**
+   * Gets the gauge pressure of saturated steam at the given temperature.
+   *
+   * @param {number} temperature the temperature in degrees Celsius
+   * @param {Object} constants the simulator constants
+   * @returns {number} the gauge pressure in bar (0 when below atmospheric pressure)
+   */
+  static getSaturationPressure(temperature, constants) {
+    const absolutePressure = (Math.max(0, temperature) / 100) ** 4;
+    return Math.max(0, absolutePressure - constants.ATMOSPHERIC_PRESSURE);
+  }
+
+  /**
+   * Gets the temperature of saturated steam at the given gauge pressure.
+   *
+   * @param {number} pressure the gauge pressure in bar
+   * @param {Object} constants the simulator constants
+   * @returns {number} the temperature in degrees Celsius
+   */
+  static getSaturationTemperature(pressure, constants) {
+    return 100 * ((Math.max(0, pressure) + constants.ATMOSPHERIC_PRESSURE) ** 0.25);
+  }
+
+  /**
+   * Gets the ratio of the mean effective pressure in the cylinders to the steam chest pressure for the
+   * given cut-off, assuming the steam expands isothermally once admission is cut off:
+   * ratio = cutOff * (1 + ln(1 / cutOff)). A shorter cut-off gives less tractive effort, but uses much
+   * less steam, since the steam consumed is proportional to the cut-off.
+   *
+   * @param {number} cutOff the fraction of the piston stroke during which steam is admitted (0 to 1)
+   * @returns {number} the mean effective pressure ratio (0 to 1)
+   */
+  static getMeanEffectivePressureRatio(cutOff) {
+    if (cutOff <= 0) {
+      return 0.0;
+    }
+    const c = Math.min(1, cutOff);
+    return c * (1 - Math.log(c));
+  }
+
+};
@@ -0,0 +1,364 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the TripReport class, which collects statistics while a simulator (or a fleet)
+ * runs, and writes a report of the run in JSON, Markdown and HTML, so runs can be archived and compared.
+ * For each locomotive, the report has:
+ * - the lowest, highest, mean and final value of each state variable (flags count as 1 when set, so
+ *   their mean is the fraction of the time they were set);
+ * - the time spent beyond the threshold of each alert rule;
+ * - the number of alarms of each alert rule, and their total and longest duration;
+ * - the constants used.
+ * The report also has the parameters of the run, and the number of data objects queued, acknowledged and
+ * given up (written to the dead-letter file) by each sink (for the sinks having a getStatistics() method). The
+ * Predix services are named after their stream (ex: timeSeries), and the other sinks after their stream and
+ * their name (ex: timeSeries (csv)).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const defaultConstants = require('../../config/simulator_constants');
+
+/**
+ * Gets the statistics of the sinks having a getStatistics() method.
+ *
+ * @param {Object} sinks the sinks of each stream, a sink or an array of sinks (refer to Simulator)
+ * @returns {Object} the statistics of the sinks, by name
+ * @private
+ */
+const getSinkStatistics = (sinks) => {
+  const res = {};
+  _.forOwn(sinks, (streamSinks, stream) => {
+    _.forEach(_.castArray(streamSinks), (sink) => {
+      if (_.isFunction(sink.getStatistics)) {
+        res[_.isUndefined(sink.name) ? stream : `${stream} (${sink.name})`] = sink.getStatistics();
+      }
+    });
+  });
+  return res;
+};
+
+/**
+ * Formats a value for the Markdown and HTML reports.
+ *
+ * @param {*} value the value
+ * @returns {string} the formatted value
+ * @private
+ */
+const formatValue = (value) => {
+  if (_.isNumber(value)) {
+    return String(_.round(value, 3));
+  }
+  return _.isNil(value) ? '' : String(value);
+};
+
+/**
+ * Escapes the characters of a text which have a meaning in HTML.
+ *
+ * @param {string} text the text
+ * @returns {string} the escaped text
+ * @private
+ */
+const escapeHtml = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Adds a state to the statistics of the state variables.
+ *
+ * @param {Object} variables the statistics of each state variable by name, which get the state
+ * @param {Object} state the state
+ * @private
+ */
+const addState = (variables, state) => {
+  _.forOwn(state, (rawValue, name) => {
+    const value = _.isBoolean(rawValue) ? Number(rawValue) : rawValue;
+    const stats = variables[name] || { count: 0, sum: 0.0 };
+    variables[name] = stats;
+
+    // values which are not numbers (ex: the service status) only have a final value
+    if (_.isFinite(value)) {
+      stats.count += 1;
+      stats.sum += value;
+      stats.min = Math.min(_.defaultTo(stats.min, value), value);
+      stats.max = Math.max(_.defaultTo(stats.max, value), value);
+    }
+    stats.final = rawValue;
+  });
+};
+
+/**
+ * Adds an alarm to the statistics of the alarms of its alert rule.
+ *
+ * @param {Object} alarms the statistics of the alarms of each alert rule by name, which get the alarm
+ * @param {Object} alarm the alarm sent by the alert rules (refer to AlertRules.check)
+ * @private
+ */
+const addAlarm = (alarms, alarm) => {
+  const stats = alarms[alarm.name];
+  if (alarm.status === 'raised') {
+    stats.count += 1;
+    stats.activeSince[alarm.id] = alarm.startTime;
+  } else if (alarm.status === 'cleared') {
+    const duration = alarm.endTime - alarm.startTime;
+    stats.totalDuration += duration;
+    stats.longestDuration = Math.max(stats.longestDuration, duration);
+    delete stats.activeSince[alarm.id];
+  }
+};
+
+/**
+ * Gets the sections of the report, each one having a level (1 for the title), a title, and a table with
+ * headers and rows, which are rendered as Markdown or HTML.
+ *
+ * @param {Object} report the report
+ * @returns {Array} the sections
+ * @private
+ */
+const getSections = (report) => {
+  const sections = [
+    {
+      level: 1,
+      title: 'Trip report',
+      table: {
+        headers: ['Parameter', 'Value'],
+        rows: [
+          ['Started', report.run.startedAt],
+          ['Finished', report.run.finishedAt],
+          ['Locomotives', report.locomotives.length],
+          ..._.map(report.run.parameters, (value, name) => [name, value]),
+        ],
+      },
+    },
+    {
+      level: 2,
+      title: 'Services',
+      table: {
+        headers: ['Service', 'Queued', 'Acknowledged', 'Given up'],
+        rows: _.map(report.services, (stats, name) => [name, stats.queued, stats.acknowledged, stats.deadLettered]),
+      },
+    },
+  ];
+
+  _.forEach(report.locomotives, (locomotive) => {
+    sections.push({
+      level: 2,
+      title: `Locomotive ${locomotive.id}`,
+      table: {
+        headers: ['Parameter', 'Value'],
+        rows: [
+          ['Iterations', locomotive.numIterations],
+          ['Simulated time (s)', locomotive.simulatedTime],
+        ],
+      },
+    }, {
+      level: 3,
+      title: 'State variables',
+      table: {
+        headers: ['Variable', 'Min', 'Max', 'Mean', 'Final'],
+        rows: _.map(locomotive.variables, (stats, name) => [name, stats.min, stats.max, stats.mean, stats.final]),
+      },
+    }, {
+      level: 3,
+      title: 'Alert thresholds',
+      table: {
+        headers: ['Rule', 'Condition', 'Time beyond threshold (s)'],
+        rows: _.map(locomotive.thresholds, threshold => [threshold.name,
+          `${threshold.expression} ${threshold.operator} ${threshold.threshold}`, threshold.timeBeyondThreshold]),
+      },
+    }, {
+      level: 3,
+      title: 'Alerts',
+      table: {
+        headers: ['Rule', 'Severity', 'Alarms', 'Ongoing', 'Total duration (s)', 'Longest duration (s)'],
+        rows: _.map(locomotive.alerts, alert => [alert.name, alert.severity, alert.count, alert.ongoing,
+          alert.totalDuration, alert.longestDuration]),
+      },
+    }, {
+      level: 3,
+      title: 'Constants',
+      table: {
+        headers: ['Constant', 'Value'],
+        rows: _.map(locomotive.constants, (value, name) => [name, value]),
+      },
+    });
+  });
+  return sections;
+};
+
+/**
+ * This class collects the statistics of a run and writes the trip report.
+ */
+module.exports = class TripReport {
+
+  /**
+   * Constructs a new instance of this class, which starts collecting the statistics of the simulator.
+   *
+   * @param {Object} simulator the simulator, or the fleet of simulators
+   * @param {Object} parameters the parameters of the run to show in the report (ex: the route file)
+   */
+  constructor(simulator, parameters = {}) {
+    this.simulators = _.isUndefined(simulator.simulators) ? [simulator] : simulator.simulators;
+    this.parameters = parameters;
+    this.startedAt = new Date();
+
+    // the statistics collected for each locomotive, by id
+    this.statistics = {};
+    _.forEach(this.simulators, (sim) => {
+      const rules = _.get(sim, 'alertRules.rules', []);
+      const statistics = {
+        variables: {},
+        timeBeyondThreshold: _.fromPairs(rules.map(rule => [rule.name, 0.0])),
+        alarms: _.fromPairs(rules.map(rule => [rule.name,
+          { count: 0, totalDuration: 0.0, longestDuration: 0.0, activeSince: {} }])),
+      };
+      this.statistics[sim.id] = statistics;
+
+      sim.on('step', (state) => {
+        addState(statistics.variables, state);
+        _.forEach(rules, (rule) => {
+          if (_.get(sim.alertStatus, [rule.name, 'isBreached'])) {
+            statistics.timeBeyondThreshold[rule.name] += sim.constants.DT;
+          }
+        });
+      });
+      sim.on('alarm', alarm => addAlarm(statistics.alarms, alarm));
+    });
+  }
+
+  /**
+   * Builds the report with the statistics collected so far.
+   *
+   * @returns {Object} the report
+   */
+  build() {
+    return {
+      run: {
+        startedAt: this.startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        parameters: this.parameters,
+      },
+      services: getSinkStatistics(this.simulators[0].sinks),
+      locomotives: this.simulators.map((sim) => {
+        const statistics = this.statistics[sim.id];
+        const rules = _.get(sim, 'alertRules.rules', []);
+        return {
+          id: sim.id,
+          numIterations: sim.numIterations,
+          simulatedTime: sim.state.time,
+          variables: _.mapValues(statistics.variables, stats => ({
+            min: stats.min,
+            max: stats.max,
+            mean: stats.count === 0 ? undefined : stats.sum / stats.count,
+            final: stats.final,
+          })),
+          thresholds: rules.map(rule => ({
+            name: rule.name,
+            expression: rule.expression.source,
+            operator: rule.operator,
+            threshold: rule.threshold.source,
+            timeBeyondThreshold: statistics.timeBeyondThreshold[rule.name],
+          })),
+          alerts: rules.map((rule) => {
+            const alarms = statistics.alarms[rule.name];
+
+            // the alarms still active at the end of the run last until then
+            const activeDurations = _.map(alarms.activeSince, startTime => sim.state.time - startTime);
+            return {
+              name: rule.name,
+              severity: rule.severity,
+              count: alarms.count,
+              ongoing: activeDurations.length,
+              totalDuration: alarms.totalDuration + _.sum(activeDurations),
+              longestDuration: Math.max(alarms.longestDuration, ...activeDurations),
+            };
+          }),
+          constants: { ...sim.constants },
+        };
+      }),
+    };
+  }
+
+  /**
+   * Renders a report as Markdown.
+   *
+   * @param {Object} report the report
+   * @returns {string} the Markdown report
+   */
+  static toMarkdown(report) {
+    const toRow = cells => `| ${cells.map(cell => formatValue(cell).replace(/\|/g, '\\|')).join(' | ')} |`;
+    return getSections(report).map(section => [
+      `${_.repeat('#', section.level)} ${section.title}`,
+      '',
+      toRow(section.table.headers),
+      toRow(section.table.headers.map(() => '---')),
+      ...section.table.rows.map(toRow),
+      '',
+    ].join('\n')).join('\n');
+  }
+
+  /**
+   * Renders a report as HTML.
+   *
+   * @param {Object} report the report
+   * @returns {string} the HTML report
+   */
+  static toHtml(report) {
+    const toRow = (cells, tag) => `<tr>${cells.map(cell => `<${tag}>${escapeHtml(formatValue(cell))}</${tag}>`)
+      .join('')}</tr>`;
+    const body = getSections(report).map(section => [
+      `<h${section.level}>${escapeHtml(section.title)}</h${section.level}>`,
+      '<table>',
+      toRow(section.table.headers, 'th'),
+      ...section.table.rows.map(row => toRow(row, 'td')),
+      '</table>',
+    ].join('\n')).join('\n');
+    return [
+      '<!DOCTYPE html>',
+      '<html>',
+      '<head>',
+      '<meta charset="utf-8">',
+      '<title>Trip report</title>',
+      '<style>',
+      'body { font-family: sans-serif; }',
+      'table { border-collapse: collapse; margin-bottom: 1em; }',
+      'th, td { border: 1px solid #ccc; padding: 2px 8px; text-align: left; }',
+      '</style>',
+      '</head>',
+      '<body>',
+      body,
+      '</body>',
+      '</html>',
+      '',
+    ].join('\n');
+  }
+
+  /**
+   * Builds the report and writes it to JSON, Markdown and HTML files named after the start of the run
+   * (ex: trip_report_2017-06-01T10-00-00-000Z.json), so the reports of previous runs are kept.
+   *
+   * @param {string} outputDir the directory to write the files to, defaults to TRIP_REPORT_DIR
+   * @returns {Array} the files written
+   */
+  write(outputDir = defaultConstants.TRIP_REPORT_DIR) {
+    const report = this.build();
+
+    // create output directory if it doesn't exist
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir);
+    }
+
+    const baseName = path.join(outputDir, `trip_report_${this.startedAt.toISOString().replace(/[:.]/g, '-')}`);
+    const files = [
+      [`${baseName}.json`, JSON.stringify(report, null, 2) + '\n'],
+      [`${baseName}.md`, TripReport.toMarkdown(report)],
+      [`${baseName}.html`, TripReport.toHtml(report)],
+    ];
+    _.forEach(files, ([file, content]) => fs.writeFileSync(file, content));
+    return _.map(files, _.first);
+  }
+
+};
@@ -0,0 +1,53 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the CsvSink class, a sink (refer to telemetry_sink.js) writing each data object
+ * of its stream as a row of a CSV file (ex: ./output/csv_time_series.csv).
+ *
+ * The columns are the given columns, or else the properties of the first data object written. Objects
+ * (ex: the ground truth) are written as JSON.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const _ = require('lodash');
+const Helper = require('../common/helper');
+const TelemetrySink = require('./telemetry_sink');
+
+/**
+ * This class writes the simulator data to a CSV file.
+ */
+module.exports = class CsvSink extends TelemetrySink {
+
+  /**
+   * Constructs a new instance of this class. Any existing file with the same name is deleted.
+   *
+   * @param {string} name the name of the sink, which starts the name of the file
+   * @param {string} stream the stream the sink receives: timeSeries or asset
+   * @param {Object} log the logger
+   * @param {Object} options the options of the sink
+   * @param {string} options.dir the directory of the file, defaults to LOCAL_OUTPUT_DIR
+   * @param {Array} options.columns the columns of the file, defaults to the properties of the first data object
+   */
+  constructor(name, stream, log, options = {}) {
+    super(name, stream, log);
+    this.file = TelemetrySink.prepareFile(name, stream, 'csv', options.dir);
+    this.columns = options.columns;
+  }
+
+  /**
+   * Writes a data object as a row of the file, after the header row if it is the first one.
+   *
+   * @param {Object} data the data to write
+   */
+  write(data) {
+    if (this.totQueued === 1) {
+      this.columns = this.columns || _.keys(data);
+      fs.appendFileSync(this.file, this.columns.map(Helper.toCsvField).join(',') + '\n');
+    }
+    fs.appendFileSync(this.file, this.columns.map(column => Helper.toCsvField(_.get(data, column))).join(',') + '\n');
+  }
+
+};
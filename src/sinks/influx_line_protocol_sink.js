@@ -0,0 +1,104 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the InfluxLineProtocolSink class, a sink (refer to telemetry_sink.js) writing each
+ * data object of its stream as a line of an InfluxDB line protocol file (ex: ./output/influx_time_series.lp),
+ * which can be loaded with 'influx write' (or the /write API) with the given precision. Each line has:
+ * - the measurement: the given one, or else the name of the stream (time_series or asset)
+ * - the tags: the locomotive id, and the key of the asset data (ex: speed, or the name of an alert rule)
+ * - the fields: the other values of the data (refer to TelemetrySink.getFields), numbers being floats
+ * - the timestamp: the simulated time, in the given precision
+ */
+
+'use strict';
+
+const fs = require('fs');
+const _ = require('lodash');
+const TelemetrySink = require('./telemetry_sink');
+const constants = require('../../config/simulator_constants');
+
+/**
+ * The number of timestamp units in a second, by precision.
+ * @private
+ */
+const precisions = {
+  ns: 1e9,
+  us: 1e6,
+  ms: 1e3,
+  s: 1,
+};
+
+/**
+ * Escapes a measurement, tag key, tag value or field key (commas, equal signs and spaces are escaped).
+ *
+ * @param {string} str the string to escape
+ * @returns {string} the escaped string
+ * @private
+ */
+const escapeKey = str => String(str).replace(/([,= \\])/g, '\\$1');
+
+/**
+ * Converts a value to a field value: a float, a boolean or a quoted string.
+ *
+ * @param {*} value the value
+ * @returns {string} the field value
+ * @private
+ */
+const toFieldValue = (value) => {
+  if (_.isString(value)) {
+    return '"' + value.replace(/(["\\])/g, '\\$1') + '"';
+  }
+  return String(value);
+};
+
+/**
+ * This class writes the simulator data to an InfluxDB line protocol file.
+ */
+module.exports = class InfluxLineProtocolSink extends TelemetrySink {
+
+  /**
+   * Constructs a new instance of this class. Any existing file with the same name is deleted.
+   *
+   * @param {string} name the name of the sink, which starts the name of the file
+   * @param {string} stream the stream the sink receives: timeSeries or asset
+   * @param {Object} log the logger
+   * @param {Object} options the options of the sink
+   * @param {string} options.dir the directory of the file, defaults to LOCAL_OUTPUT_DIR
+   * @param {string} options.measurement the measurement of the lines, defaults to the name of the stream
+   * @param {string} options.precision the precision of the timestamps: ns (the default), us, ms or s
+   * @throws {Error} if the precision is invalid
+   */
+  constructor(name, stream, log, options = {}) {
+    super(name, stream, log);
+    this.precision = options.precision || 'ns';
+    if (_.isUndefined(precisions[this.precision])) {
+      throw new Error(`Sink ${name} must have a precision, one of ${_.keys(precisions)}`);
+    }
+    this.file = TelemetrySink.prepareFile(name, stream, 'lp', options.dir);
+    this.measurement = options.measurement || (stream === 'timeSeries' ? 'time_series' : stream);
+  }
+
+  /**
+   * Writes a data object as a line of the file. Data with no fields is skipped.
+   *
+   * @param {Object} data the data to write
+   */
+  write(data) {
+    const tags = { locomotiveId: data.locomotiveId || constants.LOCOMOTIVE_ID };
+    const fields = TelemetrySink.getFields(data);
+    if (this.stream === 'asset' && !_.isUndefined(fields.key)) {
+      tags.key = fields.key;
+      delete fields.key;
+    }
+    if (_.isEmpty(fields)) {
+      return;
+    }
+
+    const tagSet = _.map(tags, (value, key) => `${escapeKey(key)}=${escapeKey(value)}`).join(',');
+    const fieldSet = _.map(fields, (value, key) => `${escapeKey(key)}=${toFieldValue(value)}`).join(',');
+    const timestamp = Math.round(data.time * precisions[this.precision]);
+    fs.appendFileSync(this.file, `${escapeKey(this.measurement)},${tagSet} ${fieldSet} ${timestamp}\n`);
+  }
+
+};
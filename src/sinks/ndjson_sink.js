@@ -0,0 +1,42 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the NdjsonSink class, a sink (refer to telemetry_sink.js) writing each data object
+ * of its stream as a line of a newline delimited JSON file (ex: ./output/ndjson_asset.ndjson).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const TelemetrySink = require('./telemetry_sink');
+
+/**
+ * This class writes the simulator data to a NDJSON file.
+ */
+module.exports = class NdjsonSink extends TelemetrySink {
+
+  /**
+   * Constructs a new instance of this class. Any existing file with the same name is deleted.
+   *
+   * @param {string} name the name of the sink, which starts the name of the file
+   * @param {string} stream the stream the sink receives: timeSeries or asset
+   * @param {Object} log the logger
+   * @param {Object} options the options of the sink
+   * @param {string} options.dir the directory of the file, defaults to LOCAL_OUTPUT_DIR
+   */
+  constructor(name, stream, log, options = {}) {
+    super(name, stream, log);
+    this.file = TelemetrySink.prepareFile(name, stream, 'ndjson', options.dir);
+  }
+
+  /**
+   * Writes a data object as a line of the file.
+   *
+   * @param {Object} data the data to write
+   */
+  write(data) {
+    fs.appendFileSync(this.file, JSON.stringify(data) + '\n');
+  }
+
+};
@@ -0,0 +1,194 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the PrometheusSink class, a sink (refer to telemetry_sink.js) exposing the latest
+ * simulator data of its stream as metrics in the Prometheus text exposition format, at
+ * http://<host>:<port>/metrics. The sinks with the same port share the same endpoint. The metrics are:
+ * - for the timeSeries stream: a gauge for each value of the last state of each locomotive (refer to
+ *   TelemetrySink.getFields), named after the value in snake case (ex: steam_locomotive_fuel_mass_in_tender),
+ *   and the simulated time of the state (steam_locomotive_simulated_time_seconds)
+ * - for the asset stream: the number of data objects sent for each key (steam_locomotive_asset_data_total), and
+ *   the last value of each key when it is a number (steam_locomotive_asset_value)
+ * Each metric has the id of the locomotive as its locomotive label.
+ *
+ * Once the simulation has finished, the endpoint stays up for the given linger time, so Prometheus can scrape
+ * the final values.
+ */
+
+'use strict';
+
+const http = require('http');
+const Promise = require('bluebird');
+const _ = require('lodash');
+const TelemetrySink = require('./telemetry_sink');
+const constants = require('../../config/simulator_constants');
+
+/**
+ * The endpoints, by port, each one having its HTTP server and the sinks exposing their metrics on it.
+ * @private
+ */
+const endpoints = new Map();
+
+/**
+ * Escapes a label value.
+ *
+ * @param {string} value the value
+ * @returns {string} the escaped value
+ * @private
+ */
+const escapeLabelValue = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * Renders the metrics of the sinks of an endpoint.
+ *
+ * @param {Object} endpoint the endpoint
+ * @returns {string} the metrics, in the text exposition format
+ * @private
+ */
+const renderMetrics = (endpoint) => {
+  const lines = [];
+  endpoint.sinks.forEach((sink) => {
+    sink.metrics.forEach((metric, name) => {
+      lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+      metric.samples.forEach((value, labels) => {
+        lines.push(`${name}{${labels}} ${value}`);
+      });
+    });
+  });
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Gets the endpoint of a port, starting it if there is none yet.
+ *
+ * @param {number} port the port
+ * @param {Object} log the logger
+ * @returns {Object} the endpoint, having its server and sinks
+ * @private
+ */
+const getEndpoint = (port, log) => {
+  if (!endpoints.has(port)) {
+    const endpoint = { sinks: new Set() };
+    endpoint.server = http.createServer((req, res) => {
+      if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found, the metrics are at /metrics\n');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+      res.end(renderMetrics(endpoint));
+    });
+    endpoint.server.on('error', (e) => {
+      log.logError(`Error in the Prometheus endpoint on port ${port}: ${e.message}`);
+    });
+    endpoint.server.listen(port, () => {
+      log.logInfo(`Prometheus metrics exposed at http://localhost:${port}/metrics`);
+    });
+    endpoints.set(port, endpoint);
+  }
+  return endpoints.get(port);
+};
+
+/**
+ * This class exposes the simulator data as Prometheus metrics.
+ */
+module.exports = class PrometheusSink extends TelemetrySink {
+
+  /**
+   * Constructs a new instance of this class.
+   *
+   * @param {string} name the name of the sink
+   * @param {string} stream the stream the sink receives: timeSeries or asset
+   * @param {Object} log the logger
+   * @param {Object} options the options of the sink
+   * @param {number} options.port the port of the endpoint, defaults to PROMETHEUS_PORT
+   * @param {string} options.prefix the prefix of the names of the metrics, defaults to steam_locomotive_
+   * @param {number} options.lingerSeconds how long in seconds the endpoint stays up once the simulation has
+   *   finished, defaults to PROMETHEUS_LINGER_SECONDS
+   */
+  constructor(name, stream, log, options = {}) {
+    super(name, stream, log);
+    this.port = _.isUndefined(options.port) ? constants.PROMETHEUS_PORT : options.port;
+    this.prefix = _.isUndefined(options.prefix) ? 'steam_locomotive_' : options.prefix;
+    this.lingerSeconds = _.isUndefined(options.lingerSeconds) ? constants.PROMETHEUS_LINGER_SECONDS :
+      options.lingerSeconds;
+
+    // the metrics, by name, each one having its help, its type and its samples (the values by labels)
+    this.metrics = new Map();
+
+    this.endpoint = getEndpoint(this.port, log);
+    this.endpoint.sinks.add(this);
+  }
+
+  /**
+   * Sets the value of a sample of a metric.
+   *
+   * @param {string} name the name of the metric, without the prefix
+   * @param {string} type the type of the metric: gauge or counter
+   * @param {string} help the description of the metric
+   * @param {Object} labels the labels of the sample
+   * @param {Function} getValue the function returning the new value of the sample, given the current one
+   *   (undefined if there is none)
+   */
+  setSample(name, type, help, labels, getValue) {
+    const metricName = this.prefix + _.snakeCase(name);
+    if (!this.metrics.has(metricName)) {
+      this.metrics.set(metricName, { help, type, samples: new Map() });
+    }
+    const { samples } = this.metrics.get(metricName);
+    const labelSet = _.map(labels, (value, key) => `${key}="${escapeLabelValue(value)}"`).join(',');
+    samples.set(labelSet, getValue(samples.get(labelSet)));
+  }
+
+  /**
+   * Updates the metrics with a data object.
+   *
+   * @param {Object} data the data to write
+   */
+  write(data) {
+    const locomotive = data.locomotiveId || constants.LOCOMOTIVE_ID;
+    if (this.stream === 'timeSeries') {
+      this.setSample('simulatedTimeSeconds', 'gauge', 'The simulated time of the last state in seconds.',
+        { locomotive }, () => data.time);
+      _.forOwn(TelemetrySink.getFields(data), (value, name) => {
+        if (_.isFinite(value) || _.isBoolean(value)) {
+          this.setSample(name, 'gauge', `The ${name} value of the last state.`, { locomotive }, () => Number(value));
+        }
+      });
+      return;
+    }
+
+    const labels = { locomotive, key: data.key };
+    this.setSample('assetDataTotal', 'counter', 'The number of asset data objects sent.', labels,
+      value => (value || 0) + 1);
+    if (_.isFinite(data.val)) {
+      this.setSample('assetValue', 'gauge', 'The value of the last asset data object sent.', labels, () => data.val);
+    }
+  }
+
+  /**
+   * Stops exposing the metrics of the sink once the linger time is over, and stops the endpoint if it has no
+   * other sinks.
+   *
+   * @returns {Object} a Promise which will resolve once the sink is closed
+   */
+  close() {
+    if (this.lingerSeconds > 0) {
+      this.logger.logInfo(`the ${this.stream} metrics of sink ${this.name} stay exposed for ${this.lingerSeconds} s`);
+    }
+    return Promise.delay(this.lingerSeconds * 1000).then(() => {
+      this.endpoint.sinks.delete(this);
+      if (this.endpoint.sinks.size !== 0) {
+        return undefined;
+      }
+      endpoints.delete(this.port);
+      if (!this.endpoint.server.listening) {
+        // the endpoint failed to start (ex: the port is in use)
+        return undefined;
+      }
+      return Promise.fromCallback(callback => this.endpoint.server.close(callback));
+    });
+  }
+
+};
@@ -0,0 +1,186 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the SinkConfig class, which tells which sinks receive the simulator data in a run,
+ * and creates them. The sinks are loaded from a JSON or YAML file, which has a list of sinks, each one having:
+ * - type: the type of the sink, one of:
+ *   - predix: the Predix time series and asset services
+ *   - local: the local files of the local mode (refer to local_file_service.js)
+ *   - csv: a CSV file for each stream (refer to csv_sink.js)
+ *   - ndjson: a newline delimited JSON file for each stream (refer to ndjson_sink.js)
+ *   - influx: an InfluxDB line protocol file for each stream (refer to influx_line_protocol_sink.js)
+ *   - prometheus: a Prometheus metrics endpoint (refer to prometheus_sink.js)
+ * - name: the name of the sink, which starts the names of its files (defaults to its type). Names must be unique.
+ * - streams: the streams the sink receives, timeSeries and/or asset (defaults to both)
+ * - the options of the sink type (ex: the dir of the file sinks, or the port of the prometheus sinks). The
+ *   options of the predix sink are the options of the time series service (timeSeries, ex: compress).
+ *
+ * Each stream of the simulator is dispatched to all of its sinks (refer to Simulator.sendDataToPredix). In local
+ * mode, the predix sink writes to the local files instead.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const yaml = require('js-yaml');
+const LocalFileService = require('../services/local_file_service');
+const TelemetrySink = require('./telemetry_sink');
+const CsvSink = require('./csv_sink');
+const NdjsonSink = require('./ndjson_sink');
+const InfluxLineProtocolSink = require('./influx_line_protocol_sink');
+const PrometheusSink = require('./prometheus_sink');
+const constants = require('../../config/simulator_constants');
+
+/**
+ * The file of the default sinks.
+ * @private
+ */
+const DEFAULT_SINKS_FILE = path.join(__dirname, '../../config/sinks/default_sinks.yml');
+
+/**
+ * The classes of the sinks, by type (the predix and local sinks are the services).
+ * @private
+ */
+const sinkClasses = {
+  csv: CsvSink,
+  ndjson: NdjsonSink,
+  influx: InfluxLineProtocolSink,
+  prometheus: PrometheusSink,
+};
+
+/**
+ * The types of the sinks.
+ * @private
+ */
+const sinkTypes = ['predix', 'local', ..._.keys(sinkClasses)];
+
+/**
+ * This class describes the sinks of a run.
+ */
+module.exports = class SinkConfig {
+
+  /**
+   * Constructs a new instance of this class.
+   *
+   * @param {Object} config the sinks configuration
+   * @param {Array} config.sinks the sinks
+   * @throws {Error} if a sink is invalid (ex: unknown type or stream, duplicate name)
+   */
+  constructor(config) {
+    const streams = TelemetrySink.getStreams();
+    this.sinks = _.map(_.get(config, 'sinks'), (sink, index) => {
+      if (sinkTypes.indexOf(_.get(sink, 'type')) === -1) {
+        throw new Error(`Sink ${index} must have a type, one of ${sinkTypes}`);
+      }
+      const res = { name: sink.type, streams, ...sink };
+      if (!_.isArray(res.streams) || _.isEmpty(res.streams) || !_.isEmpty(_.difference(res.streams, streams))) {
+        throw new Error(`Sink ${res.name} must have streams, some of ${streams}`);
+      }
+      if (!/^[A-Za-z0-9_-]+$/.test(res.name)) {
+        throw new Error(`Sink ${index} must have a name made of letters, digits, underscores and dashes`);
+      }
+      return res;
+    });
+
+    if (_.isEmpty(this.sinks)) {
+      throw new Error('There must be at least one sink');
+    }
+    const duplicateNames = _.filter(_.map(this.sinks, 'name'), (name, index, names) => names.indexOf(name) !== index);
+    if (!_.isEmpty(duplicateNames)) {
+      throw new Error(`Sink names must be unique, duplicates: ${_.uniq(duplicateNames)}`);
+    }
+    _.forEach(['predix', 'local'], (type) => {
+      if (_.filter(this.sinks, { type }).length > 1) {
+        throw new Error(`There must be at most one ${type} sink`);
+      }
+    });
+    const ports = _.map(_.filter(this.sinks, { type: 'prometheus' }), sink => sink.port || constants.PROMETHEUS_PORT);
+    if (_.uniq(ports).length !== ports.length) {
+      throw new Error('The prometheus sinks must have different ports');
+    }
+  }
+
+  /**
+   * Loads sinks from a JSON or YAML file (files ending with .yml or .yaml are read as YAML).
+   *
+   * @param {string} file the sinks file
+   * @returns {Object} the sinks
+   */
+  static load(file) {
+    const content = fs.readFileSync(file, 'utf8');
+    const isYaml = /\.ya?ml$/i.test(file);
+    return new SinkConfig(isYaml ? yaml.safeLoad(content) : JSON.parse(content));
+  }
+
+  /**
+   * Gets the default sinks (Predix only), from config/sinks/default_sinks.yml.
+   *
+   * @returns {Object} the default sinks
+   */
+  static getDefault() {
+    return SinkConfig.load(DEFAULT_SINKS_FILE);
+  }
+
+  /**
+   * Determines whether the data is sent to Predix.
+   *
+   * @returns {boolean} true if there is a predix sink
+   */
+  usesPredix() {
+    return _.some(this.sinks, { type: 'predix' });
+  }
+
+  /**
+   * Gets the options of the predix sink (ex: the timeSeries options, which are options of the time series service,
+   * refer to time_series_service.js).
+   *
+   * @returns {Object} the options, empty if there is no predix sink
+   */
+  getPredixOptions() {
+    return _.omit(_.find(this.sinks, { type: 'predix' }), ['type', 'name', 'streams']);
+  }
+
+  /**
+   * Creates the sinks.
+   *
+   * @param {Object} log the logger
+   * @param {Object} predixServices the Predix services, timeSeries and asset, which are the predix sink. The predix
+   *   sink writes to the local files if omitted (e.g. in local mode).
+   * @returns {Object} the sinks of each stream (timeSeries and asset), in the order of the configuration
+   */
+  createSinks(log, predixServices) {
+    const res = _.zipObject(TelemetrySink.getStreams(), _.map(TelemetrySink.getStreams(), () => []));
+
+    // the predix sink and the local sink share the same local files in local mode
+    let localServices;
+    const getLocalServices = () => {
+      localServices = localServices || {
+        timeSeries: new LocalFileService('time_series', log),
+        asset: new LocalFileService('asset', log),
+      };
+      return localServices;
+    };
+
+    _.forEach(this.sinks, (sink) => {
+      const { type, name, streams, ...options } = sink;
+      _.forEach(streams, (stream) => {
+        let instance;
+        if (type === 'predix' && !_.isUndefined(predixServices)) {
+          instance = predixServices[stream];
+        } else if (type === 'predix' || type === 'local') {
+          instance = getLocalServices()[stream];
+        } else {
+          instance = new sinkClasses[type](name, stream, log, options);
+        }
+        if (res[stream].indexOf(instance) === -1) {
+          res[stream].push(instance);
+        }
+      });
+    });
+    return res;
+  }
+
+};
@@ -0,0 +1,174 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the TelemetrySink class, the base class of the sinks which receive the simulator
+ * data next to Predix (refer to sink_config.js), so the same simulation can feed other tools.
+ *
+ * The simulator dispatches each data object to the sinks of its stream: timeSeries (the states) or asset
+ * (the alerts, events and anomalies). A sink has the same interface as the Predix services and the local
+ * file service:
+ * - sendDataToPredix(data): receives a data object, and returns a Promise
+ * - publishAssetModel(definitions) (optional): receives the asset model (refer to asset_model.js)
+ * - getStatistics() (optional): the numbers of data objects queued, acknowledged and given up (deadLettered)
+ * - getTotalRequestsSent() (optional): the number of data objects sent
+ * - isFinished() (optional): whether all the data received has been handled
+ * - close() (optional): releases the resources of the sink (ex: a server) once the simulation has finished
+ *
+ * The subclasses implement write(data), which sendDataToPredix calls for each data object.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const Promise = require('bluebird');
+const _ = require('lodash');
+const constants = require('../../config/simulator_constants');
+
+/**
+ * The names of the files of the streams, by stream.
+ * @private
+ */
+const streamFileNames = {
+  timeSeries: 'time_series',
+  asset: 'asset',
+};
+
+/**
+ * This class is the base class of the sinks.
+ */
+module.exports = class TelemetrySink {
+
+  /**
+   * Constructs a new instance of this class.
+   *
+   * @param {string} name the name of the sink, which tells it apart in the logs and the trip report
+   * @param {string} stream the stream the sink receives: timeSeries or asset
+   * @param {Object} log the logger
+   */
+  constructor(name, stream, log) {
+    this.name = name;
+    this.stream = stream;
+    this.logger = log;
+    this.totQueued = 0;
+    this.totSent = 0;
+  }
+
+  /**
+   * Gets the streams the sinks can receive.
+   *
+   * @returns {Array} the streams
+   */
+  static getStreams() {
+    return _.keys(streamFileNames);
+  }
+
+  /**
+   * Gets the path of a file written by a sink, for a stream (ex: ./output/csv_time_series.csv). The directory is
+   * created if it doesn't exist, and an existing file with the same path is deleted.
+   *
+   * @param {string} name the name of the sink
+   * @param {string} stream the stream
+   * @param {string} extension the extension of the file (ex: csv)
+   * @param {string} outputDir the directory of the file, defaults to LOCAL_OUTPUT_DIR
+   * @returns {string} the path of the file
+   */
+  static prepareFile(name, stream, extension, outputDir = constants.LOCAL_OUTPUT_DIR) {
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir);
+    }
+    const file = `${outputDir}/${name}_${streamFileNames[stream]}.${extension}`;
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+    return file;
+  }
+
+  /**
+   * Gets the values of a data object which can be written as fields (ex: the speed of a state, or the val of an
+   * alert): its numbers, flags and strings, except its time and locomotiveId. The values of the ground truth are
+   * prefixed with GROUND_TRUTH_TAG_PREFIX, and the other objects (ex: the faults of an anomaly) are written as JSON.
+   *
+   * @param {Object} data the data object
+   * @returns {Object} the values, by name
+   */
+  static getFields(data) {
+    const fields = {};
+    _.forOwn(_.omit(data, ['time', 'locomotiveId', 'groundTruth']), (value, name) => {
+      if (_.isFinite(value) || _.isBoolean(value) || _.isString(value)) {
+        fields[name] = value;
+      } else if (_.isObject(value)) {
+        fields[name] = JSON.stringify(value);
+      }
+    });
+    _.forOwn(data.groundTruth, (value, name) => {
+      if (_.isFinite(value) || _.isBoolean(value)) {
+        fields[constants.GROUND_TRUTH_TAG_PREFIX + name] = value;
+      }
+    });
+    return fields;
+  }
+
+  /**
+   * Sends the data to the sink.
+   *
+   * @param {Object} data the data to send
+   * @returns {Object} a Promise which will resolve once data has been written
+   */
+  sendDataToPredix(data) {
+    return Promise.try(() => {
+      ++this.totQueued;
+      this.write(data);
+      ++this.totSent;
+      return 'data written';
+    });
+  }
+
+  /**
+   * Writes a data object. Implemented by the subclasses.
+   *
+   * @param {Object} data the data to write
+   * @throws {Error} if the subclass doesn't implement it
+   */
+  write() {
+    throw new Error(`${this.constructor.name} must implement write(data)`);
+  }
+
+  /**
+   * Gets the total number of data objects written.
+   *
+   * @returns {number} the total number of data objects written
+   */
+  getTotalRequestsSent() {
+    return this.totSent;
+  }
+
+  /**
+   * Gets the number of data objects received, and the number written. None is given up.
+   *
+   * @returns {Object} the statistics, having the queued, acknowledged and deadLettered numbers
+   */
+  getStatistics() {
+    return { queued: this.totQueued, acknowledged: this.totSent, deadLettered: 0 };
+  }
+
+  /**
+   * Determines whether the sink has finished writing all data. Data is written synchronously, so this is always
+   * true.
+   *
+   * @returns {boolean} flag indicating whether the sink has finished
+   */
+  isFinished() {
+    return true;
+  }
+
+  /**
+   * Releases the resources of the sink. Nothing to release by default.
+   *
+   * @returns {Object} a Promise which will resolve once the sink is closed
+   */
+  close() {
+    return Promise.resolve();
+  }
+
+};
@@ -14,7 +14,8 @@
 const fs = require('fs');
 const readlineSync = require('readline-sync');
 const _ = require('lodash');
-const Helper = require('../common/helper');
+const TokenManager = require('../common/token_manager');
+const AssetModel = require('../services/asset_model');
 const jsonfile = require('jsonfile');
 const request = require('superagent');
 const constants = require('../../config/simulator_constants');
@@ -96,6 +97,53 @@ const getAssetData = async (assetName) => {
   }
 };
 
+/**
+ * Gets the asset model (the asset definitions of the locomotives and their components) published to
+ * Predix asset service by the simulator, and writes it to an output file as a json object.
+ *
+ * @returns {boolean} flag indicating whether method succeeded
+ */
+const getAssetModel = async () => {
+  try {
+    const collections = await Promise.all(AssetModel.types.map((type) => {
+      const assetUrl = predixConfig.asset_service_url + type;
+      logMsg(`assetUrl = ${assetUrl}`);
+
+      // build GET request to fetch the definitions of the collection
+      const assetReq = request.get(assetUrl);
+      if (!_.isUndefined(assetReq.proxy)) {
+        logMsg(`using proxy: ${process.env.http_proxy}`);
+        assetReq.proxy(process.env.http_proxy);
+      }
+      return assetReq
+        .set('Authorization', 'Bearer ' + token)
+        .set('predix-zone-id', predixConfig.asset_service_instance_guid);
+    }));
+
+    // the locomotive collection also has the alerts, which are not definitions
+    const model = _.zipObject(AssetModel.types,
+      collections.map((res, index) => _.filter(res.body, { type: AssetModel.types[index] })));
+
+    // write the data to the output file
+    const outputFile = constants.LOGS_DIR + '/asset_model.log';
+    logMsg(`writing asset model to ${outputFile}`);
+    jsonfile.writeFileSync(outputFile, model, { spaces: 2 });
+    logMsg('\n');
+    logMsg(`Asset model written successfully to ${outputFile}.\n${model.locomotive.length} locomotives were written.`);
+    if (model.locomotive.length === 0) {
+      logMsg('Make sure you have run the simulator to generate data.');
+    }
+
+    readlineSync.question('\nPress enter to continue...');
+
+    return true; // success
+  } catch (err) {
+    // request failed!!
+    logMsg('Could not get asset model: ', err);
+    return false; // failure
+  }
+};
+
 /**
  * Gets messages sent to Predix time series service and
  * writes the messages to an output file as a json object.
@@ -194,14 +242,11 @@ const runVerification = async () => {
     logMsg('               Predix Verification Utility             ');
     logMsg('-------------------------------------------------------');
 
-    // get token to use with predix services
+    // get token to use with predix services, which fails with the reason if it can't be got (ex: UAA rejected the
+    // client credentials)
     logMsg('getting token to use with predix services...');
-    token = await Helper.getPredixToken(predixConfig.uaa_url, predixConfig.client_id, predixConfig.client_secret);
-    if (token === 'no_token') {
-      logMsg('Unable to get Predix token.\nMake sure your internet connection is working, and view the ' +
-        `${constants.LOGS_DIR}/${constants.VERIFICATION_LOGFILE_NAME} for more details on the error.`);
-      return;
-    }
+    const tokenManager = new TokenManager(predixConfig, logger);
+    token = await tokenManager.getToken();
 
     let choice;
     for (; ;) {
@@ -210,13 +255,23 @@ const runVerification = async () => {
       logMsg(' 2) Get asset service messages sent by simulator for speed');
       logMsg(' 3) Get asset service messages sent by simulator for pressure');
       logMsg(' 4) Get asset service messages sent by simulator for fuelMassInTender');
-      logMsg(' 5) Quit');
+      logMsg(' 5) Get asset service messages sent by simulator for speedLimit');
+      logMsg(' 6) Get asset service messages sent by simulator for waterLevel');
+      logMsg(' 7) Get asset service messages sent by simulator for waterMassInTender');
+      logMsg(' 8) Get asset service messages sent by simulator for refuel');
+      logMsg(' 9) Get asset model published by simulator');
+      logMsg(' 10) Get asset service messages sent by simulator for anomaly');
+      logMsg(' 11) Get asset service messages sent by simulator for fuelRange');
+      logMsg(' 12) Quit');
       logMsg('\n');
 
       let result = true;
       choice = 'none';
       choice = readlineSync.question('Please enter the number of the option you wish to perform: ');
       choice = choice.trim();
+
+      // the token is renewed when it is about to expire
+      token = await tokenManager.getToken(); // eslint-disable-line
       switch (choice) {
         case '1':
           result = await getTimeSeriesData(); // eslint-disable-line
@@ -231,6 +286,27 @@ const runVerification = async () => {
           result = await getAssetData('fuelMassInTender'); // eslint-disable-line
           break;
         case '5':
+          result = await getAssetData('speedLimit'); // eslint-disable-line
+          break;
+        case '6':
+          result = await getAssetData('waterLevel'); // eslint-disable-line
+          break;
+        case '7':
+          result = await getAssetData('waterMassInTender'); // eslint-disable-line
+          break;
+        case '8':
+          result = await getAssetData('refuel'); // eslint-disable-line
+          break;
+        case '9':
+          result = await getAssetModel(); // eslint-disable-line
+          break;
+        case '10':
+          result = await getAssetData('anomaly'); // eslint-disable-line
+          break;
+        case '11':
+          result = await getAssetData('fuelRange'); // eslint-disable-line
+          break;
+        case '12':
           logMsg('Goodbye');
           return;
         default:
@@ -254,7 +330,7 @@ if (!fs.existsSync('./config/predix_config.json')) {
   logMsg('The ./config/predix_config.json file was not found. You must run "npm run setup" before running ' +
     'the verification utility');
   logMsg('--------------------------');
-  Helper.exitProcess(1);
+  process.exit(1);
 }
 
 // load the config file
@@ -0,0 +1,92 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * The tests of the DurableQueue class (src/common/durable_queue.js). A crash is simulated by dropping a queue
+ * without closing it and opening a new queue on the same journal, as the next run of the process would.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const DurableQueue = require('../../src/common/durable_queue');
+const { logger, createTempDir, removeTempDir } = require('../helper');
+
+describe('DurableQueue', () => {
+  let queueDir;
+
+  /**
+   * Creates a node of the queue.
+   *
+   * @param {number} index the index of the node, which gives its key and data
+   * @returns {Object} the node
+   */
+  const createNode = index => ({ key: `key${index}`, data: { time: index } });
+
+  beforeEach(() => {
+    queueDir = createTempDir();
+  });
+
+  afterEach(() => {
+    removeTempDir(queueDir);
+  });
+
+  it('restores the nodes still queued after a crash, in order', () => {
+    const queue = new DurableQueue('test', logger, queueDir);
+    [1, 2, 3, 4].forEach(index => queue.push(createNode(index)));
+    queue.remove(['key1', 'key3']);
+
+    const restored = new DurableQueue('test', logger, queueDir);
+    expect(restored.getAll()).to.deep.equal([createNode(2), createNode(4)]);
+  });
+
+  it('keeps the queues of different names apart', () => {
+    new DurableQueue('a', logger, queueDir).push(createNode(1));
+    new DurableQueue('b', logger, queueDir).push(createNode(2));
+    expect(new DurableQueue('a', logger, queueDir).getAll()).to.deep.equal([createNode(1)]);
+  });
+
+  it('skips a record cut short by a crash', () => {
+    const queue = new DurableQueue('test', logger, queueDir);
+    queue.push(createNode(1));
+    queue.push(createNode(2));
+    fs.appendFileSync(queue.file, '{"op":"push","node":{"key":"key3","da');
+
+    const restored = new DurableQueue('test', logger, queueDir);
+    expect(restored.getAll()).to.deep.equal([createNode(1), createNode(2)]);
+  });
+
+  it('never restores a removed node, even if it was pushed again', () => {
+    fs.writeFileSync(path.join(queueDir, 'test.journal'), [
+      { op: 'push', node: createNode(1) },
+      { op: 'remove', keys: ['key1'] },
+      { op: 'push', node: createNode(1) },
+      { op: 'push', node: createNode(2) },
+    ].map(record => JSON.stringify(record) + '\n').join(''));
+
+    expect(new DurableQueue('test', logger, queueDir).getAll()).to.deep.equal([createNode(2)]);
+  });
+
+  it('compacts the journal when it is loaded, and empties it when the queue is empty', () => {
+    const queue = new DurableQueue('test', logger, queueDir);
+    [1, 2, 3].forEach(index => queue.push(createNode(index)));
+    queue.remove(['key1']);
+
+    const restored = new DurableQueue('test', logger, queueDir);
+    expect(fs.readFileSync(restored.file, 'utf8').trim().split('\n')).to.have.lengthOf(2);
+
+    restored.clear();
+    expect(fs.readFileSync(restored.file, 'utf8')).to.equal('');
+    expect(new DurableQueue('test', logger, queueDir).length).to.equal(0);
+  });
+
+  it('peeks at the first nodes, skipping the excluded keys', () => {
+    const queue = new DurableQueue('test', logger, queueDir);
+    [1, 2, 3, 4].forEach(index => queue.push(createNode(index)));
+    expect(queue.peek(2)).to.deep.equal([createNode(1), createNode(2)]);
+    expect(queue.peek(2, new Set(['key1', 'key3']))).to.deep.equal([createNode(2), createNode(4)]);
+    expect(queue.length).to.equal(4);
+  });
+});
@@ -0,0 +1,67 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * The tests of the RateLimiter class (src/common/rate_limiter.js). The clock is stubbed, so the tests don't wait.
+ */
+
+'use strict';
+
+const { expect } = require('chai');
+const RateLimiter = require('../../src/common/rate_limiter');
+
+describe('RateLimiter', () => {
+  const realNow = Date.now;
+  let now;
+
+  beforeEach(() => {
+    now = realNow();
+    Date.now = () => now;
+  });
+
+  afterEach(() => {
+    Date.now = realNow;
+  });
+
+  it('does not limit anything without a rate', () => {
+    const limiter = new RateLimiter();
+    expect(limiter.isLimited()).to.equal(false);
+    expect(limiter.tryTake(1e9)).to.equal(0);
+  });
+
+  it('allows the burst at once, then the amount the rate has refilled', () => {
+    const limiter = new RateLimiter({ ratePerSecond: 100, burst: 200 });
+    expect(limiter.isLimited()).to.equal(true);
+    expect(limiter.tryTake(150)).to.equal(0);
+    expect(limiter.tryTake(50)).to.equal(0);
+
+    // the bucket is empty, and refills at 100 per second
+    expect(limiter.tryTake(50)).to.equal(500);
+    now += 250;
+    expect(limiter.tryTake(50)).to.equal(250);
+    now += 250;
+    expect(limiter.tryTake(50)).to.equal(0);
+  });
+
+  it('does not fill the bucket beyond the burst', () => {
+    const limiter = new RateLimiter({ ratePerSecond: 10 });
+    now += 60 * 1000;
+    expect(limiter.tryTake(10)).to.equal(0);
+    expect(limiter.tryTake(1)).to.equal(100);
+  });
+
+  it('allows an amount above the burst once the bucket is full, and has it paid back', () => {
+    const limiter = new RateLimiter({ ratePerSecond: 100, burst: 100 });
+    expect(limiter.tryTake(300)).to.equal(0);
+
+    // the bucket is at -200, so the next amount waits for it to refill
+    expect(limiter.tryTake(100)).to.equal(3000);
+    now += 3000;
+    expect(limiter.tryTake(100)).to.equal(0);
+  });
+
+  it('rejects invalid options', () => {
+    expect(() => new RateLimiter({ ratePerSecond: -1 })).to.throw(Error, /rate of 0 or more/);
+    expect(() => new RateLimiter({ ratePerSecond: 10, burst: 0 })).to.throw(Error, /burst greater than 0/);
+  });
+});
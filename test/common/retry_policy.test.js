@@ -0,0 +1,67 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * The tests of the RetryPolicy class (src/common/retry_policy.js).
+ */
+
+'use strict';
+
+const { expect } = require('chai');
+const RetryPolicy = require('../../src/common/retry_policy');
+
+describe('RetryPolicy', () => {
+  const realRandom = Math.random;
+
+  afterEach(() => {
+    Math.random = realRandom;
+  });
+
+  describe('getWaitMs', () => {
+    it('doubles the wait at each attempt up to the maximum wait', () => {
+      const policy = new RetryPolicy({ initialWaitSeconds: 1, maxWaitSeconds: 10, multiplier: 2, jitter: 0 });
+      expect([1, 2, 3, 4, 5, 6].map(numAttempts => policy.getWaitMs(numAttempts)))
+        .to.deep.equal([1000, 2000, 4000, 8000, 10000, 10000]);
+    });
+
+    it('takes a random part of the wait off, up to the jitter', () => {
+      const policy = new RetryPolicy({ initialWaitSeconds: 1, maxWaitSeconds: 10, multiplier: 2, jitter: 0.5 });
+      Math.random = () => 0;
+      expect(policy.getWaitMs(3)).to.equal(4000);
+      Math.random = () => 0.5;
+      expect(policy.getWaitMs(3)).to.equal(3000);
+      Math.random = () => 0.999999;
+      expect(policy.getWaitMs(3)).to.be.within(2000, 2001);
+    });
+  });
+
+  describe('shouldRetry', () => {
+    const policy = new RetryPolicy({ maxAttempts: 3 });
+
+    it('retries transient failures until the maximum number of attempts', () => {
+      expect(policy.shouldRetry(undefined, 1)).to.equal(true);
+      expect(policy.shouldRetry(503, 2)).to.equal(true);
+      expect(policy.shouldRetry(503, 3)).to.equal(false);
+    });
+
+    it('retries the 401, 403, 408 and 429 client errors', () => {
+      [401, 403, 408, 429].forEach(status => expect(policy.shouldRetry(status, 1)).to.equal(true));
+    });
+
+    it('does not retry the other client errors', () => {
+      [400, 404, 413].forEach(status => expect(policy.shouldRetry(status, 1)).to.equal(false));
+    });
+  });
+
+  it('tells the auth failures apart', () => {
+    expect(RetryPolicy.isAuthFailure(401)).to.equal(true);
+    expect(RetryPolicy.isAuthFailure(403)).to.equal(true);
+    expect(RetryPolicy.isAuthFailure(500)).to.equal(false);
+  });
+
+  it('rejects invalid options', () => {
+    expect(() => new RetryPolicy({ jitter: 2 })).to.throw(Error);
+    expect(() => new RetryPolicy({ initialWaitSeconds: 10, maxWaitSeconds: 1 })).to.throw(Error);
+    expect(() => new RetryPolicy({ maxAttempts: 0 })).to.throw(Error);
+  });
+});
@@ -0,0 +1,111 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * The tests of the TokenManager class (src/common/token_manager.js), against a local UAA server.
+ */
+
+'use strict';
+
+const http = require('http');
+const { expect } = require('chai');
+const TokenManager = require('../../src/common/token_manager');
+const { logger } = require('../helper');
+
+describe('TokenManager', () => {
+  let server;
+  let predixConfig;
+  let uaa;
+  const realNow = Date.now;
+
+  before((done) => {
+    // the UAA server answers the token requests with the status and expiry set by each test
+    server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        uaa.numRequests += 1;
+        res.writeHead(uaa.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(uaa.status === 200 ?
+          { access_token: `token${uaa.numRequests}`, expires_in: uaa.expiresIn } : { error: 'unauthorized' }));
+      });
+    });
+    server.listen(0, () => {
+      predixConfig = {
+        uaa_url: `http://localhost:${server.address().port}/uaa`,
+        client_id: 'client',
+        client_secret: 'secret',
+      };
+      done();
+    });
+  });
+
+  after((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    uaa = { status: 200, expiresIn: 3600, numRequests: 0 };
+  });
+
+  afterEach(() => {
+    Date.now = realNow;
+  });
+
+  it('caches the token until it is about to expire', async () => {
+    const manager = new TokenManager(predixConfig, logger, 60);
+    expect(await manager.getToken()).to.equal('token1');
+    expect(await manager.getToken()).to.equal('token1');
+    expect(uaa.numRequests).to.equal(1);
+
+    // 59 minutes later, the token still has 60 seconds to go
+    const startTime = realNow();
+    Date.now = () => startTime + ((3600 - 61) * 1000);
+    expect(await manager.getToken()).to.equal('token1');
+
+    // a second later, it is renewed
+    Date.now = () => startTime + ((3600 - 59) * 1000);
+    expect(await manager.getToken()).to.equal('token2');
+    expect(uaa.numRequests).to.equal(2);
+  });
+
+  it('shares the request of concurrent calls', async () => {
+    const manager = new TokenManager(predixConfig, logger);
+    const tokens = await Promise.all([manager.getToken(), manager.getToken(), manager.getToken()]);
+    expect(tokens).to.deep.equal(['token1', 'token1', 'token1']);
+    expect(uaa.numRequests).to.equal(1);
+  });
+
+  it('requests a new token once the token is invalidated', async () => {
+    const manager = new TokenManager(predixConfig, logger);
+    expect(await manager.getToken()).to.equal('token1');
+    manager.invalidate();
+    expect(await manager.getToken()).to.equal('token2');
+  });
+
+  it('fails with an auth failure and emits a failure event when UAA rejects the credentials', async () => {
+    uaa.status = 401;
+    const manager = new TokenManager(predixConfig, logger);
+    const failures = [];
+    manager.on('failure', e => failures.push(e));
+
+    const err = await manager.getToken().then(() => undefined, e => e);
+    expect(err).to.be.an('error');
+    expect(err.status).to.equal(401);
+    expect(err.isAuthFailure).to.equal(true);
+    expect(failures).to.deep.equal([err]);
+  });
+
+  it('tries again on the next call after a transient failure', async () => {
+    uaa.status = 500;
+    const manager = new TokenManager(predixConfig, logger);
+    const failures = [];
+    manager.on('failure', e => failures.push(e));
+
+    const err = await manager.getToken().then(() => undefined, e => e);
+    expect(err.isAuthFailure).to.equal(false);
+    expect(failures).to.have.lengthOf(0);
+
+    uaa.status = 200;
+    expect(await manager.getToken()).to.equal('token2');
+  });
+});
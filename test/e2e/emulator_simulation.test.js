@@ -0,0 +1,141 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * The end to end tests of the simulator against the local Predix emulator (src/emulator/predix_emulator.js): a short
+ * simulation is sent to the emulator by the time series and asset services, and the data is read back with the
+ * queries the verification utility uses. The queue journals and dead letter files are written to a temporary
+ * directory.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const request = require('superagent');
+const { expect } = require('chai');
+const Helper = require('../../src/common/helper');
+const TokenManager = require('../../src/common/token_manager');
+const RetryPolicy = require('../../src/common/retry_policy');
+const PredixEmulator = require('../../src/emulator/predix_emulator');
+const TimeSeriesService = require('../../src/services/time_series_service');
+const AssetService = require('../../src/services/asset_service');
+const Simulator = require('../../src/simulator/simulator');
+const AlertRules = require('../../src/simulator/alert_rules');
+const { logger, createTempDir, removeTempDir, waitFor } = require('../helper');
+
+describe('Simulation against the Predix emulator', () => {
+  const cwd = process.cwd();
+  let workDir;
+  let emulator;
+  let predixConfig;
+  let tokenManager;
+
+  /**
+   * Gets the data points of tags from the emulator.
+   *
+   * @param {Array} names the names of the tags
+   * @returns {Object} a Promise which will resolve to the data points of each tag, by name
+   */
+  const queryDatapoints = async (names) => {
+    const res = await request.post(predixConfig.time_series_url + 'datapoints')
+      .set('Authorization', 'Bearer ' + await tokenManager.getToken())
+      .set('predix-zone-id', predixConfig.time_series_service_instance_guid)
+      .send({ start: '5000y-ago', tags: names.map(name => ({ name })) });
+    return _.fromPairs(res.body.tags.map(tag => [tag.name, tag.results[0].values]));
+  };
+
+  /**
+   * Gets the locomotive records of the emulator asset service.
+   *
+   * @param {string} filter the filter of the records (ex: name=speed)
+   * @returns {Object} a Promise which will resolve to the records
+   */
+  const findAssets = async (filter) => {
+    const res = await request.get(predixConfig.asset_service_url + 'locomotive')
+      .query({ filter })
+      .set('Authorization', 'Bearer ' + await tokenManager.getToken())
+      .set('predix-zone-id', predixConfig.asset_service_instance_guid);
+    return res.body;
+  };
+
+  before(async () => {
+    // the queues are journaled to ./queue
+    workDir = createTempDir();
+    process.chdir(workDir);
+    Helper.setLogger(logger);
+
+    emulator = new PredixEmulator(logger, { port: 0 });
+    await emulator.start();
+    predixConfig = emulator.getPredixConfig();
+    tokenManager = new TokenManager(predixConfig, logger);
+  });
+
+  after(async () => {
+    await emulator.stop();
+    process.chdir(cwd);
+    removeTempDir(workDir);
+  });
+
+  it('ingests the states and the alarms of a simulation, which are all acknowledged', async () => {
+    const timeSeries = new TimeSeriesService(tokenManager, logger, { predixConfig, lingerMs: 50 });
+    const asset = new AssetService(tokenManager, logger, { predixConfig });
+    const simulator = new Simulator({
+      sinks: { timeSeries, asset },
+      constants: { SEND_INTERVAL: 1 },
+      alertRules: new AlertRules({
+        rules: [{ name: 'speed', expression: 'speed', operator: '>', threshold: 1, message: 'Speed of {{value}} m/s' }],
+      }),
+      logger,
+    });
+    await simulator.run(300);
+    await waitFor(() => timeSeries.isFinished() && asset.isFinished());
+
+    // a state was sent every second of the 30 seconds simulated
+    const numStates = simulator.history.timeSeries.numSends;
+    expect(numStates).to.equal(30);
+    expect(timeSeries.getStatistics()).to.deep.equal({ queued: numStates, acknowledged: numStates, deadLettered: 0 });
+    expect(timeSeries.queue.length).to.equal(0);
+    expect(timeSeries.deadLetterFile.read()).to.have.lengthOf(0);
+
+    const datapoints = await queryDatapoints(['distance', 'speed']);
+    expect(datapoints.distance).to.have.lengthOf(numStates);
+    expect(datapoints.speed).to.have.lengthOf(numStates);
+    expect(_.map(datapoints.speed, 2)).to.satisfy(qualities => _.every(qualities, quality => quality === 3));
+
+    // the speed alarm was raised once, and its updates kept its uri
+    const numAlarmSends = simulator.alertStatus.speed.numSends;
+    expect(numAlarmSends).to.be.above(0);
+    expect(asset.getStatistics()).to.deep.equal({
+      queued: numAlarmSends,
+      acknowledged: numAlarmSends,
+      deadLettered: 0,
+    });
+    const alarms = await findAssets('name=speed');
+    expect(alarms).to.have.lengthOf(1);
+    expect(alarms[0].status).to.equal(numAlarmSends === 1 ? 'raised' : 'ongoing');
+  });
+
+  it('dead-letters the states rejected by the emulator, without retrying them', async () => {
+    const timeSeries = new TimeSeriesService(tokenManager, logger, {
+      predixConfig,
+      queueName: 'rejected_time_series',
+      lingerMs: 0,
+      retryPolicy: new RetryPolicy({ initialWaitSeconds: 0.1, maxWaitSeconds: 0.1 }),
+    });
+
+    // a value which is not a number is sent as null, which the emulator rejects with a 400 status
+    timeSeries.sendDataToPredix({ time: 1000, distance: 10, speed: NaN });
+    await waitFor(() => timeSeries.isFinished());
+
+    expect(timeSeries.getStatistics()).to.deep.equal({ queued: 1, acknowledged: 0, deadLettered: 1 });
+    expect(timeSeries.queue.length).to.equal(0);
+    const deadLetters = timeSeries.deadLetterFile.read();
+    expect(deadLetters).to.have.lengthOf(1);
+    expect(deadLetters[0]).to.include({ status: 400, numAttempts: 1 });
+    expect(deadLetters[0].nodes[0].data).to.include({ time: 1000, distance: 10 });
+
+    // none of the data points of the rejected payload were ingested
+    const datapoints = await queryDatapoints(['distance']);
+    expect(_.map(datapoints.distance, 0)).to.not.include(1000 * 1000);
+  });
+});
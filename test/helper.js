@@ -0,0 +1,62 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * This module contains the helpers shared by the tests.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const _ = require('lodash');
+
+/**
+ * A logger discarding the messages, in the form of the logger of src/common/logger.js.
+ */
+const logger = {
+  logInfo: _.noop,
+  logDebug: _.noop,
+  logError: _.noop,
+};
+
+/**
+ * Creates an empty temporary directory.
+ *
+ * @returns {string} the path of the directory
+ */
+const createTempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'locomotive-test-'));
+
+/**
+ * Deletes a directory created by createTempDir, along with its files.
+ *
+ * @param {string} dir the path of the directory
+ */
+const removeTempDir = (dir) => {
+  fs.rmSync(dir, { recursive: true, force: true });
+};
+
+/**
+ * Waits until a condition holds.
+ *
+ * @param {Function} condition the function returning true once the condition holds
+ * @param {number} timeoutMs how long to wait in ms before failing
+ * @returns {Object} a Promise which will resolve once the condition holds, or reject if it doesn't in time
+ */
+const waitFor = async (condition, timeoutMs = 10000) => {
+  const startTime = Date.now();
+  while (!condition()) {
+    if (Date.now() - startTime > timeoutMs) {
+      throw new Error(`The condition didn't hold within ${timeoutMs} ms`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 20)); // eslint-disable-line
+  }
+};
+
+module.exports = {
+  logger,
+  createTempDir,
+  removeTempDir,
+  waitFor,
+};
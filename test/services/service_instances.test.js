@@ -0,0 +1,139 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * The tests of several instances of the TimeSeriesService and AssetService classes (src/services) in one process,
+ * each one sending to its own zone of the local Predix emulator with its own queue. The queue journals are written
+ * to a temporary directory.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const request = require('superagent');
+const { expect } = require('chai');
+const Helper = require('../../src/common/helper');
+const TokenManager = require('../../src/common/token_manager');
+const PredixEmulator = require('../../src/emulator/predix_emulator');
+const TimeSeriesService = require('../../src/services/time_series_service');
+const AssetService = require('../../src/services/asset_service');
+const { logger, createTempDir, removeTempDir, waitFor } = require('../helper');
+
+describe('Service instances', () => {
+  const cwd = process.cwd();
+  let workDir;
+  let emulator;
+  let tokenManager;
+  let configs;
+
+  /**
+   * Gets the times (in ms) of the distance data points of a time series zone of the emulator.
+   *
+   * @param {Object} predixConfig the Predix configuration of the zone
+   * @returns {Object} a Promise which will resolve to the times
+   */
+  const queryDistanceTimes = async (predixConfig) => {
+    const res = await request.post(predixConfig.time_series_url + 'datapoints')
+      .set('Authorization', 'Bearer ' + await tokenManager.getToken())
+      .set('predix-zone-id', predixConfig.time_series_service_instance_guid)
+      .send({ start: '5000y-ago', tags: [{ name: 'distance' }] });
+    return _.map(_.get(res.body, 'tags[0].results[0].values', []), 0);
+  };
+
+  /**
+   * Gets the names of the locomotive records of an asset zone of the emulator.
+   *
+   * @param {Object} predixConfig the Predix configuration of the zone
+   * @returns {Object} a Promise which will resolve to the names
+   */
+  const findAssetNames = async (predixConfig) => {
+    const res = await request.get(predixConfig.asset_service_url + 'locomotive')
+      .set('Authorization', 'Bearer ' + await tokenManager.getToken())
+      .set('predix-zone-id', predixConfig.asset_service_instance_guid);
+    return _.map(res.body, 'name');
+  };
+
+  before(async () => {
+    // the queues are journaled to ./queue
+    workDir = createTempDir();
+    process.chdir(workDir);
+    Helper.setLogger(logger);
+
+    emulator = new PredixEmulator(logger, { port: 0 });
+    await emulator.start();
+    const predixConfig = emulator.getPredixConfig();
+    tokenManager = new TokenManager(predixConfig, logger);
+    configs = {
+      a: predixConfig,
+      b: { ...predixConfig, time_series_service_instance_guid: 'zone-b', asset_service_instance_guid: 'zone-b' },
+    };
+  });
+
+  after(async () => {
+    await emulator.stop();
+    process.chdir(cwd);
+    removeTempDir(workDir);
+  });
+
+  it('keeps the queue, the state and the Predix configuration of each instance apart', async () => {
+    const timeSeries = _.mapValues(configs, (predixConfig, name) =>
+      new TimeSeriesService(tokenManager, logger, { predixConfig, queueName: `time_series_${name}`, lingerMs: 0 }));
+    const asset = _.mapValues(configs, (predixConfig, name) =>
+      new AssetService(tokenManager, logger, { predixConfig, queueName: `asset_${name}` }));
+
+    timeSeries.a.sendDataToPredix({ time: 1, distance: 10, speed: 10 });
+    timeSeries.a.sendDataToPredix({ time: 2, distance: 20, speed: 10 });
+    timeSeries.b.sendDataToPredix({ time: 5, distance: 50, speed: 10 });
+    asset.a.sendDataToPredix({ time: 1, key: 'speed', val: 10, msg: 'speed' });
+    asset.b.sendDataToPredix({ time: 5, key: 'pressure', val: 200, msg: 'pressure' });
+    asset.b.sendDataToPredix({ time: 6, key: 'pressure', val: 210, msg: 'pressure' });
+    await waitFor(() => _.every([..._.values(timeSeries), ..._.values(asset)], service => service.isFinished()));
+
+    expect(timeSeries.a.queue.name).to.not.equal(timeSeries.b.queue.name);
+    expect(timeSeries.a.getStatistics()).to.deep.equal({ queued: 2, acknowledged: 2, deadLettered: 0 });
+    expect(timeSeries.b.getStatistics()).to.deep.equal({ queued: 1, acknowledged: 1, deadLettered: 0 });
+    expect(asset.a.getStatistics()).to.deep.equal({ queued: 1, acknowledged: 1, deadLettered: 0 });
+    expect(asset.b.getStatistics()).to.deep.equal({ queued: 2, acknowledged: 2, deadLettered: 0 });
+
+    // each instance sent its data to its own zone
+    expect(await queryDistanceTimes(configs.a)).to.deep.equal([1000, 2000]);
+    expect(await queryDistanceTimes(configs.b)).to.deep.equal([5000]);
+    expect(await findAssetNames(configs.a)).to.deep.equal(['speed']);
+    expect(await findAssetNames(configs.b)).to.deep.equal(['pressure', 'pressure']);
+  });
+
+  it('stops the instances whose client credentials UAA rejects, and not the others', async () => {
+    const rejectedTokenManager = new TokenManager({ ...configs.b, client_secret: 'wrong' }, logger);
+    rejectedTokenManager.on('failure', _.noop);
+    const rejected = {
+      timeSeries: new TimeSeriesService(rejectedTokenManager, logger,
+        { predixConfig: configs.b, queueName: 'rejected_time_series', lingerMs: 0 }),
+      asset: new AssetService(rejectedTokenManager, logger, { predixConfig: configs.b, queueName: 'rejected_asset' }),
+    };
+    const timeSeries = new TimeSeriesService(tokenManager, logger,
+      { predixConfig: configs.a, queueName: 'accepted_time_series', lingerMs: 0 });
+
+    await rejected.timeSeries.sendDataToPredix({ time: 10, distance: 100, speed: 10 });
+    await rejected.asset.sendDataToPredix({ time: 10, key: 'speed', val: 10, msg: 'speed' });
+    await timeSeries.sendDataToPredix({ time: 10, distance: 100, speed: 10 });
+    await waitFor(() => rejected.timeSeries.isFinished() && rejected.asset.isFinished() && timeSeries.isFinished());
+
+    _.forEach(rejected, (service) => {
+      expect(service.failure).to.include({ isAuthFailure: true, status: 401 });
+      expect(service.getStatistics()).to.include({ acknowledged: 0 });
+    });
+    expect(timeSeries.failure).to.equal(undefined);
+    expect(timeSeries.getStatistics()).to.include({ acknowledged: 1 });
+
+    // the next sends reject with the failure, and their data stays queued for the next run
+    let error;
+    try {
+      await rejected.timeSeries.sendDataToPredix({ time: 11, distance: 110, speed: 10 });
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.equal(rejected.timeSeries.failure);
+    expect(rejected.timeSeries.queue.length).to.equal(2);
+    expect(rejected.asset.queue.length).to.equal(1);
+  });
+});
@@ -0,0 +1,99 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * The tests of the batching of the TimeSeriesService class (src/services/time_series_service.js): the states queued
+ * are sent to the local Predix emulator, which records the size of the JSON of each payload it receives. The queue
+ * journals are written to a temporary directory.
+ */
+
+'use strict';
+
+const zlib = require('zlib');
+const _ = require('lodash');
+const { expect } = require('chai');
+const constants = require('../../config/simulator_constants');
+const Helper = require('../../src/common/helper');
+const TokenManager = require('../../src/common/token_manager');
+const PredixEmulator = require('../../src/emulator/predix_emulator');
+const TimeSeriesService = require('../../src/services/time_series_service');
+const { logger, createTempDir, removeTempDir, waitFor } = require('../helper');
+
+describe('TimeSeriesService batching', () => {
+  const cwd = process.cwd();
+  let workDir;
+  let emulator;
+  let predixConfig;
+  let tokenManager;
+  let payloadSizes;
+
+  /**
+   * Sends states having a value for every tag, one per second, and waits until they are all acknowledged.
+   *
+   * @param {Object} options the options of the service
+   * @param {number} numStates the number of states
+   * @returns {Object} a Promise which will resolve to the service
+   */
+  const sendStates = async (options, numStates) => {
+    const service = new TimeSeriesService(tokenManager, logger, { predixConfig, ...options });
+    const tagNames = _.map(TimeSeriesService.getTags(), 'name');
+    _.times(numStates, (time) => {
+      service.sendDataToPredix({ ..._.fromPairs(tagNames.map((name, index) => [name, time + (index / 1000)])), time });
+    });
+    await waitFor(() => service.isFinished(), 60000);
+    return service;
+  };
+
+  before(async () => {
+    // the queues are journaled to ./queue
+    workDir = createTempDir();
+    process.chdir(workDir);
+    Helper.setLogger(logger);
+
+    emulator = new PredixEmulator(logger, { port: 0 });
+    await emulator.start();
+    predixConfig = emulator.getPredixConfig();
+    tokenManager = new TokenManager(predixConfig, logger);
+
+    // the size of the JSON of each payload, before any compression
+    emulator.wss.on('connection', (ws) => {
+      ws.on('message', (msg) => {
+        payloadSizes.push(Buffer.byteLength(Buffer.isBuffer(msg) ? zlib.gunzipSync(msg) : msg));
+      });
+    });
+  });
+
+  beforeEach(() => {
+    payloadSizes = [];
+  });
+
+  after(async () => {
+    await emulator.stop();
+    process.chdir(cwd);
+    removeTempDir(workDir);
+  });
+
+  it('fills the payloads up to the maximum size of the service', async () => {
+    const maxPayloadBytes = 8 * 1024;
+    const service = await sendStates({ queueName: 'small_payloads', maxPayloadBytes, lingerMs: 200 }, 100);
+
+    expect(service.getStatistics()).to.deep.equal({ queued: 100, acknowledged: 100, deadLettered: 0 });
+    expect(payloadSizes.length).to.be.above(1);
+    expect(_.max(payloadSizes)).to.be.at.most(maxPayloadBytes);
+
+    // the payloads are filled, not sent with a few states each
+    expect(_.sum(payloadSizes) / payloadSizes.length).to.be.above(maxPayloadBytes / 2);
+  });
+
+  it('keeps the payloads of the default maximum size under TIME_SERIES_MAX_PAYLOAD_BYTES', async () => {
+    // the linger time lets the payloads fill while the states are queued
+    const numStates = 1500;
+    const service = await sendStates({ queueName: 'default_payloads', lingerMs: 2000 }, numStates);
+
+    expect(service.getStatistics()).to.deep.equal({ queued: numStates, acknowledged: numStates, deadLettered: 0 });
+    expect(payloadSizes.length).to.be.above(1);
+    expect(_.max(payloadSizes)).to.be.at.most(constants.TIME_SERIES_MAX_PAYLOAD_BYTES);
+    expect(_.max(payloadSizes)).to.be.above(constants.TIME_SERIES_MAX_PAYLOAD_BYTES * 0.9);
+    expect(constants.TIME_SERIES_MAX_PAYLOAD_BYTES).to.be.below(constants.TIME_SERIES_MAX_MESSAGE_BYTES);
+  });
+});
@@ -0,0 +1,164 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * The tests of the AlertRules class (src/simulator/alert_rules.js), with a stand-in for the simulator which keeps
+ * the alarms sent to the asset sink.
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const _ = require('lodash');
+const { expect } = require('chai');
+const AlertRules = require('../../src/simulator/alert_rules');
+
+describe('AlertRules', () => {
+  /**
+   * Creates a stand-in for the simulator.
+   *
+   * @param {Object} constants the constants overriding the default ones of the test
+   * @returns {Object} the simulator, whose sent array has the alarms sent to the asset sink
+   */
+  const createSimulator = (constants = {}) => {
+    const sim = new EventEmitter();
+    sim.constants = { EPS: 1e-6, SEND_INTERVAL: 10, MAX_NUM_SENDS_PER_KEY: 100, MAX_SPEED: 20, ...constants };
+    sim.alertStatus = {};
+    sim.sent = [];
+    sim.createAssetId = time => `alarm${time}`;
+    sim.toAsset = (key, val, msg, options) => {
+      sim.sent.push({ key, val, msg, ...options });
+    };
+    return sim;
+  };
+
+  /**
+   * Checks a rule against a series of speeds, one per second.
+   *
+   * @param {Object} rule the rule
+   * @param {Array} speeds the speeds
+   * @param {Object} sim the simulator
+   * @returns {Object} a Promise which will resolve to whether the alert was active after each speed
+   */
+  const checkSpeeds = async (rule, speeds, sim = createSimulator()) => {
+    const rules = new AlertRules({ rules: [rule] });
+    const res = [];
+    for (let time = 0; time < speeds.length; ++time) {
+      await rules.check({ time, speed: speeds[time] }, sim); // eslint-disable-line
+      res.push(sim.alertStatus[rule.name].isActive);
+    }
+    return res;
+  };
+
+  it('resolves the threshold from the state and the constants', async () => {
+    const sim = createSimulator();
+    const isActive = await checkSpeeds({ name: 'speed', expression: 'speed', operator: '>', threshold: 'MAX_SPEED' },
+      [10, 21, 20], sim);
+    expect(isActive).to.deep.equal([false, true, false]);
+  });
+
+  it('clears an alert only once the value is back past the hysteresis', async () => {
+    const rule = { name: 'speed', expression: 'speed', operator: '>', threshold: 20, hysteresis: 2 };
+    expect(await checkSpeeds(rule, [21, 19, 18.5, 18, 21])).to.deep.equal([true, true, true, false, true]);
+  });
+
+  it('moves the hysteresis the other way for the < operators', async () => {
+    const rule = { name: 'speed', expression: 'speed', operator: '<', threshold: 10, hysteresis: 2 };
+    expect(await checkSpeeds(rule, [9, 11, 12.5])).to.deep.equal([true, true, false]);
+  });
+
+  it('raises an alert once the condition has held for the minimum duration', async () => {
+    const sim = createSimulator();
+    const rule = { name: 'speed', expression: 'speed', operator: '>', threshold: 20, minDuration: 2 };
+    expect(await checkSpeeds(rule, [21, 22, 19, 21, 22, 23], sim))
+      .to.deep.equal([false, false, false, false, false, true]);
+
+    // the alarm starts when the condition started to hold
+    expect(sim.sent).to.have.lengthOf(1);
+    expect(sim.sent[0]).to.include({ id: 'alarm3', startTime: 3, status: 'raised' });
+  });
+
+  it('tells whether the value is beyond the threshold, even before the alert is raised', async () => {
+    const sim = createSimulator();
+    await checkSpeeds({ name: 'speed', expression: 'speed', operator: '>', threshold: 20, minDuration: 5 }, [21], sim);
+    expect(sim.alertStatus.speed).to.include({ isActive: false, isBreached: true });
+  });
+
+  it('does not raise an alert for a value which cannot be compared', async () => {
+    const rule = { name: 'speed', expression: 'speed', operator: '>', threshold: 20 };
+    expect(await checkSpeeds(rule, [undefined, NaN])).to.deep.equal([false, false]);
+  });
+
+  it('keeps the status of each simulator apart', async () => {
+    const rules = new AlertRules({ rules: [{ name: 'speed', expression: 'speed', operator: '>', threshold: 20 }] });
+    const [sim1, sim2] = [createSimulator(), createSimulator()];
+    await rules.check({ time: 0, speed: 21 }, sim1);
+    await rules.check({ time: 0, speed: 19 }, sim2);
+    expect(sim1.alertStatus.speed.isActive).to.equal(true);
+    expect(sim2.alertStatus.speed.isActive).to.equal(false);
+  });
+
+  it('raises, updates and clears an alarm with the same id, and builds its message on every send', async () => {
+    const sim = createSimulator();
+    const rule = {
+      name: 'speed', expression: 'speed', operator: '>', threshold: 20, message: '{{name}} {{status}} at {{value}}',
+    };
+    const alarms = [];
+    sim.on('alarm', alarm => alarms.push(alarm));
+    await checkSpeeds(rule, [..._.fill(Array(10), 21), 25.123, 19], sim);
+
+    expect(_.map(sim.sent, 'status')).to.deep.equal(['raised', 'ongoing', 'cleared']);
+    expect(_.map(sim.sent, 'msg'))
+      .to.deep.equal(['speed raised at 21', 'speed ongoing at 25.12', 'speed cleared at 19']);
+    expect(_.uniq(_.map(sim.sent, 'id'))).to.deep.equal(['alarm0']);
+    expect(sim.sent[2]).to.include({ key: 'speed', startTime: 0, endTime: 11, duration: 11, peakValue: 25.123 });
+    expect(_.map(alarms, 'status')).to.deep.equal(['raised', 'ongoing', 'cleared']);
+    expect(sim.alertStatus.speed).to.include({ isActive: false, alarm: undefined, numSends: 3 });
+  });
+
+  it('stops raising and updating the alarms of a rule after its maximum number of sends, but still clears them',
+    async () => {
+      const sim = createSimulator();
+      const rule = { name: 'speed', expression: 'speed', operator: '>', threshold: 20, maxSends: 2 };
+      await checkSpeeds(rule, [..._.fill(Array(21), 21), 19, 21, 19], sim);
+
+      expect(_.map(sim.sent, 'status')).to.deep.equal(['raised', 'ongoing', 'cleared']);
+      expect(sim.alertStatus.speed.numSends).to.equal(3);
+    });
+
+  it('caps the sends with MAX_NUM_SENDS_PER_KEY by default', async () => {
+    const sim = createSimulator({ MAX_NUM_SENDS_PER_KEY: 1 });
+    await checkSpeeds({ name: 'speed', expression: 'speed', operator: '>', threshold: 20 }, _.fill(Array(30), 21), sim);
+    expect(_.map(sim.sent, 'status')).to.deep.equal(['raised']);
+  });
+
+  it('raises the predictive fuel range alert of the default rules', async () => {
+    const sim = createSimulator({ MIN_ALLOWED_FUEL_RANGE: 100000 });
+    const rules = AlertRules.getDefault();
+    for (let time = 0; time <= 10; ++time) {
+      await rules.check({ time, fuelRange: 40000, fuelTimeToEmpty: 2000 }, sim); // eslint-disable-line
+    }
+    expect(sim.sent).to.have.lengthOf(1);
+    expect(sim.sent[0]).to.include({
+      key: 'fuelRange',
+      status: 'raised',
+      msg: 'Projected range of 40000 m is below 100000 m, the tender will be out of fuel in 2000 s',
+    });
+  });
+
+  it('rejects invalid rules', () => {
+    const rule = { name: 'speed', expression: 'speed', operator: '>', threshold: 20 };
+    expect(() => new AlertRules({ rules: [_.omit(rule, 'name')] })).to.throw(Error, /must have a name/);
+    expect(() => new AlertRules({ rules: [{ ...rule, operator: '=>' }] })).to.throw(Error, /must have an operator/);
+    expect(() => new AlertRules({ rules: [_.omit(rule, 'threshold')] })).to.throw(Error, /and a threshold/);
+    expect(() => new AlertRules({ rules: [{ ...rule, severity: 'fatal' }] })).to.throw(Error, /must have a severity/);
+    expect(() => new AlertRules({ rules: [{ ...rule, hysteresis: -1 }] })).to.throw(Error, /of 0 or more/);
+    expect(() => new AlertRules({ rules: [{ ...rule, maxSends: -1 }] })).to.throw(Error, /maximum number of sends/);
+    expect(() => new AlertRules({ rules: [{ ...rule, expression: 'speed >' }] })).to.throw(Error, /Invalid expression/);
+    expect(() => new AlertRules({ rules: [rule, rule] })).to.throw(Error, /must be unique/);
+  });
+
+  it('loads the default rules', () => {
+    expect(_.map(AlertRules.getDefault().rules, 'name')).to.include('speed');
+  });
+});
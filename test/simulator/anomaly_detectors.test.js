@@ -0,0 +1,91 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * The tests of the AnomalyDetectors class (src/simulator/anomaly_detectors.js), with a stand-in for the simulator
+ * which keeps the anomaly records sent to the asset sink.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const { expect } = require('chai');
+const AnomalyDetectors = require('../../src/simulator/anomaly_detectors');
+
+describe('AnomalyDetectors', () => {
+  /**
+   * Checks a detector of the pressure against a series of pressures, one per second.
+   *
+   * @param {Object} detector the detector, having all the fields but the name and the variable
+   * @param {Array} pressures the pressures
+   * @param {Object} constants the constants overriding the default ones of the test
+   * @returns {Object} a Promise which will resolve to the records sent, each one having the time it was sent
+   */
+  const checkPressures = async (detector, pressures, constants = {}) => {
+    const sent = [];
+    const sim = {
+      constants: { EPS: 1e-6, MAX_NUM_SENDS_PER_KEY: 100, ...constants },
+      anomalyStatus: {},
+    };
+    const detectors = new AnomalyDetectors({ detectors: [{ name: 'pressure', variable: 'pressure', ...detector }] });
+    for (let time = 0; time < pressures.length; ++time) {
+      sim.toAsset = (key, val, msg, options) => sent.push({ time, key, val, msg, ...options });
+      await detectors.check({ time, pressure: pressures[time] }, sim); // eslint-disable-line
+    }
+    return sent;
+  };
+
+  // a baseline of 10 which barely moves, so the score is the distance to 10
+  const ewma = { method: 'ewma', alpha: 0.001, warmUp: 10, threshold: 4, minStdDev: 1 };
+  const baseline = _.fill(Array(10), 10);
+
+  it('sends a record when the score rises above the threshold, after the warm up', async () => {
+    const sent = await checkPressures(ewma, [10, 20, ...baseline, 15, 16, 10]);
+    expect(_.map(sent, 'time')).to.deep.equal([12]);
+    expect(sent[0]).to.include({ key: 'anomaly', val: 15, detector: 'pressure', method: 'ewma', severity: 'warning' });
+    expect(sent[0].score).to.be.closeTo(5, 0.1);
+    expect(sent[0].baseline).to.be.closeTo(10, 0.1);
+  });
+
+  it('ends an anomaly only once the score is back below the threshold minus the hysteresis', async () => {
+    const pressures = [...baseline, 15, 13.5, 15, 12.5, 15];
+    expect(_.map(await checkPressures(ewma, pressures), 'time')).to.deep.equal([10, 12, 14]);
+    expect(_.map(await checkPressures({ ...ewma, hysteresis: 1 }, pressures), 'time')).to.deep.equal([10, 14]);
+  });
+
+  it('stops sending after the maximum number of sends', async () => {
+    const pressures = [...baseline, 15, 10, 15, 10, 15];
+    expect(await checkPressures({ ...ewma, maxSends: 2 }, pressures)).to.have.lengthOf(2);
+    expect(await checkPressures(ewma, pressures, { MAX_NUM_SENDS_PER_KEY: 1 })).to.have.lengthOf(1);
+  });
+
+  it('scores the values against a rolling window', async () => {
+    const detector = { method: 'zscore', window: 5, warmUp: 0, threshold: 3, minStdDev: 1 };
+    const sent = await checkPressures(detector, [10, 11, 10, 11, 10, 11, 20, 20, 20, 20, 20, 20, 20, 20]);
+    expect(_.map(sent, 'time')).to.deep.equal([6]);
+  });
+
+  it('scores the rate of change of the values', async () => {
+    const detector = { method: 'rateOfChange', alpha: 0.001, warmUp: 0, threshold: 4, minStdDev: 1 };
+    const sent = await checkPressures(detector, [0, 2, 4, 6, 8, 10, 20, 22]);
+    expect(_.map(sent, 'time')).to.deep.equal([6]);
+    expect(sent[0]).to.include({ val: 10, method: 'rateOfChange' });
+    expect(sent[0].msg).to.match(/^Anomaly in pressure rate of change: 10 against a baseline of 2/);
+  });
+
+  it('skips the values which are not numbers', async () => {
+    expect(await checkPressures(ewma, [...baseline, undefined, null, 10])).to.have.lengthOf(0);
+  });
+
+  it('rejects invalid detectors', () => {
+    const detector = { name: 'pressure', variable: 'pressure' };
+    const create = fields => () => new AnomalyDetectors({ detectors: [{ ...detector, ...fields }] });
+    expect(create({ name: '' })).to.throw(Error, /must have a name/);
+    expect(create({ variable: undefined })).to.throw(Error, /must have a variable/);
+    expect(create({ method: 'cusum' })).to.throw(Error, /must have a method/);
+    expect(create({ alpha: 2 })).to.throw(Error, /alpha from 0 to 1/);
+    expect(create({ hysteresis: 4 })).to.throw(Error, /less than its threshold/);
+    expect(create({ maxSends: -1 })).to.throw(Error, /maximum number of sends/);
+    expect(() => new AnomalyDetectors({ detectors: [detector, detector] })).to.throw(Error, /must be unique/);
+  });
+});
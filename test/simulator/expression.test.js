@@ -0,0 +1,89 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * The tests of the Expression class (src/simulator/expression.js).
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const { expect } = require('chai');
+const Expression = require('../../src/simulator/expression');
+
+describe('Expression', () => {
+  const values = { speed: 30, lineSpeedLimit: 25, pressure: 12.5, isOn: true };
+
+  /**
+   * Evaluates an expression with the test values.
+   *
+   * @param {string} source the expression
+   * @returns {*} the value of the expression
+   */
+  const evaluate = source => new Expression(source).evaluate(name => values[name]);
+
+  it('evaluates numbers, flags and identifiers', () => {
+    expect(evaluate('42')).to.equal(42);
+    expect(evaluate('1.5e3')).to.equal(1500);
+    expect(evaluate('.25')).to.equal(0.25);
+    expect(evaluate('true')).to.equal(true);
+    expect(evaluate('false')).to.equal(false);
+    expect(evaluate('speed')).to.equal(30);
+    expect(evaluate('unknown')).to.equal(undefined);
+    expect(new Expression(7).evaluate(_.noop)).to.equal(7);
+  });
+
+  it('applies the operators with the precedence of JavaScript', () => {
+    expect(evaluate('1 + 2 * 3')).to.equal(7);
+    expect(evaluate('(1 + 2) * 3')).to.equal(9);
+    expect(evaluate('10 - 4 - 3')).to.equal(3);
+    expect(evaluate('24 / 4 / 2')).to.equal(3);
+    expect(evaluate('7 % 4 * 2')).to.equal(6);
+    expect(evaluate('1 + 2 < 4')).to.equal(true);
+    expect(evaluate('1 < 2 == true')).to.equal(true);
+    expect(evaluate('true || false && false')).to.equal(true);
+    expect(evaluate('(true || false) && false')).to.equal(false);
+    expect(evaluate('speed - lineSpeedLimit > 2 && isOn')).to.equal(true);
+  });
+
+  it('applies the unary operators before the binary ones', () => {
+    expect(evaluate('-2 * 3')).to.equal(-6);
+    expect(evaluate('--2')).to.equal(2);
+    expect(evaluate('-speed + 40')).to.equal(10);
+    expect(evaluate('!isOn || true')).to.equal(true);
+    expect(evaluate('!(speed > 20)')).to.equal(false);
+  });
+
+  it('applies all the comparison operators', () => {
+    expect([
+      'speed < 30', 'speed <= 30', 'speed > 30', 'speed >= 30', 'speed == 30', 'speed != 30',
+    ].map(evaluate)).to.deep.equal([false, true, false, true, true, false]);
+  });
+
+  it('calls the functions', () => {
+    expect(evaluate('abs(lineSpeedLimit - speed)')).to.equal(5);
+    expect(evaluate('max(speed, lineSpeedLimit, 40)')).to.equal(40);
+    expect(evaluate('min(speed, lineSpeedLimit)')).to.equal(25);
+    expect(evaluate('pow(2, 3) + sqrt(16)')).to.equal(12);
+    expect(evaluate('round(pressure) + floor(pressure) + ceil(pressure)')).to.equal(38);
+  });
+
+  it('fails on invalid characters', () => {
+    expect(() => new Expression('speed # 2')).to.throw(Error, /unexpected character at position 5/);
+    expect(() => new Expression('speed = 2')).to.throw(Error, /unexpected character/);
+  });
+
+  it('fails on invalid syntax', () => {
+    expect(() => new Expression('')).to.throw(Error, /unexpected end/);
+    expect(() => new Expression('speed +')).to.throw(Error, /unexpected end/);
+    expect(() => new Expression('(speed + 2')).to.throw(Error, /expected "\)"/);
+    expect(() => new Expression('speed + 2)')).to.throw(Error, /unexpected "\)"/);
+    expect(() => new Expression('speed 2')).to.throw(Error, /unexpected "2"/);
+    expect(() => new Expression('* 2')).to.throw(Error, /unexpected "\*"/);
+    expect(() => new Expression('max(1, 2')).to.throw(Error, /expected "\)"/);
+  });
+
+  it('fails on unknown functions', () => {
+    expect(() => new Expression('log(speed)')).to.throw(Error, /unknown function log/);
+  });
+});
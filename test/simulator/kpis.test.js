@@ -0,0 +1,90 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * The tests of the Kpis class (src/simulator/kpis.js).
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const { expect } = require('chai');
+const Kpis = require('../../src/simulator/kpis');
+
+describe('Kpis', () => {
+  /**
+   * Derives KPIs of the speed, with one state per second.
+   *
+   * @param {Array} kpis the KPIs
+   * @param {Array} speeds the speeds
+   * @returns {Array} the states with the KPIs
+   */
+  const applySpeeds = (kpis, speeds) => {
+    const sim = { constants: { EPS: 1e-6, DT: 1 }, kpiStatus: {} };
+    const metrics = new Kpis({ kpis });
+    return _.map(speeds, (speed, time) => {
+      const state = metrics.apply({ time, speed }, sim);
+      return { ...state, quality: metrics.getQuality(state, sim) };
+    });
+  };
+
+  it('aggregates the values over a rolling window', () => {
+    const kpis = _.map(['sum', 'mean', 'min', 'max', 'change', 'rate'],
+      aggregate => ({ name: aggregate, expression: 'speed', aggregate, window: 2 }));
+    const states = applySpeeds(kpis, [4, 1, 7, 3, 5, 2]);
+    expect(_.map(states, 'sum')).to.deep.equal([4, 5, 12, 11, 15, 10]);
+    expect(_.map(states, 'mean')).to.deep.equal([4, 2.5, 4, 11 / 3, 5, 10 / 3]);
+    expect(_.map(states, 'min')).to.deep.equal([4, 1, 1, 1, 3, 2]);
+    expect(_.map(states, 'max')).to.deep.equal([4, 4, 7, 7, 7, 5]);
+    expect(_.map(states, 'change')).to.deep.equal([0, -3, 3, 2, -2, -1]);
+    expect(_.map(states, 'rate')).to.deep.equal([null, -3, 1.5, 1, -1, -0.5]);
+  });
+
+  it('aggregates the values since the start of the run without a window', () => {
+    const states = applySpeeds([
+      { name: 'mean', expression: 'speed', aggregate: 'mean' },
+      { name: 'max', expression: 'speed', aggregate: 'max' },
+    ], [4, 1, 7, 3]);
+    expect(_.map(states, 'mean')).to.deep.equal([4, 2.5, 4, 3.75]);
+    expect(_.map(states, 'max')).to.deep.equal([4, 4, 7, 7]);
+  });
+
+  it('keeps the sum of the window from drifting', () => {
+    const states = applySpeeds([{ name: 'mean', expression: 'speed', aggregate: 'mean', window: 2 }],
+      [1e17, ..._.fill(Array(10), 0.1)]);
+    expect(_.last(states).mean).to.be.closeTo(0.1, 1e-12);
+  });
+
+  it('has an uncertain quality until the window is full', () => {
+    const states = applySpeeds([{ name: 'mean', expression: 'speed', aggregate: 'mean', window: 2 }], [1, 2, 3, 4]);
+    expect(_.map(states, 'quality.mean')).to.deep.equal(['uncertain', 'uncertain', undefined, undefined]);
+  });
+
+  it('leaves the values which are not numbers out of the aggregates', () => {
+    const states = applySpeeds([
+      { name: 'speedKph', expression: 'speed * 3.6' },
+      { name: 'mean', expression: 'speed', aggregate: 'mean', window: 10 },
+    ], [10, undefined, 20]);
+    expect(_.map(states, 'speedKph')).to.deep.equal([36, null, 72]);
+    expect(_.map(states, 'mean')).to.deep.equal([10, null, 15]);
+  });
+
+  it('estimates the time to empty and the range of the fuel with the default KPIs', () => {
+    const sim = { constants: { EPS: 1e-6, DT: 1 }, kpiStatus: {} };
+    const kpis = Kpis.getDefault();
+    const states = _.map([0.5, 0.5, 0], (fuelBurnRate, time) => kpis.apply({
+      time, fuelBurnRate, speed: 20, distance: 20 * time, fuelMassInTender: 1000, safetyValveOpen: false,
+    }, sim));
+    expect(_.map(states, 'fuelTimeToEmpty')).to.deep.equal([2000, 2000, 3000]);
+    expect(_.map(states, 'fuelRange')).to.deep.equal([40000, 40000, 60000]);
+  });
+
+  it('rejects invalid KPIs', () => {
+    const kpi = { name: 'mean', expression: 'speed', aggregate: 'mean' };
+    expect(() => new Kpis({ kpis: [_.omit(kpi, 'name')] })).to.throw(Error, /must have a name/);
+    expect(() => new Kpis({ kpis: [{ ...kpi, aggregate: 'median' }] })).to.throw(Error, /must have an aggregate/);
+    expect(() => new Kpis({ kpis: [{ ...kpi, window: 0 }] })).to.throw(Error, /window greater than 0/);
+    expect(() => new Kpis({ kpis: [{ ...kpi, aggregate: 'value', window: 10 }] })).to.throw(Error, /other than value/);
+    expect(() => new Kpis({ kpis: [kpi, kpi] })).to.throw(Error, /must be unique/);
+  });
+});
@@ -0,0 +1,57 @@
+/*
+ * Copyright (C) 2017 TopCoder Inc., All Rights Reserved.
+ */
+/**
+ * The tests of the Sensors class (src/simulator/sensors.js).
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const { expect } = require('chai');
+const Sensors = require('../../src/simulator/sensors');
+
+describe('Sensors', () => {
+  /**
+   * Reads the pressure sensor every second.
+   *
+   * @param {Sensors} sensors the sensors
+   * @param {Array} pressures the true pressures
+   * @returns {Array} the measures
+   */
+  const measurePressures = (sensors, pressures) =>
+    _.map(pressures, (pressure, time) => sensors.measure({ time, pressure, speed: 10 }));
+
+  it('repeats the readings of a seed, with different readings for each locomotive', () => {
+    const config = { seed: 42, sensors: { pressure: { noise: 1, biasDrift: 0.1, dropoutProbability: 0.2 } } };
+    const pressures = _.fill(Array(20), 100);
+    const read = locomotiveId => _.map(measurePressures(new Sensors(config, locomotiveId), pressures), 'values');
+
+    expect(read('loco1')).to.deep.equal(read('loco1'));
+    expect(read('loco1')).to.not.deep.equal(read('loco2'));
+    expect(_.map(read('loco1'), 'speed')).to.deep.equal(_.fill(Array(20), 10));
+    expect(_.compact(_.map(read('loco1'), 'pressure'))).to.have.lengthOf.within(1, 19);
+  });
+
+  it('quantises and clamps the readings', () => {
+    const sensors = new Sensors({ sensors: { pressure: { quantisation: 0.5, range: [0, 10] } } });
+    const measures = measurePressures(sensors, [3.3, 3.8, 12, -1]);
+    expect(_.map(measures, 'values.pressure')).to.deep.equal([3.5, 4, 10, 0]);
+    expect(_.map(measures, 'quality.pressure')).to.deep.equal([undefined, undefined, 'uncertain', 'uncertain']);
+  });
+
+  it('samples at the sample interval and reports the last reading while stuck', () => {
+    const sensors = new Sensors({ sensors: { pressure: { sampleInterval: 2, stuckAt: { start: 4, end: 8 } } } });
+    const measures = measurePressures(sensors, [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    expect(_.map(measures, 'values.pressure'))
+      .to.deep.equal([1, undefined, 3, undefined, 3, undefined, 3, undefined, 9]);
+    expect(_.map(measures, 'quality.pressure'))
+      .to.deep.equal([undefined, undefined, undefined, undefined, 'bad', undefined, 'bad', undefined, undefined]);
+  });
+
+  it('rejects invalid sensors', () => {
+    expect(() => new Sensors({ sensors: { pressure: { noise: -1 } } })).to.throw(Error, /noise of the pressure/);
+    expect(() => new Sensors({ sensors: { pressure: { dropoutProbability: 2 } } })).to.throw(Error, /from 0 to 1/);
+    expect(() => new Sensors({ sensors: { pressure: { range: [1, 0] } } })).to.throw(Error, /\[min, max\]/);
+  });
+});